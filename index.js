@@ -10,5 +10,5 @@ export { Parser, parse, NodeType, ASTNode } from "./src/parser.js"
 export { Renderer, render } from "./src/renderer.js"
 export { CoordinateSystem, Point, parseCoordinateToken } from "./src/coordinates.js"
 export { Style, parseOptions, parseColor, parseLineWidth, COLORS } from "./src/styles.js"
-export { createArrowDefs, getArrowMarker } from "./src/arrows.js"
+export { createArrowMarker, parseArrowOption, resolveArrowTips } from "./src/arrows.js"
 export { TikZEditor } from "./src/editor.js"
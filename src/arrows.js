@@ -1,282 +1,572 @@
 /**
- * TikZ Arrow Tips - SVG marker definitions for arrow heads
+ * TikZ Arrow Tips - arrows.meta tips drawn as SVG markers
+ *
+ *   \draw[->] ...                                   the tip > stands for (see >=)
+ *   \draw[{Bar}-{Stealth[length=3mm, open]}] ...     arrows.meta tips with options
+ *   \draw[->>] ...  \draw[-{Latex[]Latex[]}] ...     several tips in a row
+ *   \begin{tikzpicture}[>=Latex]                    change what > and < stand for
+ *
+ * As in arrows.meta, sizes are a dimension plus a multiple of the line width, so
+ * tips grow with thicker lines. Tips are drawn pointing along +x. The path is
+ * shortened so that it stops inside its tips, which puts their apex on the end
+ * of the path.
  */
 
+import { parseColor, parseDistanceCm } from "./styles.js"
+import { splitKeyList, stripOuterBraces } from "./keys.js"
+import { UNIT_IN_PT } from "./pgfmath.js"
+import { SVG_NS } from "./svg.js"
+
+// Line widths are drawn at 2px per point (see Renderer.applyStyle)
+export const PX_PER_PT = 2
+
+// What > and < stand for unless changed with >=: the to tip, as in TikZ
+const DEFAULT_TIPS = [{ name: "To", options: [] }]
+
 /**
- * Create SVG defs element containing all arrow markers
+ * Tip shapes with their default size: length is a dimension in points plus a
+ * multiple of the line width; width and inset are either the same or a factor of
+ * the length. shape returns the path data of the tip, with its back at x = 0 and
+ * its apex at x = length, and where the line ends inside it.
+ * Stroked tips are drawn as lines, the others are filled.
  */
-export function createArrowDefs(color = "#000000", scale = 1) {
-  const defs = document.createElementNS("http://www.w3.org/2000/svg", "defs")
-
-  const arrows = [
-    createStandardArrow(color, scale),
-    createStealthArrow(color, scale),
-    createLatexArrow(color, scale),
-    createToArrow(color, scale),
-    createBarArrow(color, scale),
-    createReversedArrow(color, scale),
-    createDoubleArrow(color, scale)
-  ]
-
-  // Create both start and end versions
-  for (const arrow of arrows) {
-    // End marker
-    defs.appendChild(arrow.end)
-    // Start marker (rotated 180 degrees)
-    defs.appendChild(arrow.start)
+const TIP_SHAPES = {
+  Stealth: {
+    length: [3, 4.5],
+    width: 0.75,
+    inset: 0.325,
+    shape: ({ length, width, inset, side }) => ({
+      d: polygonData([[length, 0], [0, width / 2], [inset, 0], [0, -width / 2]], side),
+      lineEnd: inset
+    })
+  },
+  Latex: {
+    length: [3, 4.5],
+    width: 0.75,
+    shape: ({ length: l, width: w, side }) => {
+      const right = side === "left"
+        ? "L 0 0"
+        : `C ${format(0.6 * l)} ${format(0.28 * w)}, ${format(0.2 * l)} ${format(0.48 * w)}, 0 ${format(w / 2)}`
+      const left = side === "right"
+        ? "L 0 0"
+        : `L 0 ${format(-w / 2)} C ${format(0.2 * l)} ${format(-0.48 * w)}, ${format(0.6 * l)} ${format(-0.28 * w)}, ${format(l)} 0`
+      return { d: `M ${format(l)} 0 ${right} ${left} Z`, lineEnd: 0 }
+    }
+  },
+  Triangle: {
+    length: [3, 4.5],
+    width: 1,
+    shape: ({ length, width, side }) => ({
+      d: polygonData([[length, 0], [0, width / 2], [0, -width / 2]], side),
+      lineEnd: 0
+    })
+  },
+  Kite: {
+    length: [3.6, 5.4],
+    width: 0.5,
+    inset: 0.25,
+    shape: ({ length, width, inset, side }) => ({
+      d: polygonData([[length, 0], [inset, width / 2], [0, 0], [inset, -width / 2]], side),
+      lineEnd: 0
+    })
+  },
+  Circle: {
+    length: [2.39365, 3.15],
+    width: 1,
+    shape: ({ length: l, width: w }) => ({
+      d: `M 0 0 A ${format(l / 2)} ${format(w / 2)} 0 1 1 ${format(l)} 0 A ${format(l / 2)} ${format(w / 2)} 0 1 1 0 0 Z`,
+      lineEnd: 0
+    })
+  },
+  Square: {
+    length: [2.39365, 3.15],
+    width: 1,
+    shape: ({ length, width, side }) => ({
+      d: polygonData([[length, width / 2], [0, width / 2], [0, -width / 2], [length, -width / 2]], side),
+      lineEnd: 0
+    })
+  },
+  Bar: {
+    length: [0, 0],
+    width: [2, 4],
+    stroked: true,
+    shape: ({ width, side }) => ({
+      d: `M 0 ${format(side === "right" ? 0 : -width / 2)} L 0 ${format(side === "left" ? 0 : width / 2)}`,
+      lineEnd: 0
+    })
+  },
+  Hooks: {
+    length: [0.75, 1.5],
+    width: [3, 6],
+    stroked: true,
+    // Half ellipses bulging forward, one to each side of the line
+    shape: ({ length: l, width: w, side }) => {
+      const hooks = []
+      if (side !== "left") hooks.push(`M 0 0 A ${format(l)} ${format(w / 4)} 0 0 1 0 ${format(w / 2)}`)
+      if (side !== "right") hooks.push(`M 0 0 A ${format(l)} ${format(w / 4)} 0 0 0 0 ${format(-w / 2)}`)
+      return { d: hooks.join(" "), lineEnd: 0 }
+    }
+  },
+  Rays: {
+    length: [2, 6],
+    width: 1,
+    stroked: true,
+    shape: ({ length, width, n }) => {
+      const rays = []
+      for (let i = 0; i < n; i++) {
+        const angle = (i + 0.5) * 2 * Math.PI / n
+        rays.push(`M ${format(length / 2)} 0 L ${format(length / 2 + Math.cos(angle) * width / 2)} ${format(Math.sin(angle) * width / 2)}`)
+      }
+      return { d: rays.join(" "), lineEnd: length / 2 }
+    }
+  },
+  To: {
+    length: [1.6, 2.2],
+    width: 2.4,
+    stroked: true,
+    round: true,
+    shape: ({ length: l, width: w, side }) => {
+      const curves = []
+      if (side !== "right") curves.push(`M 0 ${format(-w / 2)} Q ${format(0.5 * l)} ${format(-0.1 * w)}, ${format(l)} 0`)
+      if (side !== "left") curves.push(`M ${format(l)} 0 Q ${format(0.5 * l)} ${format(0.1 * w)}, 0 ${format(w / 2)}`)
+      return { d: curves.join(" "), lineEnd: l }
+    }
+  },
+  "Straight Barb": {
+    length: [1.6, 2.2],
+    width: 2,
+    stroked: true,
+    round: true,
+    shape: ({ length, width, side }) => ({
+      d: `M 0 ${format(side === "right" ? 0 : -width / 2)} L ${format(length)} 0 L 0 ${format(side === "left" ? 0 : width / 2)}`,
+      lineEnd: length
+    })
   }
+}
+
+// Tips of the arrows library before arrows.meta, as arrows.meta tips
+const LEGACY_TIPS = {
+  "stealth": { name: "Stealth", options: [] },
+  "stealth'": { name: "Stealth", options: [] },
+  "latex": { name: "Latex", options: [] },
+  "latex'": { name: "Latex", options: [] },
+  "to": { name: "To", options: [] },
+  "|": { name: "Bar", options: [] },
+  "o": { name: "Circle", options: ["open"] },
+  "*": { name: "Circle", options: [] },
+  "triangle 45": { name: "Triangle", options: [] },
+  "open triangle 45": { name: "Triangle", options: ["open"] }
+}
+
+// One tip of a tip list with its options: "Stealth[open]", "latex", ">"
+const TIP_PATTERN = /^(open triangle 45|triangle 45|stealth'?|latex'?|to|[A-Z][A-Za-z]*(?: [A-Z][A-Za-z]*)*|[<>|o*])\s*(\[[^\]]*\])?/
 
-  return defs
+function format(value) {
+  return Math.round(value * 1000) / 1000
 }
 
 /**
- * Get marker URL for an arrow type
+ * Path data of a closed polygon; side keeps only the left (y <= 0) or right
+ * (y >= 0) half of it, as the harpoon options left and right do
  */
-export function getArrowMarker(type, isStart, color = "#000000") {
-  const colorId = color.replace(/[^a-zA-Z0-9]/g, "")
-  const suffix = isStart ? "-start" : "-end"
-
-  const typeMap = {
-    ">": "standard",
-    "<": "reversed",
-    "stealth": "stealth",
-    "Stealth": "stealth",  // arrows.meta style
-    "latex": "latex",
-    "Latex": "latex",      // arrows.meta style
-    "to": "to",
-    "|": "bar",
-    ">>": "double",
-    "<<": "double"
+function polygonData(points, side) {
+  const clamp = y => side === "left" ? Math.min(y, 0) : side === "right" ? Math.max(y, 0) : y
+  return points.map(([x, y], i) => `${i === 0 ? "M" : "L"} ${format(x)} ${format(clamp(y))}`).join(" ") + " Z"
+}
+
+/**
+ * Parse a list of tips: "Stealth[length=3mm]Latex[]", ">>", "{|}"
+ * Returns [{ name, options }], or null when the text is not a list of known tips.
+ */
+function parseTipList(text) {
+  let rest = stripOuterBraces(text.trim())
+  const tips = []
+
+  while (rest) {
+    const match = rest.match(TIP_PATTERN)
+    if (!match) return null
+    const legacy = LEGACY_TIPS[match[1]]
+    const name = legacy ? legacy.name : match[1]
+    if (!TIP_SHAPES[name] && name !== ">" && name !== "<") return null
+
+    const options = match[2] ? splitKeyList(match[2].slice(1, -1)) : []
+    tips.push({ name, options: legacy ? [...legacy.options, ...options] : options })
+    rest = rest.slice(match[0].length).trim()
   }
 
-  const arrowName = typeMap[type] || "standard"
-  return `url(#arrow-${arrowName}${suffix}-${colorId})`
+  return tips
 }
 
 /**
- * Standard arrow (>)
+ * Read an arrow specification "start-end" such as "->", "<<-|" or "-{Latex[open]}"
+ * The two sides are split at the first dash outside braces and brackets.
+ * Returns { start, end } tip lists (null for no tips), or null when the option is
+ * not an arrow specification.
  */
-function createStandardArrow(color, scale) {
-  const colorId = color.replace(/[^a-zA-Z0-9]/g, "")
-  const size = 10 * scale
-
-  const endMarker = document.createElementNS("http://www.w3.org/2000/svg", "marker")
-  endMarker.setAttribute("id", `arrow-standard-end-${colorId}`)
-  endMarker.setAttribute("viewBox", "0 0 10 10")
-  endMarker.setAttribute("refX", "9")
-  endMarker.setAttribute("refY", "5")
-  endMarker.setAttribute("markerWidth", size)
-  endMarker.setAttribute("markerHeight", size)
-  endMarker.setAttribute("orient", "auto")
-  endMarker.setAttribute("markerUnits", "userSpaceOnUse")
-
-  const path = document.createElementNS("http://www.w3.org/2000/svg", "path")
-  path.setAttribute("d", "M 0 0 L 10 5 L 0 10 L 3 5 Z")
-  path.setAttribute("fill", color)
-  endMarker.appendChild(path)
-
-  const startMarker = endMarker.cloneNode(true)
-  startMarker.setAttribute("id", `arrow-standard-start-${colorId}`)
-  startMarker.setAttribute("refX", "1")
-
-  return { end: endMarker, start: startMarker }
+export function parseArrowOption(option) {
+  let depth = 0
+  for (let i = 0; i < option.length; i++) {
+    const char = option[i]
+    if (char === "{" || char === "[") {
+      depth++
+    } else if (char === "}" || char === "]") {
+      depth--
+    } else if (depth === 0 && char === "=") {
+      return null
+    } else if (depth === 0 && char === "-") {
+      const start = parseTipList(option.slice(0, i))
+      const end = parseTipList(option.slice(i + 1))
+      if (!start || !end) return null
+      return { start: start.length ? start : null, end: end.length ? end : null }
+    }
+  }
+  return null
 }
 
 /**
- * Stealth arrow (filled triangle)
+ * Parse the tips given to > (>=Stealth[length=4mm])
  */
-function createStealthArrow(color, scale) {
-  const colorId = color.replace(/[^a-zA-Z0-9]/g, "")
-  const size = 12 * scale
-
-  const endMarker = document.createElementNS("http://www.w3.org/2000/svg", "marker")
-  endMarker.setAttribute("id", `arrow-stealth-end-${colorId}`)
-  endMarker.setAttribute("viewBox", "0 0 12 12")
-  endMarker.setAttribute("refX", "11")
-  endMarker.setAttribute("refY", "6")
-  endMarker.setAttribute("markerWidth", size)
-  endMarker.setAttribute("markerHeight", size)
-  endMarker.setAttribute("orient", "auto")
-  endMarker.setAttribute("markerUnits", "userSpaceOnUse")
-
-  const path = document.createElementNS("http://www.w3.org/2000/svg", "path")
-  path.setAttribute("d", "M 0 0 L 12 6 L 0 12 L 4 6 Z")
-  path.setAttribute("fill", color)
-  endMarker.appendChild(path)
-
-  const startMarker = endMarker.cloneNode(true)
-  startMarker.setAttribute("id", `arrow-stealth-start-${colorId}`)
-  startMarker.setAttribute("refX", "1")
-
-  return { end: endMarker, start: startMarker }
+export function parseDefaultTips(value) {
+  const tips = parseTipList(value || "")
+  return tips && tips.length ? tips : null
 }
 
 /**
- * LaTeX arrow (curved)
+ * Dimension in points with an optional multiple of the line width: "3mm", "2pt 4"
  */
-function createLatexArrow(color, scale) {
-  const colorId = color.replace(/[^a-zA-Z0-9]/g, "")
-  const size = 12 * scale
-
-  const endMarker = document.createElementNS("http://www.w3.org/2000/svg", "marker")
-  endMarker.setAttribute("id", `arrow-latex-end-${colorId}`)
-  endMarker.setAttribute("viewBox", "0 0 12 12")
-  endMarker.setAttribute("refX", "10")
-  endMarker.setAttribute("refY", "6")
-  endMarker.setAttribute("markerWidth", size)
-  endMarker.setAttribute("markerHeight", size)
-  endMarker.setAttribute("orient", "auto")
-  endMarker.setAttribute("markerUnits", "userSpaceOnUse")
-
-  // LaTeX-style arrow: pointed triangle with slight curve
-  const path = document.createElementNS("http://www.w3.org/2000/svg", "path")
-  path.setAttribute("d", "M 0 1 Q 4 6, 0 11 L 12 6 Z")
-  path.setAttribute("fill", color)
-  endMarker.appendChild(path)
-
-  const startMarker = endMarker.cloneNode(true)
-  startMarker.setAttribute("id", `arrow-latex-start-${colorId}`)
-  startMarker.setAttribute("refX", "2")
-
-  return { end: endMarker, start: startMarker }
+function parseTipDimension(value, lineWidth) {
+  const [dimension, factor] = stripOuterBraces(value).split(/\s+/)
+  const points = parseDistanceCm(dimension) * UNIT_IN_PT.cm
+  return points + (factor ? parseFloat(factor) * lineWidth || 0 : 0)
 }
 
 /**
- * To arrow (simple open arrow)
+ * Size, colors and placement of one tip from its options
  */
-function createToArrow(color, scale) {
-  const colorId = color.replace(/[^a-zA-Z0-9]/g, "")
-  const size = 8 * scale
-
-  const endMarker = document.createElementNS("http://www.w3.org/2000/svg", "marker")
-  endMarker.setAttribute("id", `arrow-to-end-${colorId}`)
-  endMarker.setAttribute("viewBox", "0 0 10 10")
-  endMarker.setAttribute("refX", "8")
-  endMarker.setAttribute("refY", "5")
-  endMarker.setAttribute("markerWidth", size)
-  endMarker.setAttribute("markerHeight", size)
-  endMarker.setAttribute("orient", "auto")
-  endMarker.setAttribute("markerUnits", "userSpaceOnUse")
-
-  const path = document.createElementNS("http://www.w3.org/2000/svg", "path")
-  path.setAttribute("d", "M 0 0 L 10 5 L 0 10")
-  path.setAttribute("fill", "none")
-  path.setAttribute("stroke", color)
-  path.setAttribute("stroke-width", "1.5")
-  path.setAttribute("stroke-linecap", "round")
-  path.setAttribute("stroke-linejoin", "round")
-  endMarker.appendChild(path)
-
-  const startMarker = endMarker.cloneNode(true)
-  startMarker.setAttribute("id", `arrow-to-start-${colorId}`)
-  startMarker.setAttribute("refX", "2")
-
-  return { end: endMarker, start: startMarker }
+function resolveTip(tip, reversed, lineWidth, color) {
+  const shape = TIP_SHAPES[tip.name]
+  const settings = {
+    length: null,
+    width: null,
+    widthFactor: null,
+    inset: null,
+    insetFactor: null,
+    scale: 1,
+    scaleLength: 1,
+    scaleWidth: 1,
+    color,
+    fill: null,
+    open: false,
+    round: Boolean(shape.round),
+    reversed,
+    side: null,
+    lineWidth,
+    sep: 0,
+    bend: false,
+    n: 4
+  }
+
+  for (const option of tip.options) {
+    const eqIndex = option.indexOf("=")
+    const key = (eqIndex === -1 ? option : option.slice(0, eqIndex)).trim()
+    const value = eqIndex === -1 ? null : option.slice(eqIndex + 1).trim()
+
+    switch (key) {
+      case "length":
+        settings.length = parseTipDimension(value, lineWidth)
+        break
+      case "width":
+        settings.width = parseTipDimension(value, lineWidth)
+        break
+      case "width'":
+        settings.widthFactor = parseFloat(value)
+        break
+      case "inset":
+        settings.inset = parseTipDimension(value, lineWidth)
+        break
+      case "inset'":
+        settings.insetFactor = parseFloat(value)
+        break
+      case "scale":
+        settings.scale = parseFloat(value) || 1
+        break
+      case "scale length":
+        settings.scaleLength = parseFloat(value) || 1
+        break
+      case "scale width":
+        settings.scaleWidth = parseFloat(value) || 1
+        break
+      case "color":
+        settings.color = parseColor(value) || settings.color
+        break
+      case "fill":
+        settings.fill = value === "none" ? "none" : parseColor(value) || settings.fill
+        break
+      case "open":
+        settings.open = true
+        break
+      case "round":
+        settings.round = true
+        break
+      case "sharp":
+        settings.round = false
+        break
+      case "reversed":
+        settings.reversed = !settings.reversed
+        break
+      case "harpoon":
+      case "left":
+        settings.side = "left"
+        break
+      case "right":
+        settings.side = "right"
+        break
+      case "line width":
+        settings.lineWidth = parseTipDimension(value, lineWidth)
+        break
+      case "sep":
+        settings.sep = value ? parseTipDimension(value, lineWidth) : 0.88 + 0.3 * lineWidth
+        break
+      case "bend":
+        settings.bend = true
+        break
+      case "n":
+        settings.n = Math.max(1, parseInt(value) || 4)
+        break
+      default:
+        // A color alone colors the tip, as it colors a path: Triangle[red]
+        if (value === null && parseColor(key)) {
+          settings.color = parseColor(key)
+        }
+    }
+  }
+
+  const defaultSize = ([points, factor]) => points + factor * lineWidth
+  const length = settings.length ?? defaultSize(shape.length)
+  const width = settings.width ?? (settings.widthFactor !== null || !Array.isArray(shape.width)
+    ? (settings.widthFactor ?? shape.width) * length
+    : defaultSize(shape.width))
+  const inset = settings.inset ?? (settings.insetFactor ?? shape.inset ?? 0) * length
+
+  const size = {
+    length: length * settings.scale * settings.scaleLength,
+    width: width * settings.scale * settings.scaleWidth,
+    inset: inset * settings.scale * settings.scaleLength,
+    side: settings.side,
+    n: settings.n
+  }
+  const { d, lineEnd } = shape.shape(size)
+
+  return {
+    d,
+    length: size.length,
+    width: size.width,
+    // A reversed tip meets the line with its apex
+    lineEnd: settings.reversed ? 0 : lineEnd,
+    reversed: settings.reversed,
+    stroke: settings.color,
+    fill: shape.stroked ? "none" : settings.fill ?? (settings.open ? "none" : settings.color),
+    strokeWidth: settings.lineWidth,
+    round: settings.round,
+    sep: settings.sep,
+    bend: settings.bend
+  }
 }
 
 /**
- * Bar arrow (|)
+ * Resolve the tips at one end of a path into what is needed to draw them
+ * defaultTips are what > and < stand for. Tips are listed from the line outwards;
+ * at the start > points back into the path and < away from it, as in TikZ.
+ * Returns { tips, apex, lineEnd, width, bend }: each tip with its offset from the
+ * back of the innermost one, the distance of the outermost apex and of the end of
+ * the line from there, in points. Returns null for no tips.
  */
-function createBarArrow(color, scale) {
-  const colorId = color.replace(/[^a-zA-Z0-9]/g, "")
-  const size = 8 * scale
-
-  const endMarker = document.createElementNS("http://www.w3.org/2000/svg", "marker")
-  endMarker.setAttribute("id", `arrow-bar-end-${colorId}`)
-  endMarker.setAttribute("viewBox", "0 0 10 10")
-  endMarker.setAttribute("refX", "5")
-  endMarker.setAttribute("refY", "5")
-  endMarker.setAttribute("markerWidth", size)
-  endMarker.setAttribute("markerHeight", size)
-  endMarker.setAttribute("orient", "auto")
-  endMarker.setAttribute("markerUnits", "userSpaceOnUse")
-
-  const line = document.createElementNS("http://www.w3.org/2000/svg", "line")
-  line.setAttribute("x1", "5")
-  line.setAttribute("y1", "0")
-  line.setAttribute("x2", "5")
-  line.setAttribute("y2", "10")
-  line.setAttribute("stroke", color)
-  line.setAttribute("stroke-width", "2")
-  endMarker.appendChild(line)
-
-  const startMarker = endMarker.cloneNode(true)
-  startMarker.setAttribute("id", `arrow-bar-start-${colorId}`)
-
-  return { end: endMarker, start: startMarker }
+export function resolveArrowTips(tips, defaultTips, lineWidth, color, atStart) {
+  if (!tips) return null
+
+  const expanded = []
+  for (const tip of atStart ? [...tips].reverse() : tips) {
+    if (tip.name === ">" || tip.name === "<") {
+      const reversed = (tip.name === "<") !== atStart
+      for (const base of defaultTips || DEFAULT_TIPS) {
+        const resolved = TIP_SHAPES[base.name] ? base : DEFAULT_TIPS[0]
+        expanded.push({ tip: { name: resolved.name, options: [...resolved.options, ...tip.options] }, reversed })
+      }
+    } else {
+      expanded.push({ tip, reversed: false })
+    }
+  }
+
+  const resolved = expanded.map(({ tip, reversed }) => resolveTip(tip, reversed, lineWidth, color))
+  let offset = 0
+  resolved.forEach((tip, i) => {
+    tip.offset = offset
+    offset += tip.length + (i < resolved.length - 1 ? tip.sep : 0)
+  })
+
+  return {
+    tips: resolved,
+    apex: offset,
+    lineEnd: resolved[0].offset + resolved[0].lineEnd,
+    width: Math.max(...resolved.map(tip => tip.width + tip.strokeWidth)),
+    bend: resolved.some(tip => tip.bend)
+  }
 }
 
 /**
- * Reversed arrow (<)
+ * Create the marker of resolved tips (see resolveArrowTips)
+ * The marker's reference point is the end of the line, or the apex of the tips
+ * when the path could not be shortened. orient is an angle in degrees for bent
+ * tips, otherwise the tips follow the path and turn around at its start.
  */
-function createReversedArrow(color, scale) {
-  const colorId = color.replace(/[^a-zA-Z0-9]/g, "")
-  const size = 10 * scale
-
-  const endMarker = document.createElementNS("http://www.w3.org/2000/svg", "marker")
-  endMarker.setAttribute("id", `arrow-reversed-end-${colorId}`)
-  endMarker.setAttribute("viewBox", "0 0 10 10")
-  endMarker.setAttribute("refX", "1")
-  endMarker.setAttribute("refY", "5")
-  endMarker.setAttribute("markerWidth", size)
-  endMarker.setAttribute("markerHeight", size)
-  endMarker.setAttribute("orient", "auto")
-  endMarker.setAttribute("markerUnits", "userSpaceOnUse")
-
-  const path = document.createElementNS("http://www.w3.org/2000/svg", "path")
-  path.setAttribute("d", "M 10 0 L 0 5 L 10 10 L 7 5 Z")
-  path.setAttribute("fill", color)
-  endMarker.appendChild(path)
-
-  const startMarker = endMarker.cloneNode(true)
-  startMarker.setAttribute("id", `arrow-reversed-start-${colorId}`)
-  startMarker.setAttribute("refX", "9")
-
-  return { end: endMarker, start: startMarker }
+export function createArrowMarker(id, arrow, atApex, orient) {
+  const marker = document.createElementNS(SVG_NS, "marker")
+  marker.setAttribute("id", id)
+  marker.setAttribute("markerUnits", "userSpaceOnUse")
+  marker.setAttribute("markerWidth", format(Math.max(arrow.apex, 1) * PX_PER_PT))
+  marker.setAttribute("markerHeight", format(arrow.width * PX_PER_PT))
+  marker.setAttribute("refX", format((atApex ? arrow.apex : arrow.lineEnd) * PX_PER_PT))
+  marker.setAttribute("refY", "0")
+  marker.setAttribute("orient", orient ?? "auto-start-reverse")
+  marker.setAttribute("overflow", "visible")
+
+  const group = document.createElementNS(SVG_NS, "g")
+  group.setAttribute("transform", `scale(${PX_PER_PT})`)
+  for (const tip of arrow.tips) {
+    const path = document.createElementNS(SVG_NS, "path")
+    path.setAttribute("d", tip.d)
+    path.setAttribute("transform", tip.reversed
+      ? `translate(${format(tip.offset + tip.length)} 0) scale(-1 1)`
+      : `translate(${format(tip.offset)} 0)`)
+    path.setAttribute("fill", tip.fill)
+    path.setAttribute("stroke", tip.stroke)
+    path.setAttribute("stroke-width", format(tip.strokeWidth))
+    path.setAttribute("stroke-linejoin", tip.round ? "round" : "miter")
+    path.setAttribute("stroke-linecap", tip.round ? "round" : "butt")
+    group.appendChild(path)
+  }
+  marker.appendChild(group)
+
+  return marker
+}
+
+/**
+ * Split SVG path data into commands: [{ command, values }]
+ * Only the absolute commands the renderer writes are expected.
+ */
+function parsePathData(pathData) {
+  const commands = []
+  for (const [token] of pathData.matchAll(/[A-Za-z]|[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?/g)) {
+    if (/[A-Za-z]/.test(token)) {
+      commands.push({ command: token, values: [] })
+    } else if (commands.length) {
+      commands[commands.length - 1].values.push(parseFloat(token))
+    }
+  }
+  return commands
+}
+
+function formatPathData(commands) {
+  return commands.map(({ command, values }) => [command, ...values.map(format)].join(" ")).join(" ")
 }
 
 /**
- * Double arrow (>>)
+ * The first or last piece of a path: its end point, the point the path leaves or
+ * arrives from (the nearest distinct control point), and where its values sit
+ * Returns null when the end is not a line or a curve.
  */
-function createDoubleArrow(color, scale) {
-  const colorId = color.replace(/[^a-zA-Z0-9]/g, "")
-  const size = 14 * scale
-
-  const endMarker = document.createElementNS("http://www.w3.org/2000/svg", "marker")
-  endMarker.setAttribute("id", `arrow-double-end-${colorId}`)
-  endMarker.setAttribute("viewBox", "0 0 14 10")
-  endMarker.setAttribute("refX", "13")
-  endMarker.setAttribute("refY", "5")
-  endMarker.setAttribute("markerWidth", size)
-  endMarker.setAttribute("markerHeight", size)
-  endMarker.setAttribute("orient", "auto")
-  endMarker.setAttribute("markerUnits", "userSpaceOnUse")
-
-  const path = document.createElementNS("http://www.w3.org/2000/svg", "path")
-  path.setAttribute("d", "M 0 0 L 7 5 L 0 10 L 2 5 Z M 6 0 L 13 5 L 6 10 L 8 5 Z")
-  path.setAttribute("fill", color)
-  endMarker.appendChild(path)
-
-  const startMarker = endMarker.cloneNode(true)
-  startMarker.setAttribute("id", `arrow-double-start-${colorId}`)
-  startMarker.setAttribute("refX", "1")
-
-  return { end: endMarker, start: startMarker }
+function pathEndPiece(commands, atStart) {
+  if (atStart) {
+    const [move, next] = commands
+    if (move?.command !== "M" || !next || (next.command !== "L" && next.command !== "C")) return null
+    const points = [[move.values[0], move.values[1]]]
+    for (let i = 0; i < next.values.length; i += 2) points.push([next.values[i], next.values[i + 1]])
+    return { points, command: next, move }
+  }
+
+  const last = commands[commands.length - 1]
+  const previous = commands[commands.length - 2]?.values
+  if (!last || (last.command !== "L" && last.command !== "C") || !previous || previous.length < 2) return null
+  const points = [[last.values[last.values.length - 2], last.values[last.values.length - 1]]]
+  for (let i = last.values.length - 4; i >= 0; i -= 2) points.push([last.values[i], last.values[i + 1]])
+  points.push([previous[previous.length - 2], previous[previous.length - 1]])
+  return { points, command: last }
 }
 
 /**
- * Update all arrow markers to use a specific color
+ * Shorten a path at its start or end by amount pixels, moving the end point and
+ * the adjacent control point of a curve along the path's direction there
+ * Returns the new path data, or null when the end is not a line or a curve or is
+ * too short.
  */
-export function updateArrowColors(svg, color) {
-  const defs = svg.querySelector("defs")
-  if (!defs) return
+export function shortenPathData(pathData, atStart, amount) {
+  const commands = parsePathData(pathData)
+  const piece = pathEndPiece(commands, atStart)
+  if (!piece) return null
+  if (amount <= 0) return pathData
+
+  const [end, ...rest] = piece.points
+  const toward = rest.find(([x, y]) => Math.hypot(x - end[0], y - end[1]) > 1e-9)
+  const far = rest[rest.length - 1]
+  if (!toward || Math.hypot(far[0] - end[0], far[1] - end[1]) <= amount) return null
+
+  const distance = Math.hypot(toward[0] - end[0], toward[1] - end[1])
+  const dx = (toward[0] - end[0]) / distance * amount
+  const dy = (toward[1] - end[1]) / distance * amount
+  const { command } = piece
+
+  if (atStart) {
+    piece.move.values[0] += dx
+    piece.move.values[1] += dy
+    if (command.command === "C") {
+      command.values[0] += dx
+      command.values[1] += dy
+    }
+  } else {
+    const values = command.values
+    values[values.length - 2] += dx
+    values[values.length - 1] += dy
+    if (command.command === "C") {
+      values[2] += dx
+      values[3] += dy
+    }
+  }
 
-  // Remove existing arrows and recreate with new color
-  const markers = defs.querySelectorAll("marker")
-  markers.forEach(marker => marker.remove())
+  return formatPathData(commands)
+}
 
-  const newDefs = createArrowDefs(color)
-  while (newDefs.firstChild) {
-    defs.appendChild(newDefs.firstChild)
+/**
+ * Direction in degrees, pointing out of the path, of the chord from the point at
+ * distance pixels before its end (or after its start) to that end; bent tips
+ * follow this chord instead of the tangent. Returns null when the end is not a
+ * line or a curve.
+ */
+export function pathEndAngle(pathData, atStart, distance) {
+  const piece = pathEndPiece(parsePathData(pathData), atStart)
+  if (!piece) return null
+
+  // Walk back along the line or curve from its end
+  const [p0, ...controls] = piece.points
+  const bezier = controls.length === 3
+    ? t => [0, 1].map(axis => {
+      const [a, b, c, d] = [p0, controls[0], controls[1], controls[2]].map(point => point[axis])
+      return (1 - t) ** 3 * a + 3 * (1 - t) ** 2 * t * b + 3 * (1 - t) * t ** 2 * c + t ** 3 * d
+    })
+    : t => [p0[0] + (controls[0][0] - p0[0]) * t, p0[1] + (controls[0][1] - p0[1]) * t]
+
+  let previous = p0
+  let travelled = 0
+  let point = controls[controls.length - 1]
+  for (let i = 1; i <= 64; i++) {
+    const next = bezier(i / 64)
+    travelled += Math.hypot(next[0] - previous[0], next[1] - previous[1])
+    previous = next
+    if (travelled >= distance) {
+      point = next
+      break
+    }
   }
+
+  if (Math.hypot(p0[0] - point[0], p0[1] - point[1]) < 1e-9) return null
+  return Math.atan2(p0[1] - point[1], p0[0] - point[0]) * 180 / Math.PI
 }
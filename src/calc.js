@@ -0,0 +1,201 @@
+/**
+ * TikZ Calc Library - Evaluates coordinate calculations $...$
+ *
+ * Supported syntax:
+ *   $(a) + (b) - (c)$                 sums and differences of any number of terms
+ *   $2*(a) + {1/3}*(b)$               scalar factors (pgfmath expressions)
+ *   $(a)!0.3!(b)$                     partway modifier
+ *   $(a)!1cm!(b)$                     distance modifier
+ *   $(a)!0.5!30:(b)$                  modifiers with (b) rotated around (a) first
+ *   $(a)!(p)!(b)$                     projection of (p) onto the line through (a) and (b)
+ * Modifiers can be chained: $(a)!0.5!(b)!1cm!90:(c)$
+ */
+
+import { evaluateMath, evaluateMathDimension, PgfMathError, UNIT_IN_PT } from "./pgfmath.js"
+import { stripOuterBraces } from "./keys.js"
+
+class CalcSyntaxError extends Error {}
+
+/**
+ * Reads calc terms from the text between the dollar signs
+ * resolve(coordinate) turns the content of a (...) operand into a picture point.
+ */
+class CalcReader {
+  constructor(text, resolve) {
+    this.text = text
+    this.position = 0
+    this.resolve = resolve
+  }
+
+  get current() {
+    return this.text[this.position]
+  }
+
+  skipSpaces() {
+    while (this.position < this.text.length && /\s/.test(this.current)) this.position++
+  }
+
+  /**
+   * Read up to a top-level stop character, not consuming it
+   */
+  readUntil(stop) {
+    const start = this.position
+    let depth = 0
+    while (this.position < this.text.length) {
+      const char = this.current
+      if (depth === 0 && stop.includes(char)) {
+        return this.text.slice(start, this.position)
+      }
+      if (char === "(" || char === "{") depth++
+      else if (char === ")" || char === "}") depth--
+      this.position++
+    }
+    throw new CalcSyntaxError(`Expected "${stop}" in calc expression`)
+  }
+
+  /**
+   * Read a (...) operand and resolve it to a point
+   */
+  readCoordinate() {
+    this.skipSpaces()
+    if (this.current !== "(") {
+      throw new CalcSyntaxError("Expected a coordinate in calc expression")
+    }
+    const start = ++this.position
+    let depth = 1
+    while (this.position < this.text.length) {
+      const char = this.current
+      if (char === "(") depth++
+      else if (char === ")" && --depth === 0) break
+      this.position++
+    }
+    if (depth !== 0) {
+      throw new CalcSyntaxError("Unbalanced parentheses in calc expression")
+    }
+    const inner = this.text.slice(start, this.position++)
+    const point = this.resolve(inner.trim())
+    if (!point) {
+      throw new CalcSyntaxError(`Unknown coordinate (${inner}) in calc expression`)
+    }
+    return point
+  }
+
+  /**
+   * Read the target of a modifier: an optional rotation angle and a coordinate, e.g. 30:(b)
+   */
+  readModifierTarget(origin) {
+    this.skipSpaces()
+    let target
+    if (this.current === "(") {
+      target = this.readCoordinate()
+    } else {
+      const angleText = this.readUntil(":")
+      this.position++ // consume :
+      const angle = evaluateMath(stripOuterBraces(angleText))
+      target = origin.add(this.readCoordinate().subtract(origin).rotate(angle))
+    }
+    return target
+  }
+
+  /**
+   * Apply one modifier !...! to the point read so far
+   */
+  readModifier(point) {
+    this.position++ // consume !
+    this.skipSpaces()
+
+    // Projection: (a)!(p)!(b)
+    if (this.current === "(") {
+      const projected = this.readCoordinate()
+      this.skipSpaces()
+      if (this.current !== "!") {
+        throw new CalcSyntaxError("Expected \"!\" after projection point in calc expression")
+      }
+      this.position++
+      const direction = this.readModifierTarget(point).subtract(point)
+      const lengthSquared = direction.x * direction.x + direction.y * direction.y
+      if (lengthSquared === 0) return point
+      const offset = projected.subtract(point)
+      return point.add(direction.scale((offset.x * direction.x + offset.y * direction.y) / lengthSquared))
+    }
+
+    const amountText = this.readUntil("!")
+    this.position++ // consume !
+    const { value, hasUnits } = evaluateMathDimension(stripOuterBraces(amountText))
+    const direction = this.readModifierTarget(point).subtract(point)
+
+    if (hasUnits) {
+      // Distance modifier: move the given distance towards the target
+      const length = Math.hypot(direction.x, direction.y)
+      if (length === 0) return point
+      return point.add(direction.scale(value / UNIT_IN_PT.cm / length))
+    }
+
+    // Partway modifier
+    return point.add(direction.scale(value))
+  }
+
+  /**
+   * Read one term: [factor*](coordinate)[modifiers]
+   */
+  readTerm() {
+    this.skipSpaces()
+    let factor = 1
+    if (this.current !== "(") {
+      const factorText = this.readUntil("*")
+      this.position++ // consume *
+      factor = evaluateMath(stripOuterBraces(factorText))
+    }
+
+    let point = this.readCoordinate()
+    this.skipSpaces()
+    while (this.current === "!") {
+      point = this.readModifier(point)
+      this.skipSpaces()
+    }
+
+    return point.scale(factor)
+  }
+
+  readExpression() {
+    let result = null
+    let sign = 1
+
+    this.skipSpaces()
+    if (this.current === "+" || this.current === "-") {
+      sign = this.current === "-" ? -1 : 1
+      this.position++
+    }
+
+    for (;;) {
+      const term = this.readTerm().scale(sign)
+      result = result ? result.add(term) : term
+
+      this.skipSpaces()
+      if (this.position >= this.text.length) break
+      if (this.current !== "+" && this.current !== "-") {
+        throw new CalcSyntaxError(`Unexpected "${this.current}" in calc expression`)
+      }
+      sign = this.current === "-" ? -1 : 1
+      this.position++
+    }
+
+    return result
+  }
+}
+
+/**
+ * Evaluate a calc coordinate such as "$(a)!0.5!(b)$"
+ * Returns the resulting point, or null if the text is not a valid calc expression.
+ */
+export function evaluateCalc(text, resolve) {
+  const trimmed = text.trim()
+  if (trimmed.length < 2 || !trimmed.startsWith("$") || !trimmed.endsWith("$")) return null
+
+  try {
+    return new CalcReader(trimmed.slice(1, -1), resolve).readExpression()
+  } catch (e) {
+    if (e instanceof CalcSyntaxError || e instanceof PgfMathError) return null
+    throw e
+  }
+}
@@ -1,6 +1,15 @@
 /**
  * TikZ Coordinate System - Handles coordinate parsing and transformations
  */
+import { evaluateMathDimension, PgfMathError, UNIT_IN_PT } from "./pgfmath.js"
+import { evaluateCalc } from "./calc.js"
+import { splitKeyList, stripOuterBraces } from "./keys.js"
+import { shapeAnchors, shapeBorderPoint } from "./shapes.js"
+
+// name.anchor: named anchors may have several words and end in a number ("outer point 3"),
+// and a plain number is an angle on the node's border
+const NODE_ANCHOR_REGEX = /^([a-zA-Z_][a-zA-Z0-9_-]*)\.([a-zA-Z]+(?:\s+[a-zA-Z0-9]+)*|-?\d+(?:\.\d+)?)$/
+
 export class Point {
   constructor(x, y) {
     this.x = x
@@ -43,13 +52,169 @@ export class CoordinateSystem {
     this.axisScale = { x: 1, y: 1, z: 1 }
     this.globalScale = 1
     this.zProjection = { x: 1, y: 1 }
+    this.transformStack = []   // One transformation list per enclosing scope
+    this.transformMatrix = null // Affine matrix of the active transformations, null for identity
+    this.onError = null // Called with the PgfMathError of an expression in a coordinate
   }
 
   reset() {
-    this.currentPosition = new Point(0, 0)
+    this.currentPosition = this.transformPoint(new Point(0, 0))
     this.currentPosition3D = { x: 0, y: 0, z: 0 }
   }
 
+  /**
+   * Enter a scope whose transformations apply to all coordinates until popped
+   */
+  pushTransformations(transforms) {
+    this.transformStack.push(this.resolveTransformations(transforms || []))
+    this.updateTransformMatrix()
+  }
+
+  /**
+   * Resolve the coordinates used by shift, rotate around and cm transformations
+   * They are read in the enclosing scope, so shift={(a.north)} moves the origin onto that anchor.
+   */
+  resolveTransformations(transforms) {
+    return transforms.flatMap(transform => {
+      // Transformations whose values could not be evaluated are reported and left out
+      if (transform.type === "invalid") {
+        this.reportError(transform.error)
+        return []
+      }
+      const { coordinate, ...resolved } = transform
+      if (coordinate === undefined) return [transform]
+      const local = this.untransformPoint(this.parseCoordinate(coordinate, false, false))
+      return [{ ...resolved, x: local.x, y: local.y }]
+    })
+  }
+
+  popTransformations() {
+    this.transformStack.pop()
+    this.updateTransformMatrix()
+  }
+
+  /**
+   * Run fn with the enclosing transformations replaced by transforms, in a frame
+   * placed directly on the picture (such as the frame of a decoration mark)
+   */
+  withTransformations(transforms, fn) {
+    const saved = this.transformStack
+    this.transformStack = [this.resolveTransformations(transforms)]
+    this.updateTransformMatrix()
+    try {
+      return fn()
+    } finally {
+      this.transformStack = saved
+      this.updateTransformMatrix()
+    }
+  }
+
+  updateTransformMatrix() {
+    // TikZ applies the innermost (and, within one option list, the last) transformation first
+    const transforms = this.transformStack.flat().reverse()
+    if (transforms.length === 0) {
+      this.transformMatrix = null
+      return
+    }
+
+    this.transformMatrix = this.getTransformationMatrix(transforms)
+  }
+
+  /**
+   * Affine matrix { a, b, c, d, e, f } of resolved transformations, applied in list order
+   */
+  getTransformationMatrix(transforms) {
+    const origin = this.applyTransformations(new Point(0, 0), transforms)
+    const ex = this.applyTransformations(new Point(1, 0), transforms).subtract(origin)
+    const ey = this.applyTransformations(new Point(0, 1), transforms).subtract(origin)
+    return { a: ex.x, b: ex.y, c: ey.x, d: ey.y, e: origin.x, f: origin.y }
+  }
+
+  /**
+   * Map a point from the current scope's coordinates to picture coordinates
+   */
+  transformPoint(point) {
+    const m = this.transformMatrix
+    if (!m) return point
+    return new Point(
+      m.a * point.x + m.c * point.y + m.e,
+      m.b * point.x + m.d * point.y + m.f
+    )
+  }
+
+  /**
+   * Map a point from picture coordinates back to the current scope's coordinates
+   */
+  untransformPoint(point) {
+    const m = this.transformMatrix
+    if (!m) return point
+    const det = m.a * m.d - m.b * m.c
+    if (det === 0) return point
+    const x = point.x - m.e
+    const y = point.y - m.f
+    return new Point(
+      (m.d * x - m.c * y) / det,
+      (m.a * y - m.b * x) / det
+    )
+  }
+
+  /**
+   * Length scale factors of the active transformations along the x and y axes
+   */
+  getTransformScale() {
+    const m = this.transformMatrix
+    if (!m) return { x: 1, y: 1 }
+    return { x: Math.hypot(m.a, m.b), y: Math.hypot(m.c, m.d) }
+  }
+
+  /**
+   * Rotation angle (degrees) of the active transformations
+   */
+  getTransformRotation() {
+    const m = this.transformMatrix
+    if (!m) return 0
+    return Math.atan2(m.b, m.a) * 180 / Math.PI
+  }
+
+  /**
+   * Image of an axis-aligned ellipse with radii rx, ry under the active transformations
+   * Returns { rx, ry, rotation } with rotation in degrees; slants and rotated scalings tilt the axes.
+   */
+  transformEllipse(rx, ry) {
+    const m = this.transformMatrix
+    if (!m) return { rx, ry, rotation: 0 }
+
+    const epsilon = 1e-9
+    if (Math.abs(m.b) < epsilon && Math.abs(m.c) < epsilon) {
+      return { rx: rx * Math.abs(m.a), ry: ry * Math.abs(m.d), rotation: 0 }
+    }
+
+    // Images of the two radii; when they are perpendicular they are the new axes
+    const u = new Point(m.a * rx, m.b * rx)
+    const v = new Point(m.c * ry, m.d * ry)
+    let t = 0
+    if (Math.abs(u.x * v.x + u.y * v.y) > epsilon) {
+      // Otherwise the axes lie at the parameter where the radius is extremal
+      t = Math.atan2(2 * (u.x * v.x + u.y * v.y), (u.x * u.x + u.y * u.y) - (v.x * v.x + v.y * v.y)) / 2
+    }
+    const xAxis = u.scale(Math.cos(t)).add(v.scale(Math.sin(t)))
+    const yAxis = v.scale(Math.cos(t)).subtract(u.scale(Math.sin(t)))
+    return {
+      rx: Math.hypot(xAxis.x, xAxis.y),
+      ry: Math.hypot(yAxis.x, yAxis.y),
+      rotation: Math.atan2(xAxis.y, xAxis.x) * 180 / Math.PI
+    }
+  }
+
+  /**
+   * Move the current position to a point already in picture coordinates
+   */
+  setCanvasPosition(point) {
+    const local = this.untransformPoint(point)
+    this.currentPosition = point
+    this.currentPosition3D = { x: local.x, y: local.y, z: 0 }
+  }
+
   setAxisScale(axis, value) {
     if (!Number.isFinite(value)) return
     if (axis === "x" || axis === "y" || axis === "z") {
@@ -77,122 +242,160 @@ export class CoordinateSystem {
     this.namedCoordinates.set(name, point)
   }
 
-  registerNode(name, point, anchors, shape = "rectangle", width = 1, height = 0.5) {
-    this.nodes.set(name, { center: point, anchors, shape, width, height })
+  registerNode(name, point, anchors, shape = "rectangle", width = 1, height = 0.5, shapeParams = {}) {
+    this.nodes.set(name, { center: point, anchors, shape, width, height, shapeParams })
   }
 
   /**
-   * Parse a coordinate string and return a Point
-   * Formats:
-   *   - (x, y) - Cartesian
-   *   - (angle:radius) - Polar
-   *   - (name) - Named coordinate
-   *   - (name.anchor) - Node anchor
-   *   - +(x,y) or ++(x,y) handled by caller via prefix
+   * Evaluate one coordinate component in xyz units
+   * Plain numbers are multiples of the axis vector; dimensions (1cm, 5mm, 2pt) are absolute.
    */
-  parseCoordinate(coordString, isRelative = false, updatePosition = true) {
-    const trimmed = coordString.trim()
+  parseLength(value, axis) {
+    const expr = stripOuterBraces(value)
+    if (!expr) return null
+    try {
+      const { value: result, hasUnits } = evaluateMathDimension(expr)
+      if (!Number.isFinite(result)) return null
+      return hasUnits ? result / UNIT_IN_PT.cm / (this.axisScale[axis] || 1) : result
+    } catch (error) {
+      this.reportError(error)
+      return null
+    }
+  }
 
-    const parseCalcExpression = () => {
-      if (!trimmed.startsWith("$(") || !trimmed.endsWith(")$")) return null
+  /**
+   * Evaluate a pgfmath expression (an angle, a weight or a length in points), or return null
+   */
+  evaluateExpression(value) {
+    try {
+      const { value: result } = evaluateMathDimension(stripOuterBraces(value))
+      return Number.isFinite(result) ? result : null
+    } catch (error) {
+      this.reportError(error)
+      return null
+    }
+  }
 
-      let i = 2
-      let depth = 0
-      let left = ""
+  /**
+   * Pass an error in the expression of a coordinate to onError; other errors are rethrown
+   */
+  reportError(error) {
+    if (!(error instanceof PgfMathError)) throw error
+    this.onError?.(error)
+  }
 
-      for (; i < trimmed.length; i++) {
-        const ch = trimmed[i]
-        if (ch === "(") {
-          depth++
-          left += ch
-          continue
-        }
-        if (ch === ")") {
-          if (depth === 0) break
-          depth--
-          left += ch
-          continue
-        }
-        left += ch
-      }
+  /**
+   * Resolve an explicit coordinate system such as "canvas cs:x=1cm,y=2cm"
+   * Returns { x, y, z } in xyz units, { canvas } for a point in picture coordinates, or null
+   */
+  parseCoordinateSystem(system, values) {
+    // Canvas lengths without a unit are points
+    const canvasLength = (value, axis) => {
+      const length = this.evaluateExpression(value ?? "0")
+      return length === null ? null : length / UNIT_IN_PT.cm / (this.axisScale[axis] || 1)
+    }
 
-      if (i >= trimmed.length - 1) return null
-      i++
+    switch (system) {
+      case "xyz": {
+        const [x, y, z] = ["x", "y", "z"].map(axis => (values.has(axis) ? this.parseLength(values.get(axis), axis) : 0))
+        return x === null || y === null || z === null ? null : { x, y, z }
+      }
 
-      while (i < trimmed.length && /\s/.test(trimmed[i])) i++
+      case "canvas": {
+        const x = canvasLength(values.get("x"), "x")
+        const y = canvasLength(values.get("y"), "y")
+        return x === null || y === null ? null : { x, y, z: 0 }
+      }
 
-      if (trimmed[i] === "$") {
-        if (i === trimmed.length - 1) {
-          return this.parseCoordinate(left.trim(), false, false)
-        }
-        return null
+      case "polar":
+      case "canvas polar": {
+        const angle = this.evaluateExpression(values.get("angle") ?? "0")
+        const radius = values.get("radius") ?? "0"
+        const xRadius = values.get("x radius") ?? radius
+        const yRadius = values.get("y radius") ?? radius
+        const rx = system === "polar" ? this.parseLength(xRadius, "x") : canvasLength(xRadius, "x")
+        const ry = system === "polar" ? this.parseLength(yRadius, "y") : canvasLength(yRadius, "y")
+        if (angle === null || rx === null || ry === null) return null
+        const rad = (angle * Math.PI) / 180
+        return { x: rx * Math.cos(rad), y: ry * Math.sin(rad), z: 0 }
       }
 
-      const op = trimmed[i]
-      if (op !== "+" && op !== "-") return null
-      i++
-
-      while (i < trimmed.length && /\s/.test(trimmed[i])) i++
-      if (trimmed[i] !== "(") return null
-      i++
-
-      depth = 0
-      let right = ""
-      for (; i < trimmed.length; i++) {
-        const ch = trimmed[i]
-        if (ch === "(") {
-          depth++
-          right += ch
-          continue
+      case "node": {
+        const name = values.get("name")
+        const node = this.nodes.get(name)
+        if (!node) {
+          const point = this.namedCoordinates.get(name)
+          return point ? { canvas: point } : null
         }
-        if (ch === ")") {
-          if (depth === 0) break
-          depth--
-          right += ch
-          continue
+        if (values.has("angle")) {
+          const angle = this.evaluateExpression(values.get("angle"))
+          if (angle === null) return null
+          const rad = (angle * Math.PI) / 180
+          const target = new Point(node.center.x + Math.cos(rad), node.center.y + Math.sin(rad))
+          return { canvas: this.getNodeBoundaryPoint(name, target) }
         }
-        right += ch
+        const anchor = values.get("anchor")
+        return { canvas: (anchor && node.anchors?.[anchor]) || node.center }
       }
 
-      if (i >= trimmed.length - 1) return null
-      if (trimmed.slice(i + 1).trim() !== "$") return null
+      case "barycentric": {
+        // Weighted average of named points: barycentric cs:a=1,b=2
+        let total = 0
+        let sum = new Point(0, 0)
+        for (const [name, weightText] of values) {
+          const weight = this.evaluateExpression(weightText)
+          if (weight === null) return null
+          sum = sum.add(this.parseCoordinate(name, false, false).scale(weight))
+          total += weight
+        }
+        return total === 0 ? null : { canvas: sum.scale(1 / total) }
+      }
 
-      const leftPoint = this.parseCoordinate(left.trim(), false, false)
-      const rightPoint = this.parseCoordinate(right.trim(), false, false)
-      return op === "+" ? leftPoint.add(rightPoint) : leftPoint.subtract(rightPoint)
+      default:
+        return null
     }
+  }
 
-    const calcPoint = parseCalcExpression()
-    if (calcPoint) {
-      let result = calcPoint
+  /**
+   * Parse a coordinate string and return a Point
+   * Formats:
+   *   - (x, y) - Cartesian, with plain numbers or dimensions (1cm, 5mm)
+   *   - (x, y, z) - 3D
+   *   - (angle:radius) - Polar, also (angle:x radius and y radius)
+   *   - (system cs:key=value, ...) - Explicit coordinate systems: xyz, canvas, polar,
+   *     canvas polar, node and barycentric
+   *   - (name) - Named coordinate
+   *   - (name.anchor) - Node anchor
+   *   - +(x,y) or ++(x,y) handled by caller via prefix
+   */
+  parseCoordinate(coordString, isRelative = false, updatePosition = true) {
+    const trimmed = coordString.trim()
+
+    // Place a point given in picture coordinates
+    const placeCanvas = (point) => {
+      let result = point
       if (isRelative) {
         result = result.add(this.currentPosition)
       }
       if (updatePosition) {
-        this.currentPosition = result
-        this.currentPosition3D = { x: result.x, y: result.y, z: 0 }
+        this.setCanvasPosition(result)
       }
       return result
     }
 
-    // Check for polar coordinates (angle:radius)
-    const polarMatch = trimmed.match(/^(-?\d+\.?\d*)\s*:\s*(-?\d+\.?\d*)$/)
-    if (polarMatch) {
-      const angle = parseFloat(polarMatch[1])
-      const radius = parseFloat(polarMatch[2])
-      const x = radius * Math.cos((angle * Math.PI) / 180)
-      const y = radius * Math.sin((angle * Math.PI) / 180)
-      let point3D = { x, y, z: 0 }
+    // Place a point given in xyz units (multiples of the x, y and z vectors)
+    const placeXyz = (x, y, z = 0) => {
+      let point3D = { x, y, z }
 
       if (isRelative) {
         point3D = {
           x: this.currentPosition3D.x + point3D.x,
           y: this.currentPosition3D.y + point3D.y,
-          z: this.currentPosition3D.z
+          z: this.currentPosition3D.z + point3D.z
         }
       }
 
-      const projected = this.project3D(point3D.x, point3D.y, point3D.z)
+      const projected = this.transformPoint(this.project3D(point3D.x, point3D.y, point3D.z))
       if (updatePosition) {
         this.currentPosition3D = point3D
         this.currentPosition = projected
@@ -201,85 +404,81 @@ export class CoordinateSystem {
       return projected
     }
 
-    const parseNumericExpression = (value) => {
-      const expr = value.trim()
-      if (!expr) return null
-      const direct = parseFloat(expr)
-      if (Number.isFinite(direct) && direct.toString() === expr.replace(/^\+/, "")) {
-        return direct
-      }
-      if (!/^[0-9+\-*/().\s]+$/.test(expr)) return null
-      try {
-        const result = Function(`"use strict"; return (${expr})`)()
-        return Number.isFinite(result) ? result : null
-      } catch {
-        return null
-      }
+    // A missing ) or } makes the coordinate run on; its expressions cannot be read
+    const unbalanced = unbalancedOffset(trimmed)
+    if (unbalanced !== -1) {
+      this.reportError(new PgfMathError("Unbalanced parentheses or braces", unbalanced, trimmed))
+      return this.currentPosition.clone()
     }
 
-    const parts = trimmed.split(",").map(part => part.trim()).filter(part => part.length > 0)
-
-    // Check for 3D Cartesian coordinates (x, y, z)
-    if (parts.length === 3) {
-      const xVal = parseNumericExpression(parts[0])
-      const yVal = parseNumericExpression(parts[1])
-      const zVal = parseNumericExpression(parts[2])
-      if (xVal === null || yVal === null || zVal === null) {
-        return this.currentPosition.clone()
-      }
-      let point3D = { x: xVal, y: yVal, z: zVal }
+    const calcPoint = evaluateCalc(trimmed, (inner) => this.parseCoordinate(inner, false, false))
+    if (calcPoint) {
+      return placeCanvas(calcPoint)
+    }
 
-      if (isRelative) {
-        point3D = {
-          x: this.currentPosition3D.x + point3D.x,
-          y: this.currentPosition3D.y + point3D.y,
-          z: this.currentPosition3D.z + point3D.z
-        }
-      }
+    // Check for perpendicular coordinates: (p |- q) takes x from p and y from q, (p -| q) the reverse
+    const perpendicular = findPerpendicularOperator(trimmed)
+    if (perpendicular) {
+      const first = this.parseCoordinate(trimmed.slice(0, perpendicular.index), false, false)
+      const second = this.parseCoordinate(trimmed.slice(perpendicular.index + 2), false, false)
+      return placeCanvas(perpendicular.operator === "|-"
+        ? new Point(first.x, second.y)
+        : new Point(second.x, first.y))
+    }
 
-      const projected = this.project3D(point3D.x, point3D.y, point3D.z)
-      if (updatePosition) {
-        this.currentPosition3D = point3D
-        this.currentPosition = projected
+    // Check for explicit coordinate systems (canvas cs:x=1cm,y=2cm)
+    const csMatch = trimmed.match(/^([a-z]+(?:\s+[a-z]+)?)\s+cs\s*:([\s\S]*)$/)
+    if (csMatch) {
+      const point = this.parseCoordinateSystem(csMatch[1], parseKeyValues(csMatch[2]))
+      if (point) {
+        return point.canvas ? placeCanvas(point.canvas) : placeXyz(point.x, point.y, point.z)
       }
-
-      return projected
+      return this.currentPosition.clone()
     }
 
-    // Check for Cartesian coordinates (x, y)
-    if (parts.length === 2) {
-      const xVal = parseNumericExpression(parts[0])
-      const yVal = parseNumericExpression(parts[1])
-      if (xVal === null || yVal === null) {
+    // Check for polar coordinates (angle:radius), (angle:x radius and y radius)
+    const polarParts = splitKeyList(trimmed, ":", true)
+    if (polarParts.length === 2) {
+      const angle = this.evaluateExpression(polarParts[0])
+      const radii = polarParts[1].split(/\s+and\s+/)
+      const rx = this.parseLength(radii[0], "x")
+      const ry = radii.length > 1 ? this.parseLength(radii[1], "y") : this.parseLength(radii[0], "y")
+      if (angle === null || rx === null || ry === null) {
         return this.currentPosition.clone()
       }
-      let point3D = { x: xVal, y: yVal, z: 0 }
+      const rad = (angle * Math.PI) / 180
+      return placeXyz(rx * Math.cos(rad), ry * Math.sin(rad))
+    }
 
-      if (isRelative) {
-        point3D = {
-          x: this.currentPosition3D.x + point3D.x,
-          y: this.currentPosition3D.y + point3D.y,
-          z: this.currentPosition3D.z
-        }
-      }
+    const parts = splitKeyList(trimmed, ",", true)
 
-      const projected = this.project3D(point3D.x, point3D.y, point3D.z)
-      if (updatePosition) {
-        this.currentPosition3D = point3D
-        this.currentPosition = projected
+    // Check for Cartesian coordinates (x, y) and 3D coordinates (x, y, z)
+    if (parts.length === 2 || parts.length === 3) {
+      const values = parts.map((part, index) => this.parseLength(part, "xyz"[index]))
+      if (values.includes(null)) {
+        return this.currentPosition.clone()
       }
-
-      return projected
+      return placeXyz(...values)
     }
 
-    // Check for node anchor (name.anchor), allowing compound anchors like "north west"
-    const anchorMatch = trimmed.match(/^([a-zA-Z_][a-zA-Z0-9_-]*)\.([a-zA-Z]+(?:\s+[a-zA-Z]+)?)$/)
+    // Check for node anchor (name.anchor), allowing compound anchors like "north west" or
+    // "corner 1", and border angles like name.30
+    const anchorMatch = trimmed.match(NODE_ANCHOR_REGEX)
     if (anchorMatch) {
       const nodeName = anchorMatch[1]
       const anchorName = anchorMatch[2]
       const node = this.nodes.get(nodeName)
+      const angle = parseFloat(anchorName)
 
-      if (node && node.anchors && node.anchors[anchorName]) {
+      if (node && Number.isFinite(angle)) {
+        const rad = (angle * Math.PI) / 180
+        const target = new Point(node.center.x + Math.cos(rad), node.center.y + Math.sin(rad))
+        const point = this.getNodeBoundaryPoint(nodeName, target)
+        if (updatePosition) {
+          this.currentPosition = point
+        }
+        return point
+      } else if (node && node.anchors && node.anchors[anchorName]) {
         const point = node.anchors[anchorName]
         if (updatePosition) {
           this.currentPosition = point
@@ -303,8 +502,7 @@ export class CoordinateSystem {
       if (this.nodes.has(name)) {
         const point = this.nodes.get(name).center
         if (updatePosition) {
-          this.currentPosition = point
-          this.currentPosition3D = { x: point.x, y: point.y, z: 0 }
+          this.setCanvasPosition(point)
         }
         return point
       }
@@ -313,8 +511,7 @@ export class CoordinateSystem {
       if (this.namedCoordinates.has(name)) {
         const point = this.namedCoordinates.get(name)
         if (updatePosition) {
-          this.currentPosition = point
-          this.currentPosition3D = { x: point.x, y: point.y, z: 0 }
+          this.setCanvasPosition(point)
         }
         return point
       }
@@ -353,6 +550,26 @@ export class CoordinateSystem {
         case "yscale":
           result = new Point(result.x, result.y * transform.factor)
           break
+        case "rotate around": {
+          const center = new Point(transform.x || 0, transform.y || 0)
+          result = center.add(result.subtract(center).rotate(transform.angle))
+          break
+        }
+        case "xslant":
+          result = new Point(result.x + transform.factor * result.y, result.y)
+          break
+        case "yslant":
+          result = new Point(result.x, result.y + transform.factor * result.x)
+          break
+        case "cm":
+          result = new Point(
+            transform.a * result.x + transform.c * result.y + (transform.x || 0),
+            transform.b * result.x + transform.d * result.y + (transform.y || 0)
+          )
+          break
+        case "reset":
+          // reset cm drops every transformation outside it
+          return result
       }
     }
 
@@ -360,35 +577,10 @@ export class CoordinateSystem {
   }
 
   /**
-   * Calculate node anchors based on shape and dimensions
+   * Calculate node anchors based on shape and dimensions (see shapes.js)
    */
-  calculateAnchors(center, shape, width, height) {
-    const hw = width / 2
-    const hh = height / 2
-
-    const anchors = {
-      center: center,
-      north: new Point(center.x, center.y + hh),
-      south: new Point(center.x, center.y - hh),
-      east: new Point(center.x + hw, center.y),
-      west: new Point(center.x - hw, center.y),
-      "north east": new Point(center.x + hw, center.y + hh),
-      "north west": new Point(center.x - hw, center.y + hh),
-      "south east": new Point(center.x + hw, center.y - hh),
-      "south west": new Point(center.x - hw, center.y - hh)
-    }
-
-    // For circles, adjust corner anchors
-    if (shape === "circle") {
-      const r = Math.max(hw, hh)
-      const diag = r * Math.SQRT1_2
-      anchors["north east"] = new Point(center.x + diag, center.y + diag)
-      anchors["north west"] = new Point(center.x - diag, center.y + diag)
-      anchors["south east"] = new Point(center.x + diag, center.y - diag)
-      anchors["south west"] = new Point(center.x - diag, center.y - diag)
-    }
-
-    return anchors
+  calculateAnchors(center, shape, width, height, shapeParams = {}) {
+    return shapeAnchors(shape || "rectangle", center, width, height, shapeParams)
   }
 
   /**
@@ -404,90 +596,68 @@ export class CoordinateSystem {
       return targetPoint
     }
 
-    const center = node.center
-    const shape = node.shape || "rectangle"
     // Use actual dimensions, with small fallback for unspecified sizes
     const width = (node.width !== undefined && node.width !== null) ? node.width : 0.2
     const height = (node.height !== undefined && node.height !== null) ? node.height : 0.2
+    return shapeBorderPoint(node.shape || "rectangle", node.center, width, height, node.shapeParams, targetPoint)
+  }
+}
 
-    // Direction vector from center to target
-    const dx = targetPoint.x - center.x
-    const dy = targetPoint.y - center.y
-
-    // If target is at the center, return center
-    if (dx === 0 && dy === 0) {
-      return center.clone()
+/**
+ * Offset of the first parenthesis or brace that is not matched in a coordinate, or -1
+ */
+function unbalancedOffset(value) {
+  const open = []
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i]
+    if (char === "(" || char === "{") {
+      open.push(i)
+    } else if (char === ")" || char === "}") {
+      const start = open.pop()
+      if (start === undefined || value[start] !== (char === ")" ? "(" : "{")) return start ?? i
     }
+  }
+  return open.length > 0 ? open[0] : -1
+}
 
-    const hw = width / 2
-    const hh = height / 2
-
-    if (shape === "circle") {
-      // For circle, use the larger dimension as radius
-      const r = Math.max(hw, hh)
-      const dist = Math.sqrt(dx * dx + dy * dy)
-      const scale = r / dist
-      return new Point(center.x + dx * scale, center.y + dy * scale)
-    } else if (shape === "ellipse") {
-      // For ellipse, scale the direction vector
-      const angle = Math.atan2(dy, dx)
-      const x = hw * Math.cos(angle)
-      const y = hh * Math.sin(angle)
-      return new Point(center.x + x, center.y + y)
-    } else {
-      // Rectangle: find intersection with the rectangle boundary
-      // Calculate intersection with each edge and find the closest one
-      const dist = Math.sqrt(dx * dx + dy * dy)
-      const nx = dx / dist  // normalized direction
-      const ny = dy / dist
-
-      let t = Infinity
-
-      // Check intersection with right edge (x = hw)
-      if (nx !== 0) {
-        const tRight = hw / nx
-        if (tRight > 0) {
-          const yAtRight = ny * tRight
-          if (Math.abs(yAtRight) <= hh) {
-            t = Math.min(t, tRight)
-          }
-        }
-        // Check intersection with left edge (x = -hw)
-        const tLeft = -hw / nx
-        if (tLeft > 0) {
-          const yAtLeft = ny * tLeft
-          if (Math.abs(yAtLeft) <= hh) {
-            t = Math.min(t, tLeft)
-          }
-        }
-      }
-
-      // Check intersection with top edge (y = hh)
-      if (ny !== 0) {
-        const tTop = hh / ny
-        if (tTop > 0) {
-          const xAtTop = nx * tTop
-          if (Math.abs(xAtTop) <= hw) {
-            t = Math.min(t, tTop)
-          }
-        }
-        // Check intersection with bottom edge (y = -hh)
-        const tBottom = -hh / ny
-        if (tBottom > 0) {
-          const xAtBottom = nx * tBottom
-          if (Math.abs(xAtBottom) <= hw) {
-            t = Math.min(t, tBottom)
-          }
-        }
-      }
+/**
+ * Split "key=value, key=value" into a Map, keeping nested braces and parentheses intact
+ */
+function parseKeyValues(text) {
+  const values = new Map()
+  for (const part of splitKeyList(text, ",", true)) {
+    const eqIndex = part.indexOf("=")
+    if (eqIndex === -1) {
+      if (part.trim()) values.set(part.trim(), "")
+      continue
+    }
+    values.set(part.slice(0, eqIndex).trim().replace(/\s+/g, " "), stripOuterBraces(part.slice(eqIndex + 1)))
+  }
+  return values
+}
 
-      if (t !== Infinity) {
-        return new Point(center.x + nx * t, center.y + ny * t)
+/**
+ * Find a top-level |- or -| operator in a coordinate such as "a.north -| b"
+ * Returns { index, operator } or null
+ */
+function findPerpendicularOperator(value) {
+  let depth = 0
+
+  for (let i = 0; i < value.length - 1; i++) {
+    const char = value[i]
+    if (char === "(" || char === "{") {
+      depth++
+    } else if (char === ")" || char === "}") {
+      depth--
+    } else if (depth === 0) {
+      const pair = value.slice(i, i + 2)
+      if (pair === "|-" || pair === "-|") {
+        return { index: i, operator: pair }
       }
-
-      return center.clone()
     }
   }
+
+  return null
 }
 
 /**
@@ -525,7 +695,7 @@ export function parseCoordinateToken(value, coordSystem) {
   const trimmed = coordString.trim()
 
   // Check for anchor reference (node.anchor)
-  const anchorMatch = trimmed.match(/^([a-zA-Z_][a-zA-Z0-9_-]*)\.([a-zA-Z]+(?:\s+[a-zA-Z]+)?)$/)
+  const anchorMatch = trimmed.match(NODE_ANCHOR_REGEX)
   if (anchorMatch && !isRelative && coordSystem.nodes.has(anchorMatch[1])) {
     anchorNodeName = anchorMatch[1]
     anchorName = anchorMatch[2]
@@ -0,0 +1,245 @@
+/**
+ * TikZ Decorations Library - Path morphing and decoration geometry
+ *
+ *   \draw[decorate, decoration={zigzag, amplitude=1mm, segment length=4mm}] (0,0) -- (4,0);
+ *   \draw[decorate, decoration={markings, mark=at position 0.5 with {\arrow{>}}}] (0,0) to[bend left] (4,0);
+ *
+ * Paths are flattened into polylines and decorated by arc length, so lines,
+ * curves, arcs and plots are all decorated alike. Each period of a decoration is
+ * "segment length" long; what is left at the end of a subpath stays straight, as
+ * in TikZ. Offsets across the path point to its left, or to its right with mirror.
+ * Markings are placed by the parser (see Parser.parseMarkings), text along a
+ * path by the renderer.
+ */
+
+import { Point } from "./coordinates.js"
+import { pathLength, positionAtDistance } from "./intersections.js"
+
+// Samples per period of the smooth decorations
+const WAVE_SAMPLES = 16
+
+// Guard against steps such as segment length=0.001pt or step 0.0000001, as for \foreach
+export const MAX_DECORATION_SEGMENTS = 10000
+
+/**
+ * One period of a path morphing decoration as [along, across] offsets, without
+ * its start; along runs from 0 to the segment length
+ */
+const PERIODS = {
+  zigzag: (length, amplitude) => [[length / 4, amplitude], [length * 3 / 4, -amplitude], [length, 0]],
+  saw: (length, amplitude) => [[length, amplitude], [length, 0]],
+  snake: (length, amplitude) => sampleWave(length, t => [0, amplitude * Math.sin(2 * Math.PI * t)]),
+  bumps: (length, amplitude) => sampleWave(length, t => [0, amplitude * Math.sin(Math.PI * t)]),
+  // A helix seen at an angle: aspect sets how far each loop swings back
+  coil: (length, amplitude, decoration) => sampleWave(length, t => [
+    decoration.aspect * decoration.amplitude * (Math.cos(2 * Math.PI * t) - 1),
+    amplitude * Math.sin(2 * Math.PI * t)
+  ])
+}
+
+// Decorations other than the path morphing ones that place something every segment length
+const SEGMENTED_DECORATIONS = new Set(["ticks", "border", "expanding waves", "random steps"])
+
+/**
+ * Sample one period of a smooth decoration; offset maps the fraction t of the
+ * period to extra [along, across] offsets
+ */
+function sampleWave(length, offset) {
+  const points = []
+  for (let i = 1; i <= WAVE_SAMPLES; i++) {
+    const t = i / WAVE_SAMPLES
+    const [along, across] = offset(t)
+    points.push([length * t + along, across])
+  }
+  return points
+}
+
+/**
+ * Seeded pseudo random numbers in [0, 1), so that random steps look the same on every render
+ */
+function createRandom(seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Point at a distance along a polyline, moved across it by offset (to its left)
+ * Distances before its start or past its end continue straight on.
+ */
+function offsetPoint(polyline, length, distance, offset) {
+  const clamped = Math.min(Math.max(distance, 0), length)
+  const { point, angle } = positionAtDistance([polyline], clamped)
+  return point.add(new Point(distance - clamped, offset).rotate(angle))
+}
+
+/**
+ * Distances along a path at which a mark is placed
+ * At most MAX_DECORATION_SEGMENTS marks are placed; onError is told about the rest.
+ */
+export function markDistances(mark, length, onError = null) {
+  const resolve = ({ fraction, distance }) => fraction !== undefined
+    ? fraction * length
+    : distance < 0 ? length + distance : distance
+
+  if (mark.at) return [resolve(mark.at)]
+
+  const start = resolve(mark.start)
+  const end = resolve(mark.end)
+  const step = mark.step.fraction !== undefined ? mark.step.fraction * length : mark.step.distance
+  if (!(step > 0)) return [start]
+
+  const distances = []
+  for (let distance = start; distance <= end + 1e-9; distance += step) {
+    if (distances.length === MAX_DECORATION_SEGMENTS) {
+      onError?.(`More than ${MAX_DECORATION_SEGMENTS} marks along the path, the step is too small`)
+      break
+    }
+    distances.push(distance)
+  }
+  return distances
+}
+
+/**
+ * Start of the decorated part of a path of the given length, and the number of
+ * periods of segment length that fit before its post length
+ */
+function decoratedRange(length, decoration) {
+  const period = decoration.segmentLength
+  const start = Math.min(decoration.preLength, length)
+  const end = Math.max(start, length - decoration.postLength)
+  const count = period > 0 ? Math.floor((end - start) / period + 1e-9) : 0
+  return { start, count }
+}
+
+/**
+ * Number of segments a decoration divides a polyline into, 0 for decorations
+ * that do not repeat along the path (brace, markings, text along path)
+ */
+export function decorationSegmentCount(polyline, decoration) {
+  if (!PERIODS[decoration.type] && !SEGMENTED_DECORATIONS.has(decoration.type)) return 0
+  return decoratedRange(pathLength([polyline]), decoration).count
+}
+
+/**
+ * Decorate flattened polylines
+ * Returns the polylines that replace them: the morphed path for zigzag, saw, snake,
+ * bumps, coil and random steps, and the separate strokes of ticks, border and
+ * expanding waves.
+ */
+export function decoratePolylines(polylines, decoration) {
+  const random = createRandom(decoration.seed)
+  return polylines.flatMap(polyline => decoratePolyline(polyline, decoration, random))
+}
+
+function decoratePolyline(polyline, decoration, random) {
+  const length = pathLength([polyline])
+  const side = decoration.mirror ? -1 : 1
+  const amplitude = decoration.amplitude * side
+  const raise = decoration.raise * side
+  const period = decoration.segmentLength
+  const range = decoratedRange(length, decoration)
+  const { start } = range
+  const count = Math.min(range.count, MAX_DECORATION_SEGMENTS)
+  const at = (distance, offset = 0) => offsetPoint(polyline, length, distance, raise + offset)
+
+  switch (decoration.type) {
+    case "ticks": {
+      const strokes = []
+      for (let i = 0; i <= count; i++) {
+        const distance = start + i * period
+        strokes.push([at(distance, -amplitude), at(distance, amplitude)])
+      }
+      return strokes
+    }
+
+    case "border": {
+      const strokes = []
+      for (let i = 0; i <= count; i++) {
+        const { point, angle } = positionAtDistance([polyline], start + i * period)
+        const base = point.add(new Point(0, raise).rotate(angle))
+        strokes.push([base, base.add(new Point(Math.abs(amplitude), 0).rotate(angle + decoration.angle * side))])
+      }
+      return strokes
+    }
+
+    case "expanding waves": {
+      // Arcs around the start of the path, spanning angle to either side of it
+      const origin = polyline[0]
+      const strokes = []
+      for (let i = 1; i <= count; i++) {
+        const radius = start + i * period
+        const target = positionAtDistance([polyline], radius).point
+        const direction = Math.atan2(target.y - origin.y, target.x - origin.x) * 180 / Math.PI
+        const arc = []
+        for (let j = 0; j <= WAVE_SAMPLES; j++) {
+          const angle = direction - decoration.angle + 2 * decoration.angle * j / WAVE_SAMPLES
+          arc.push(origin.add(new Point(radius, 0).rotate(angle)))
+        }
+        strokes.push(arc)
+      }
+      return strokes
+    }
+
+    case "brace": {
+      // As on a straight line: the path itself, with the tip of the brace to its left halfway along
+      if (!(length > 0)) return [polyline]
+      const size = Math.min(decoration.amplitude || 0.2, length / 4)
+      const middle = length / 2
+      const tip = Math.min(size * 0.35, length * 0.08)
+      const across = distance => Math.max(0, 1 - Math.abs(distance - middle) / tip) * size * 0.6 * side
+      const distances = [...vertexDistances(polyline), middle - tip, middle, middle + tip].sort((a, b) => a - b)
+      return [distances.map(distance => at(distance, across(distance)))]
+    }
+
+    case "random steps": {
+      const points = [polyline[0]]
+      if (start > 0) points.push(at(start))
+      for (let i = 1; i < count; i++) {
+        points.push(at(start + i * period).add(new Point(
+          (random() * 2 - 1) * decoration.amplitude,
+          (random() * 2 - 1) * decoration.amplitude
+        )))
+      }
+      points.push(polyline[polyline.length - 1])
+      return [points]
+    }
+  }
+
+  const shape = PERIODS[decoration.type]
+  if (!shape) return [polyline]
+
+  const points = [at(0)]
+  if (start > 0) points.push(at(start))
+  for (let i = 0; i < count; i++) {
+    const periodStart = start + i * period
+    for (const [along, across] of shape(period, amplitude, decoration)) {
+      points.push(at(periodStart + along, across))
+    }
+  }
+
+  // The rest of the path stays straight
+  const decorated = start + count * period
+  vertexDistances(polyline).forEach((distance, i) => {
+    if (distance > decorated + 1e-9) {
+      points.push(raise ? at(distance) : polyline[i])
+    }
+  })
+  return [points]
+}
+
+/**
+ * Distances of the points of a polyline along it
+ */
+function vertexDistances(polyline) {
+  let distance = 0
+  return polyline.map((point, i) => {
+    if (i > 0) distance += Math.hypot(point.x - polyline[i - 1].x, point.y - polyline[i - 1].y)
+    return distance
+  })
+}
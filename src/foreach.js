@@ -0,0 +1,194 @@
+/**
+ * TikZ \foreach Lists - Splits loop lists into items, expands ellipsis ranges and
+ * parses loop options (count, evaluate, remember)
+ *
+ * Items are returned as arrays of strings, one entry per loop variable:
+ *   "1/a, 2/b, ..., 4/d" with \x/\y  ->  [["1","a"], ["2","b"], ["3","c"], ["4","d"]]
+ */
+
+import { splitKeyList, stripOuterBraces } from "./keys.js"
+
+// Guard against ranges such as {0, 0.0001, ..., 1000}
+export const MAX_LOOP_ITEMS = 10000
+
+const NUMBER_REGEX = /^[+-]?(\d+\.?\d*|\.\d+)$/
+const LETTER_REGEX = /^[a-zA-Z]$/
+const ELLIPSIS_REGEX = /^\.\.\.?$/
+
+/**
+ * Split a tuple item by top-level slashes: "a/{b/c}" -> ["a", "b/c"]
+ */
+function splitTuple(item) {
+  const parts = []
+  let current = ""
+  let depth = 0
+
+  for (const char of item) {
+    if (char === "{") depth++
+    else if (char === "}") depth--
+    if (char === "/" && depth === 0) {
+      parts.push(stripOuterBraces(current))
+      current = ""
+    } else {
+      current += char
+    }
+  }
+  parts.push(stripOuterBraces(current))
+
+  return parts
+}
+
+/**
+ * Print a computed range value without floating point noise: 0.30000000000000004 -> 0.3
+ */
+function formatLoopNumber(value) {
+  return String(parseFloat(value.toFixed(10)))
+}
+
+/**
+ * Values following start in a range "before, start, ..., end" (before may be null)
+ * Works for numbers and single letters; returns null if the items do not form a range
+ * A range longer than MAX_LOOP_ITEMS stops one value after it, to tell that it is cut off.
+ */
+function expandRange(before, start, end) {
+  const items = before === null ? [start, end] : [before, start, end]
+  const numeric = items.every(item => NUMBER_REGEX.test(item))
+  const letters = !numeric && items.every(item => LETTER_REGEX.test(item))
+  if (!numeric && !letters) return null
+
+  const toValue = numeric ? parseFloat : (item) => item.charCodeAt(0)
+  const fromValue = numeric ? formatLoopNumber : (code) => String.fromCharCode(code)
+
+  const first = toValue(start)
+  const last = toValue(end)
+  const step = before !== null ? first - toValue(before) : (last >= first ? 1 : -1)
+  if (step === 0) return []
+
+  const values = []
+  const epsilon = Math.abs(step) * 1e-9
+  for (let k = 1; values.length <= MAX_LOOP_ITEMS; k++) {
+    const value = first + k * step
+    if (step > 0 ? value > last + epsilon : value < last - epsilon) break
+    values.push(fromValue(value))
+  }
+
+  return values
+}
+
+/**
+ * Expand a range between tuples component by component
+ * Components that do not change ("1/red, ..., 5/red") are repeated.
+ */
+function expandTupleRange(before, start, end) {
+  const columns = []
+  for (let i = 0; i < start.length; i++) {
+    const previous = before?.[i] ?? null
+    const last = end[i] ?? start[i]
+    if (start[i] === last && (previous === null || previous === start[i])) {
+      columns.push(null) // constant component
+      continue
+    }
+
+    const values = expandRange(previous, start[i], last)
+    if (!values) return null
+    columns.push(values)
+  }
+
+  const varying = columns.filter(Boolean)
+  if (varying.length === 0) return []
+
+  const length = Math.min(...varying.map(column => column.length))
+  const tuples = []
+  for (let k = 0; k < length; k++) {
+    tuples.push(columns.map((column, i) => (column === null ? start[i] : column[k])))
+  }
+  return tuples
+}
+
+/**
+ * Expand a \foreach list into items, each an array with one value per variable
+ * Supports ellipsis ranges of numbers and letters, also inside tuples:
+ *   "1,...,5", "0,0.5,...,2", "a,...,e", "1/a,2/b,...,5/e", "1,2,...,5,10,20,...,50"
+ * Items past MAX_LOOP_ITEMS are left out and reported to onError.
+ */
+export function expandForeachList(list, variableCount = 1, onError = null) {
+  const items = splitKeyList(list)
+  const result = []
+  let truncated = false
+
+  for (let i = 0; i < items.length && !truncated; i++) {
+    const item = items[i]
+
+    if (ELLIPSIS_REGEX.test(item) && result.length > 0 && i + 1 < items.length) {
+      const start = result[result.length - 1]
+      const before = result.length > 1 ? result[result.length - 2] : null
+      const end = variableCount > 1 ? splitTuple(items[i + 1]) : [stripOuterBraces(items[i + 1])]
+
+      const range = variableCount > 1
+        ? expandTupleRange(before, start, end)
+        : expandRange(before?.[0] ?? null, start[0], end[0])?.map(value => [value])
+
+      if (range) {
+        truncated = range.length > MAX_LOOP_ITEMS - result.length
+        result.push(...range.slice(0, MAX_LOOP_ITEMS - result.length))
+        i++ // the range end has been consumed
+        continue
+      }
+    }
+
+    if (result.length === MAX_LOOP_ITEMS) {
+      truncated = true
+      break
+    }
+    result.push(variableCount > 1 ? splitTuple(item) : [stripOuterBraces(item)])
+  }
+
+  if (truncated) {
+    onError?.(`\\foreach list has more than ${MAX_LOOP_ITEMS} items, the rest is left out`)
+  }
+  return result
+}
+
+/**
+ * Parse \foreach options into an ordered list of operations:
+ *   count=\i from 1                            -> { type: "count", name, from }
+ *   evaluate=\x as \y using \x*2               -> { type: "evaluate", variable, name, using }
+ *   remember=\x as \lastx (initially A)        -> { type: "remember", variable, name, initially }
+ * Unknown options are returned with type "unknown".
+ */
+export function parseForeachOptions(text) {
+  const macro = "(\\\\[a-zA-Z@]+)"
+  const countRegex = new RegExp(`^count\\s*=\\s*${macro}(?:\\s+from\\s+([\\s\\S]+))?$`)
+  const evaluateRegex = new RegExp(`^evaluate\\s*=\\s*${macro}(?:\\s+as\\s+${macro})?(?:\\s+using\\s+([\\s\\S]+))?$`)
+  const rememberRegex = new RegExp(`^remember\\s*=\\s*${macro}\\s+as\\s+${macro}(?:\\s*\\(\\s*initially\\s+([^)]*)\\))?$`)
+
+  return splitKeyList(text).map(option => {
+    let match = option.match(countRegex)
+    if (match) {
+      const from = match[2] !== undefined ? parseFloat(stripOuterBraces(match[2])) : 1
+      return { type: "count", name: match[1], from: Number.isFinite(from) ? from : 1 }
+    }
+
+    match = option.match(evaluateRegex)
+    if (match) {
+      return {
+        type: "evaluate",
+        variable: match[1],
+        name: match[2] ?? match[1],
+        using: match[3] !== undefined ? stripOuterBraces(match[3]) : null
+      }
+    }
+
+    match = option.match(rememberRegex)
+    if (match) {
+      return {
+        type: "remember",
+        variable: match[1],
+        name: match[2],
+        initially: match[3] !== undefined ? match[3].trim() : null
+      }
+    }
+
+    return { type: "unknown", option }
+  })
+}
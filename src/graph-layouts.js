@@ -0,0 +1,394 @@
+/**
+ * Graph Layouts - Automatic node placement for \graph (see modules/graph.js)
+ *
+ * Every layout takes a graph { nodes, edges }: nodes are { width, height } in cm and
+ * edges are { from, to } node indices. It returns one Point per node, in cm, with
+ * the first node at the origin.
+ *
+ *   layered   Sugiyama layout: cycles are broken, nodes are put on layers along the
+ *             growth direction, crossings are reduced by barycenter sweeps
+ *   tree      tidy tree of a spanning tree, parents centered over their children
+ *   spring    force-directed (Fruchterman-Reingold) layout
+ *   circular  nodes in order on a circle
+ */
+
+import { Point } from "./coordinates.js"
+
+export const DEFAULT_LAYOUT_SETTINGS = {
+  grow: -90,           // Growth direction of layered and tree layouts, in degrees
+  levelDistance: 1.5,  // Distance between the layers of layered and tree layouts
+  siblingDistance: 1.5, // Minimum distance between the centers of nodes on one layer
+  siblingSep: 0.3,     // Minimum gap between the borders of nodes on one layer
+  nodeDistance: 1.5,   // Ideal edge length of spring layouts, spacing of circular layouts
+  iterations: 300      // Iterations of spring layouts
+}
+
+// Rounds of crossing reduction and of coordinate balancing in layered layouts
+const ORDERING_SWEEPS = 8
+const BALANCING_SWEEPS = 6
+
+/**
+ * Lay out a graph with the named layout algorithm
+ */
+export function layoutGraph(name, graph, options = {}) {
+  const settings = { ...DEFAULT_LAYOUT_SETTINGS, ...options }
+  if (graph.nodes.length === 0) return []
+
+  let points
+  switch (name) {
+    case "tree":
+      points = orient(treeLayout(graph, settings), settings.grow)
+      break
+    case "spring":
+      points = springLayout(graph, settings)
+      break
+    case "circular":
+      points = circularLayout(graph, settings)
+      break
+    default:
+      points = orient(layeredLayout(graph, settings), settings.grow)
+  }
+
+  const first = points[0]
+  return points.map(point => point.subtract(first))
+}
+
+/**
+ * Turn a layout growing downwards into one growing in the given direction
+ * Like siblings in trees.js, nodes on one layer keep their counterclockwise order.
+ */
+function orient(points, grow) {
+  return points.map(point => point.rotate(grow + 90))
+}
+
+/**
+ * Extent of a node across the growth direction
+ */
+function breadth(node, settings) {
+  const horizontal = Math.abs(Math.cos(settings.grow * Math.PI / 180)) > 0.5
+  return horizontal ? node.height : node.width
+}
+
+/**
+ * Minimum distance between the centers of two neighbours on a layer
+ */
+function separation(a, b, settings) {
+  return Math.max(settings.siblingDistance, (a + b) / 2 + settings.siblingSep)
+}
+
+/**
+ * Edges with the back edges of a depth-first search reversed, so that no cycles remain
+ * Self loops are dropped.
+ */
+function acyclicEdges(graph) {
+  const count = graph.nodes.length
+  const outgoing = Array.from({ length: count }, () => [])
+  graph.edges.forEach(edge => {
+    if (edge.from !== edge.to) outgoing[edge.from].push(edge.to)
+  })
+
+  // 0: unvisited, 1: on the stack, 2: done
+  const state = new Array(count).fill(0)
+  const edges = []
+  const visit = (node) => {
+    state[node] = 1
+    for (const next of outgoing[node]) {
+      if (state[next] === 1) {
+        edges.push({ from: next, to: node })
+      } else {
+        edges.push({ from: node, to: next })
+        if (state[next] === 0) visit(next)
+      }
+    }
+    state[node] = 2
+  }
+  for (let node = 0; node < count; node++) {
+    if (state[node] === 0) visit(node)
+  }
+  return edges
+}
+
+/**
+ * Layer of every node: the length of the longest path reaching it
+ */
+function assignLayers(count, edges) {
+  const incoming = new Array(count).fill(0)
+  const outgoing = Array.from({ length: count }, () => [])
+  for (const edge of edges) {
+    incoming[edge.to]++
+    outgoing[edge.from].push(edge.to)
+  }
+
+  const layers = new Array(count).fill(0)
+  const queue = []
+  for (let node = 0; node < count; node++) {
+    if (incoming[node] === 0) queue.push(node)
+  }
+  while (queue.length > 0) {
+    const node = queue.shift()
+    for (const next of outgoing[node]) {
+      layers[next] = Math.max(layers[next], layers[node] + 1)
+      if (--incoming[next] === 0) queue.push(next)
+    }
+  }
+  return layers
+}
+
+function layeredLayout(graph, settings) {
+  const count = graph.nodes.length
+  const edges = acyclicEdges(graph)
+  const nodeLayers = assignLayers(count, edges)
+
+  // Items are the nodes plus dummy items where edges cross layers
+  const items = graph.nodes.map((node, index) => ({
+    layer: nodeLayers[index],
+    size: breadth(node, settings),
+    up: [],
+    down: []
+  }))
+  const link = (upper, lower) => {
+    items[upper].down.push(lower)
+    items[lower].up.push(upper)
+  }
+  for (const edge of edges) {
+    let upper = edge.from
+    for (let layer = nodeLayers[edge.from] + 1; layer < nodeLayers[edge.to]; layer++) {
+      items.push({ layer, size: 0, up: [], down: [] })
+      link(upper, items.length - 1)
+      upper = items.length - 1
+    }
+    link(upper, edge.to)
+  }
+
+  const layerCount = Math.max(...nodeLayers) + 1
+  const layers = Array.from({ length: layerCount }, () => [])
+  items.forEach((item, index) => layers[item.layer].push(index))
+
+  // Crossing reduction: order every layer by the barycenters of its neighbours
+  const order = new Array(items.length)
+  const updateOrder = (layer) => layer.forEach((item, index) => { order[item] = index })
+  layers.forEach(updateOrder)
+
+  const sortByBarycenter = (layer, neighbours) => {
+    const keys = new Map(layer.map(item => {
+      const adjacent = items[item][neighbours]
+      const key = adjacent.length > 0
+        ? adjacent.reduce((sum, other) => sum + order[other], 0) / adjacent.length
+        : order[item]
+      return [item, key]
+    }))
+    layer.sort((a, b) => keys.get(a) - keys.get(b) || order[a] - order[b])
+    updateOrder(layer)
+  }
+  for (let sweep = 0; sweep < ORDERING_SWEEPS; sweep++) {
+    if (sweep % 2 === 0) {
+      for (let i = 1; i < layerCount; i++) sortByBarycenter(layers[i], "up")
+    } else {
+      for (let i = layerCount - 2; i >= 0; i--) sortByBarycenter(layers[i], "down")
+    }
+  }
+
+  // Coordinates: pack every layer, then pull items towards their neighbours
+  const x = new Array(items.length).fill(0)
+  const place = (layer, desired) => {
+    const gap = (i) => separation(items[layer[i - 1]].size, items[layer[i]].size, settings)
+    const fromLeft = []
+    const fromRight = []
+    layer.forEach((item, i) => {
+      fromLeft[i] = i === 0 ? desired[i] : Math.max(desired[i], fromLeft[i - 1] + gap(i))
+    })
+    for (let i = layer.length - 1; i >= 0; i--) {
+      fromRight[i] = i === layer.length - 1 ? desired[i] : Math.min(desired[i], fromRight[i + 1] - gap(i + 1))
+    }
+    // Both placements keep the order and the separations, and so does their average
+    layer.forEach((item, i) => { x[item] = (fromLeft[i] + fromRight[i]) / 2 })
+  }
+
+  layers.forEach(layer => place(layer, layer.map(() => 0)))
+  const pull = (layer, neighbours) => {
+    place(layer, layer.map(item => {
+      const adjacent = items[item][neighbours]
+      return adjacent.length > 0 ? adjacent.reduce((sum, other) => sum + x[other], 0) / adjacent.length : x[item]
+    }))
+  }
+  for (let sweep = 0; sweep < BALANCING_SWEEPS; sweep++) {
+    if (sweep % 2 === 0) {
+      for (let i = 1; i < layerCount; i++) pull(layers[i], "up")
+    } else {
+      for (let i = layerCount - 2; i >= 0; i--) pull(layers[i], "down")
+    }
+  }
+
+  return graph.nodes.map((node, index) => new Point(x[index], -nodeLayers[index] * settings.levelDistance))
+}
+
+/**
+ * Tidy tree layout of a breadth-first spanning tree
+ * Subtrees are placed side by side as close as their contours allow.
+ */
+function treeLayout(graph, settings) {
+  const count = graph.nodes.length
+  const children = Array.from({ length: count }, () => [])
+  const hasParent = new Array(count).fill(false)
+  const visited = new Array(count).fill(false)
+
+  const outgoing = Array.from({ length: count }, () => [])
+  graph.edges.forEach(edge => {
+    if (edge.from !== edge.to) outgoing[edge.from].push(edge.to)
+  })
+
+  // Roots are nodes without incoming edges; nodes only reachable through cycles follow
+  const roots = []
+  const incoming = new Array(count).fill(0)
+  graph.edges.forEach(edge => { if (edge.from !== edge.to) incoming[edge.to]++ })
+  const candidates = [
+    ...graph.nodes.map((_, i) => i).filter(i => incoming[i] === 0),
+    ...graph.nodes.map((_, i) => i)
+  ]
+  for (const root of candidates) {
+    if (visited[root]) continue
+    roots.push(root)
+    visited[root] = true
+    const queue = [root]
+    while (queue.length > 0) {
+      const node = queue.shift()
+      for (const next of outgoing[node]) {
+        if (visited[next]) continue
+        visited[next] = true
+        hasParent[next] = true
+        children[node].push(next)
+        queue.push(next)
+      }
+    }
+  }
+
+  const sizes = graph.nodes.map(node => breadth(node, settings))
+  const offsets = new Array(count).fill(0) // x of a node relative to its parent
+
+  // Returns the contour of a subtree: left and right extents of every level
+  const layout = (node) => {
+    const half = sizes[node] / 2
+    if (children[node].length === 0) {
+      return { left: [-half], right: [half] }
+    }
+
+    let left = null
+    let right = null
+    const shifts = []
+    for (const child of children[node]) {
+      const contour = layout(child)
+      let shift = 0
+      if (right) {
+        for (let level = 0; level < Math.min(right.length, contour.left.length); level++) {
+          shift = Math.max(shift, right[level] - contour.left[level] + settings.siblingSep)
+        }
+        // Neighbouring children are at least "sibling distance" apart
+        const previous = shifts[shifts.length - 1]
+        shift = Math.max(shift, previous + separation(sizes[children[node][shifts.length - 1]], sizes[child], settings))
+      }
+      shifts.push(shift)
+      const shifted = {
+        left: contour.left.map(value => value + shift),
+        right: contour.right.map(value => value + shift)
+      }
+      if (!left) {
+        left = shifted.left
+        right = shifted.right
+      } else {
+        left = left.concat(shifted.left.slice(left.length))
+        right = shifted.right.map((value, level) => Math.max(value, right[level] ?? -Infinity))
+          .concat(right.slice(shifted.right.length))
+      }
+    }
+
+    // Center the parent over its first and last child
+    const center = (shifts[0] + shifts[shifts.length - 1]) / 2
+    children[node].forEach((child, i) => { offsets[child] = shifts[i] - center })
+    return {
+      left: [-half, ...left.map(value => value - center)],
+      right: [half, ...right.map(value => value - center)]
+    }
+  }
+
+  const points = new Array(count)
+  const place = (node, x, level) => {
+    points[node] = new Point(x, -level * settings.levelDistance)
+    for (const child of children[node]) {
+      place(child, x + offsets[child], level + 1)
+    }
+  }
+
+  // Separate trees stand side by side
+  let right = null
+  for (const root of roots) {
+    const contour = layout(root)
+    let x = 0
+    if (right) {
+      x = Math.max(...right.map((value, level) =>
+        level < contour.left.length ? value - contour.left[level] + settings.siblingSep : -Infinity))
+    }
+    place(root, x, 0)
+    const shifted = contour.right.map(value => value + x)
+    right = right
+      ? shifted.map((value, level) => Math.max(value, right[level] ?? -Infinity)).concat(right.slice(shifted.length))
+      : shifted
+  }
+
+  return points
+}
+
+/**
+ * Force-directed layout: edges pull like springs, all nodes repel each other
+ * Nodes start on a circle, so the result does not depend on chance.
+ */
+function springLayout(graph, settings) {
+  const count = graph.nodes.length
+  const k = settings.nodeDistance
+  let points = circularLayout(graph, settings)
+  let temperature = k * Math.sqrt(count)
+
+  for (let iteration = 0; iteration < settings.iterations; iteration++) {
+    const forces = points.map(() => new Point(0, 0))
+
+    for (let i = 0; i < count; i++) {
+      for (let j = i + 1; j < count; j++) {
+        const delta = points[i].subtract(points[j])
+        const distance = Math.max(Math.hypot(delta.x, delta.y), 0.01)
+        const push = delta.scale(k * k / (distance * distance))
+        forces[i] = forces[i].add(push)
+        forces[j] = forces[j].subtract(push)
+      }
+    }
+
+    for (const edge of graph.edges) {
+      if (edge.from === edge.to) continue
+      const delta = points[edge.from].subtract(points[edge.to])
+      const distance = Math.max(Math.hypot(delta.x, delta.y), 0.01)
+      const pull = delta.scale(distance / k)
+      forces[edge.from] = forces[edge.from].subtract(pull)
+      forces[edge.to] = forces[edge.to].add(pull)
+    }
+
+    points = points.map((point, i) => {
+      const force = forces[i]
+      const length = Math.hypot(force.x, force.y)
+      if (length === 0) return point
+      return point.add(force.scale(Math.min(length, temperature) / length))
+    })
+    temperature = Math.max(temperature * 0.97, k * 0.01)
+  }
+
+  return points
+}
+
+/**
+ * Nodes in order on a circle, counterclockwise from the top
+ * Neighbours are "node distance" apart along the circle.
+ */
+function circularLayout(graph, settings) {
+  const count = graph.nodes.length
+  if (count === 1) return [new Point(0, 0)]
+
+  const radius = Math.max(settings.nodeDistance / 2, settings.nodeDistance * count / (2 * Math.PI))
+  return graph.nodes.map((_, i) => new Point(0, radius).rotate(360 * i / count))
+}
@@ -0,0 +1,319 @@
+/**
+ * TikZ Intersections Library - Path flattening, path/path intersections and
+ * positions along paths
+ *
+ * Named paths are kept as the segments the parser built for them. To intersect
+ * two paths, both are flattened into polylines (curves, arcs, circles and
+ * ellipses are sampled) and the polylines are intersected piece by piece.
+ * Results are ordered along the first path. The same polylines give the points
+ * at which labels with pos=..., midway or sloped sit on a segment.
+ */
+
+import { Point } from "./coordinates.js"
+import { NodeType } from "./parser.js"
+import { splitKeyList, stripOuterBraces } from "./keys.js"
+
+// Pieces used to approximate curved segments
+const CURVE_SAMPLES = 64
+const ROUND_SAMPLES = 128
+
+// Intersections closer than this (in cm) are reported once
+const DUPLICATE_DISTANCE = 1e-6
+
+/**
+ * Sample a cubic Bézier curve, without its start point
+ */
+function sampleCurve(from, control1, control2, to) {
+  const points = []
+  for (let i = 1; i <= CURVE_SAMPLES; i++) {
+    const t = i / CURVE_SAMPLES
+    const u = 1 - t
+    points.push(new Point(
+      u * u * u * from.x + 3 * u * u * t * control1.x + 3 * u * t * t * control2.x + t * t * t * to.x,
+      u * u * u * from.y + 3 * u * u * t * control1.y + 3 * u * t * t * control2.y + t * t * t * to.y
+    ))
+  }
+  return points
+}
+
+/**
+ * Sample an elliptical arc between two angles (in degrees), including both ends
+ * rotation tilts the ellipse's axes (in degrees).
+ */
+function sampleEllipse(cx, cy, rx, ry, startAngle, endAngle, rotation = 0) {
+  const steps = Math.max(4, Math.ceil(ROUND_SAMPLES * Math.abs(endAngle - startAngle) / 360))
+  const center = new Point(cx, cy)
+  const points = []
+  for (let i = 0; i <= steps; i++) {
+    const angle = (startAngle + (endAngle - startAngle) * i / steps) * Math.PI / 180
+    points.push(center.add(new Point(rx * Math.cos(angle), ry * Math.sin(angle)).rotate(rotation)))
+  }
+  return points
+}
+
+/**
+ * Flatten path segments into polylines (arrays of points)
+ * Closed shapes (circles, ellipses, rectangles) become polylines of their own.
+ */
+export function flattenPath(segments) {
+  const polylines = []
+  let current = null
+
+  const lineTo = (from, to) => {
+    if (!current || !from || current[current.length - 1] !== from) {
+      current = from ? [from] : []
+      polylines.push(current)
+    }
+    if (to) current.push(to)
+  }
+
+  for (const segment of segments || []) {
+    switch (segment.type) {
+      case NodeType.LINE_SEGMENT:
+        lineTo(segment.move ? null : segment.from, segment.to)
+        break
+
+      case NodeType.CURVE_SEGMENT:
+        lineTo(segment.from, null)
+        current.push(...sampleCurve(segment.from, segment.control1, segment.control2, segment.to))
+        // Continue from the segment's own end point object
+        current[current.length - 1] = segment.to
+        break
+
+      case NodeType.ARC_SEGMENT: {
+        const { start, startAngle, endAngle } = segment
+        const rx = segment.rx || segment.radius
+        const ry = segment.ry || rx
+        const startRad = startAngle * Math.PI / 180
+        const points = sampleEllipse(
+          start.x - rx * Math.cos(startRad),
+          start.y - ry * Math.sin(startRad),
+          rx, ry, startAngle, endAngle
+        )
+        lineTo(start, null)
+        current.push(...points.slice(1))
+        break
+      }
+
+      case NodeType.CIRCLE:
+        polylines.push(sampleEllipse(segment.center.x, segment.center.y, segment.radius, segment.radius, 0, 360))
+        current = null
+        break
+
+      case NodeType.ELLIPSE:
+        polylines.push(sampleEllipse(
+          segment.center.x, segment.center.y, segment.rx, segment.ry, 0, 360, segment.rotation
+        ))
+        current = null
+        break
+
+      case NodeType.RECTANGLE:
+        if (segment.corners) {
+          polylines.push([...segment.corners, segment.corners[0]])
+        } else if (segment.from && segment.to) {
+          const { from, to } = segment
+          polylines.push([from, new Point(to.x, from.y), to, new Point(from.x, to.y), from])
+        }
+        current = null
+        break
+
+      case NodeType.PLOT_SEGMENT:
+        if (segment.points?.length > 0) {
+          const [first, ...rest] = segment.points
+          if (current && current.length > 0) {
+            current.push(first)
+          } else {
+            current = [first]
+            polylines.push(current)
+          }
+          current.push(...rest)
+        }
+        break
+
+      case NodeType.CYCLE:
+        if (current && current.length > 1) {
+          current.push(current[0])
+        }
+        current = null
+        break
+    }
+  }
+
+  return polylines.filter(polyline => polyline.length > 1)
+}
+
+/**
+ * Total length of flattened polylines
+ */
+export function pathLength(polylines) {
+  let length = 0
+  for (const polyline of polylines) {
+    for (let i = 1; i < polyline.length; i++) {
+      length += Math.hypot(polyline[i].x - polyline[i - 1].x, polyline[i].y - polyline[i - 1].y)
+    }
+  }
+  return length
+}
+
+/**
+ * Point and tangent direction (in degrees) at a distance along flattened polylines
+ * The polylines are measured one after the other; jumps between them do not count.
+ */
+export function positionAtDistance(polylines, distance) {
+  const pieces = []
+  for (const polyline of polylines) {
+    for (let i = 1; i < polyline.length; i++) {
+      const a = polyline[i - 1]
+      const b = polyline[i]
+      pieces.push({ a, b, length: Math.hypot(b.x - a.x, b.y - a.y) })
+    }
+  }
+  if (pieces.length === 0) return null
+  const total = pieces.reduce((sum, piece) => sum + piece.length, 0)
+
+  const pointAt = (at) => {
+    let remaining = at
+    let index = 0
+    while (index < pieces.length - 1 && remaining > pieces[index].length) {
+      remaining -= pieces[index].length
+      index++
+    }
+    const { a, b, length } = pieces[index]
+    const t = length > 0 ? Math.min(remaining / length, 1) : 0
+    return new Point(a.x + (b.x - a.x) * t, a.y + (b.y - a.y) * t)
+  }
+
+  const clamped = Math.min(Math.max(distance, 0), total)
+  const point = pointAt(clamped)
+
+  // The tangent is taken across a piece's length, so that it does not jump
+  // between the pieces of sampled curves
+  const step = total / pieces.length / 2
+  const before = pointAt(Math.max(clamped - step, 0))
+  const after = pointAt(Math.min(clamped + step, total))
+  const angle = Math.atan2(after.y - before.y, after.x - before.x) * 180 / Math.PI
+
+  return { point, angle }
+}
+
+/**
+ * Point and tangent direction (in degrees) at a fraction of a segment's length
+ * Returns null for segments without a drawn length, such as moves.
+ */
+export function positionAlongSegment(segment, pos) {
+  const polylines = flattenPath([segment]).slice(0, 1)
+  return positionAtDistance(polylines, Math.min(Math.max(pos, 0), 1) * pathLength(polylines))
+}
+
+/**
+ * Rotation of a label on a path heading in direction angle, and the direction from
+ * the path to the label's side
+ * sloped labels turn with the path but stay upright. auto labels sit on the left of
+ * the path (auto=right or swap: on its right); side is null without auto.
+ */
+export function labelPlacement(labelPosition, angle) {
+  let rotate = 0
+  if (labelPosition.sloped) {
+    rotate = ((angle % 360) + 360) % 360
+    if (rotate > 270) rotate -= 360
+    else if (rotate > 90) rotate -= 180
+  }
+
+  let side = null
+  if (labelPosition.auto) {
+    const right = (labelPosition.auto === "right") !== Boolean(labelPosition.swap)
+    side = angle + (right ? -90 : 90)
+  }
+
+  return { rotate, side }
+}
+
+/**
+ * Intersection of two line pieces p1-p2 and q1-q2
+ * Returns { point, t } with t the parameter along p1-p2, or null if they do not cross
+ */
+function intersectPieces(p1, p2, q1, q2) {
+  const rx = p2.x - p1.x
+  const ry = p2.y - p1.y
+  const sx = q2.x - q1.x
+  const sy = q2.y - q1.y
+  const denominator = rx * sy - ry * sx
+  if (Math.abs(denominator) < 1e-12) return null // parallel or degenerate
+
+  const qx = q1.x - p1.x
+  const qy = q1.y - p1.y
+  const t = (qx * sy - qy * sx) / denominator
+  const u = (qx * ry - qy * rx) / denominator
+  const epsilon = 1e-9
+  if (t < -epsilon || t > 1 + epsilon || u < -epsilon || u > 1 + epsilon) return null
+
+  return { point: new Point(p1.x + t * rx, p1.y + t * ry), t }
+}
+
+/**
+ * Find the intersections of two flattened paths, ordered along the first path
+ */
+export function intersectPaths(pathA, pathB) {
+  const found = []
+
+  pathA.forEach((polylineA, lineIndex) => {
+    for (let i = 0; i + 1 < polylineA.length; i++) {
+      for (const polylineB of pathB) {
+        for (let j = 0; j + 1 < polylineB.length; j++) {
+          const hit = intersectPieces(polylineA[i], polylineA[i + 1], polylineB[j], polylineB[j + 1])
+          if (hit) {
+            found.push({ point: hit.point, order: [lineIndex, i + hit.t] })
+          }
+        }
+      }
+    }
+  })
+
+  found.sort((a, b) => a.order[0] - b.order[0] || a.order[1] - b.order[1])
+
+  // Crossings at shared piece ends are found twice
+  const points = []
+  for (const { point } of found) {
+    const duplicate = points.some(other =>
+      Math.abs(other.x - point.x) < DUPLICATE_DISTANCE && Math.abs(other.y - point.y) < DUPLICATE_DISTANCE
+    )
+    if (!duplicate) points.push(point)
+  }
+  return points
+}
+
+/**
+ * Parse the value of "name intersections":
+ *   {of=A and B, by={p,q}, name=i, total=\t, sort by=B}
+ * Returns { paths, by, name, total, sortBy }; by lists names for the points in order.
+ */
+export function parseIntersectionOptions(value) {
+  const result = { paths: [], by: [], name: "intersection", total: null, sortBy: null }
+
+  for (const option of splitKeyList(stripOuterBraces(value || ""))) {
+    const eqIndex = option.indexOf("=")
+    const key = (eqIndex === -1 ? option : option.slice(0, eqIndex)).trim()
+    const optionValue = eqIndex === -1 ? "" : stripOuterBraces(option.slice(eqIndex + 1))
+
+    switch (key) {
+      case "of":
+        result.paths = optionValue.split(/\s+and\s+/).map(name => name.trim())
+        break
+      case "by":
+        // Names may carry options for the coordinate: by={[label=above:$p$]p, q}
+        result.by = splitKeyList(optionValue).map(name => name.replace(/^\[[^\]]*\]\s*/, "").trim())
+        break
+      case "name":
+        result.name = optionValue
+        break
+      case "total":
+        result.total = optionValue
+        break
+      case "sort by":
+        result.sortBy = optionValue
+        break
+    }
+  }
+
+  return result
+}
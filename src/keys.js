@@ -0,0 +1,216 @@
+/**
+ * TikZ Key Handling - pgfkeys-style definitions and recursive style expansion
+ *
+ * Styles are stored in a Map from style name to an entry:
+ *   { body: "draw, #1", args: 1, defaultValue: null }
+ * The body is kept as raw text so that parameters (#1, #2, ...) can be substituted
+ * before the result is split into individual options.
+ */
+
+// name/.handler=value, e.g. "box/.style={draw}", "my arrow/.default=red"
+const HANDLER_REGEX = /^(.+?)\s*\/\.(style|append style|prefix style|default|style 2 args|style n args)\s*(?:=\s*([\s\S]*))?$/
+
+/**
+ * Split a key list by top-level commas (or another separator), keeping nested braces
+ * intact, and nested parentheses too with parentheses set: "veclen(3,4), 1"
+ */
+export function splitKeyList(value, separator = ",", parentheses = false) {
+  const options = []
+  let current = ""
+  let depth = 0
+
+  for (const char of value || "") {
+    if (char === "{" || (parentheses && char === "(")) {
+      depth++
+      current += char
+    } else if (char === "}" || (parentheses && char === ")")) {
+      depth--
+      current += char
+    } else if (char === separator && depth === 0) {
+      if (current.trim()) {
+        options.push(current.trim())
+      }
+      current = ""
+    } else {
+      current += char
+    }
+  }
+
+  if (current.trim()) {
+    options.push(current.trim())
+  }
+
+  return options
+}
+
+/**
+ * Normalize a key name: drop the /tikz/ path prefix and collapse whitespace
+ */
+export function normalizeKeyName(name) {
+  return name.trim().replace(/^\/tikz\//, "").replace(/\s+/g, " ")
+}
+
+/**
+ * Remove one pair of braces enclosing the whole value
+ */
+export function stripOuterBraces(value) {
+  const trimmed = value.trim()
+  if (!trimmed.startsWith("{")) return trimmed
+
+  let depth = 0
+  for (let i = 0; i < trimmed.length; i++) {
+    if (trimmed[i] === "{") depth++
+    else if (trimmed[i] === "}") depth--
+    if (depth === 0) {
+      return i === trimmed.length - 1 ? trimmed.slice(1, -1).trim() : trimmed
+    }
+  }
+  return trimmed
+}
+
+/**
+ * Read consecutive brace groups: "{a}{b c}" -> ["a", "b c"]
+ */
+function readBraceGroups(value) {
+  const groups = []
+  let i = 0
+  const text = value.trim()
+
+  while (i < text.length) {
+    if (/\s/.test(text[i])) {
+      i++
+      continue
+    }
+    if (text[i] !== "{") {
+      // Unbraced single token
+      let token = ""
+      while (i < text.length && !/\s|\{/.test(text[i])) {
+        token += text[i++]
+      }
+      groups.push(token)
+      continue
+    }
+
+    let depth = 0
+    const start = i
+    for (; i < text.length; i++) {
+      if (text[i] === "{") depth++
+      else if (text[i] === "}") depth--
+      if (depth === 0) break
+    }
+    groups.push(text.slice(start + 1, i))
+    i++
+  }
+
+  return groups
+}
+
+/**
+ * Define or replace a style from a list of options (used by \tikzstyle)
+ */
+export function setStyle(styles, name, options) {
+  styles.set(normalizeKeyName(name), { body: options.join(", "), args: 1, defaultValue: null })
+}
+
+/**
+ * Append options to a style, creating it if needed
+ */
+export function appendStyle(styles, name, options) {
+  const key = normalizeKeyName(name)
+  const existing = styles.get(key)
+  const body = existing?.body ? `${existing.body}, ${options.join(", ")}` : options.join(", ")
+  styles.set(key, { ...(existing || { args: 1, defaultValue: null }), body })
+}
+
+/**
+ * Handle a key definition option such as "name/.style={...}" or "name/.append style={...}"
+ * Returns true if the option was a definition
+ */
+export function defineStyleKey(styles, option) {
+  const match = option.trim().match(HANDLER_REGEX)
+  if (!match) return false
+
+  const name = normalizeKeyName(match[1])
+  const handler = match[2]
+  const value = match[3] !== undefined ? match[3].trim() : ""
+  const existing = styles.get(name)
+
+  switch (handler) {
+    case "style":
+      styles.set(name, { body: stripOuterBraces(value), args: 1, defaultValue: existing?.defaultValue ?? null })
+      break
+    case "append style":
+      appendStyle(styles, name, [stripOuterBraces(value)])
+      break
+    case "prefix style": {
+      const body = existing?.body ? `${stripOuterBraces(value)}, ${existing.body}` : stripOuterBraces(value)
+      styles.set(name, { ...(existing || { args: 1, defaultValue: null }), body })
+      break
+    }
+    case "default":
+      styles.set(name, { ...(existing || { body: "", args: 1 }), defaultValue: stripOuterBraces(value) })
+      break
+    case "style 2 args":
+      styles.set(name, { body: stripOuterBraces(value), args: 2, defaultValue: existing?.defaultValue ?? null })
+      break
+    case "style n args": {
+      // name/.style n args={3}{body}
+      const [count, body = ""] = readBraceGroups(value)
+      const args = parseInt(count, 10)
+      styles.set(name, {
+        body,
+        args: Number.isFinite(args) ? args : 1,
+        defaultValue: existing?.defaultValue ?? null
+      })
+      break
+    }
+  }
+
+  return true
+}
+
+/**
+ * Substitute the parameters of a style entry with the given value
+ */
+function instantiateStyle(entry, value) {
+  const actual = value !== null ? value : entry.defaultValue
+  let args
+  if (entry.args > 1) {
+    args = actual !== null ? readBraceGroups(actual) : []
+  } else {
+    args = [actual !== null ? stripOuterBraces(actual) : ""]
+  }
+
+  return entry.body.replace(/#(\d)/g, (_, index) => args[parseInt(index, 10) - 1] ?? "")
+}
+
+/**
+ * Recursively replace style references in an option list by the options they stand for
+ * A style that (directly or indirectly) refers to itself is reported through onError
+ * and expanded only once.
+ */
+export function expandStyles(styles, options, onError = null, stack = []) {
+  const expanded = []
+
+  for (const opt of options) {
+    const eqIndex = opt.indexOf("=")
+    const name = normalizeKeyName(eqIndex === -1 ? opt : opt.slice(0, eqIndex))
+    const entry = styles.get(name)
+
+    if (!entry) {
+      expanded.push(opt)
+      continue
+    }
+
+    if (stack.includes(name)) {
+      onError?.(`Style "${name}" is recursive: ${[...stack, name].join(" -> ")}`)
+      continue
+    }
+
+    const value = eqIndex === -1 ? null : opt.slice(eqIndex + 1).trim()
+    const body = instantiateStyle(entry, value)
+    expanded.push(...expandStyles(styles, splitKeyList(body), onError, [...stack, name]))
+  }
+
+  return expanded
+}
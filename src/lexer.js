@@ -10,6 +10,8 @@ export const TokenType = {
   BRACE_START: "BRACE_START",   // {
   BRACE_END: "BRACE_END",       // }
   LINE_TO: "LINE_TO",           // --
+  HV_LINE_TO: "HV_LINE_TO",     // -| (horizontal, then vertical)
+  VH_LINE_TO: "VH_LINE_TO",     // |- (vertical, then horizontal)
   CURVE_TO: "CURVE_TO",         // .. controls
   TO: "TO",                     // to
   CYCLE: "CYCLE",               // cycle
@@ -235,6 +237,18 @@ export class Lexer {
       return new Token(TokenType.LINE_TO, "--", pos)
     }
 
+    if (char === "-" && this.peek(1) === "|") {
+      this.advance()
+      this.advance()
+      return new Token(TokenType.HV_LINE_TO, "-|", pos)
+    }
+
+    if (char === "|" && this.peek(1) === "-") {
+      this.advance()
+      this.advance()
+      return new Token(TokenType.VH_LINE_TO, "|-", pos)
+    }
+
     if (char === "." && this.peek(1) === ".") {
       this.advance()
       this.advance()
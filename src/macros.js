@@ -0,0 +1,148 @@
+/**
+ * TeX Macro Layer - \def, \newcommand and \pgfmathsetmacro definitions and their expansion
+ *
+ * Macros are stored in a Map from control sequence to an entry:
+ *   { body: "(#1,#2)", args: 2, defaultValue: null }
+ * defaultValue is the default of an optional first argument, as in
+ * \newcommand{\name}[2][default]{...}; it is null when there is no optional argument.
+ *
+ * Register macros (the \p, \x, \y and \n of a let operation) instead hold a Map
+ * from register name to value, and take the register name as their argument: \p1, \n{len}
+ */
+
+// Guard against macros that (directly or indirectly) expand to themselves
+export const MAX_MACRO_EXPANSIONS = 1000
+
+/**
+ * Define or replace a macro
+ */
+export function defineMacro(macros, name, body, args = 0, defaultValue = null) {
+  macros.set(name, { body: String(body), args, defaultValue })
+}
+
+/**
+ * Set one register of a register macro, e.g. defineRegister(macros, "\\n", "1", "2.5pt") for \n1
+ * The entry is replaced rather than changed, so saved macro tables keep their old registers.
+ */
+export function defineRegister(macros, name, register, value) {
+  const entry = macros.get(name)
+  const registers = new Map(entry?.registers)
+  registers.set(register, String(value))
+  macros.set(name, { body: "", args: 1, defaultValue: null, registers })
+}
+
+/**
+ * Format a pgfmath result the way pgfmath prints it: "2.0", "2.82843"
+ * Truncated results ("\pgfmathtruncatemacro") are printed as integers.
+ */
+export function formatMathResult(value, truncate = false) {
+  if (truncate) {
+    return String(Math.trunc(value))
+  }
+  const rounded = parseFloat(value.toFixed(5))
+  return Number.isInteger(rounded) ? rounded.toFixed(1) : String(rounded)
+}
+
+/**
+ * Substitute the arguments of a macro entry into its body
+ */
+export function instantiateMacro(entry, args) {
+  if (entry.registers) {
+    return entry.registers.get(String(args[0] ?? "").trim()) ?? ""
+  }
+  return entry.body.replace(/#(\d)/g, (_, index) => args[parseInt(index, 10) - 1] ?? "")
+}
+
+/**
+ * Read the arguments of a macro call in text, starting right after the control sequence
+ * Returns { args, end } or null when the text ends before all arguments were read
+ */
+function readArguments(text, start, entry) {
+  const args = []
+  let i = start
+
+  const skipSpaces = () => {
+    while (i < text.length && /\s/.test(text[i])) i++
+  }
+
+  // Optional first argument: [value]
+  let required = entry.args
+  if (entry.defaultValue !== null && entry.args > 0) {
+    let j = i
+    while (j < text.length && /\s/.test(text[j])) j++
+    if (text[j] === "[") {
+      const close = text.indexOf("]", j)
+      if (close === -1) return null
+      args.push(text.slice(j + 1, close))
+      i = close + 1
+    } else {
+      args.push(entry.defaultValue)
+    }
+    required--
+  }
+
+  for (let n = 0; n < required; n++) {
+    skipSpaces()
+    if (i >= text.length) return null
+
+    if (text[i] === "{") {
+      let depth = 0
+      const open = i
+      for (; i < text.length; i++) {
+        if (text[i] === "{") depth++
+        else if (text[i] === "}") depth--
+        if (depth === 0) break
+      }
+      if (depth !== 0) return null
+      args.push(text.slice(open + 1, i))
+      i++
+    } else if (text[i] === "\\") {
+      // Unbraced control sequence argument
+      const match = text.slice(i).match(/^\\([a-zA-Z@]+|.)/)
+      args.push(match[0])
+      i += match[0].length
+    } else {
+      // Unbraced single character argument
+      args.push(text[i++])
+    }
+  }
+
+  return { args, end: i }
+}
+
+/**
+ * Expand every defined macro in a piece of text
+ * Expansion results are rescanned, so macros may use other macros. Runaway
+ * (recursive) definitions are reported through onError and left unexpanded.
+ */
+export function expandMacros(text, macros, onError = null) {
+  if (!text || macros.size === 0 || !text.includes("\\")) {
+    return text
+  }
+
+  let result = String(text)
+  let expansions = 0
+  // Control symbols such as \\ and \& are matched too, so that "\\x" is not read as \x
+  const pattern = /\\([a-zA-Z@]+|[^a-zA-Z@])/g
+  let match
+
+  while ((match = pattern.exec(result)) !== null) {
+    const entry = macros.get(match[0])
+    if (!entry) continue
+
+    if (++expansions > MAX_MACRO_EXPANSIONS) {
+      onError?.(`Macro ${match[0]} is recursive or expands too deeply`)
+      break
+    }
+
+    const call = readArguments(result, pattern.lastIndex, entry)
+    if (!call) continue
+
+    const replacement = instantiateMacro(entry, call.args)
+    result = result.slice(0, match.index) + replacement + result.slice(call.end)
+    // Rescan the replacement itself
+    pattern.lastIndex = match.index
+  }
+
+  return result
+}
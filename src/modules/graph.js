@@ -0,0 +1,419 @@
+/**
+ * TikZ graphs library - \graph with automatically placed nodes
+ *
+ *   \graph[layered layout] { a -> b -> {c, d} -> e };
+ *
+ * The body is a list of chains separated by commas or semicolons. A chain joins nodes
+ * and {groups} with the edge operators ->, <-, -- and <->; joining a group connects
+ * every node a chain in the group ends with (or starts with, on the right side of the
+ * operator). Nodes are written as name, name/text or "quoted text", optionally
+ * followed by [options]; a node name used again refers to the same node.
+ *
+ * Nodes are placed by one of the layouts in graph-layouts.js before rendering and
+ * are registered under their names, so that later commands can refer to them.
+ */
+
+import { parseDistanceCm, parseOptions } from "../styles.js"
+import { splitKeyList, stripOuterBraces } from "../keys.js"
+import { parseGrowDirection } from "../trees.js"
+import { layoutGraph } from "../graph-layouts.js"
+
+const EDGE_OPERATORS = ["<->", "->", "<-", "--"]
+
+const LAYOUT_KEYS = {
+  "layered layout": "layered",
+  "tree layout": "tree",
+  "spring layout": "spring",
+  "spring electrical layout": "spring",
+  "circular layout": "circular",
+  "simple necklace layout": "circular"
+}
+
+const GROW_KEYS = {
+  "grow right": 0,
+  "grow left": 180,
+  "grow up": 90,
+  "grow down": -90
+}
+
+class GraphSyntaxError extends Error {}
+
+/**
+ * Reads the body of a \graph into nodes and edges
+ * nodes maps node names to { name, text, options }; edges are
+ * { from, to, operator, options } with node names.
+ */
+class GraphReader {
+  constructor(text) {
+    this.text = text
+    this.position = 0
+    this.nodes = new Map()
+    this.edges = []
+    this.groupOptions = [] // Options of the enclosing {[options] ...} groups
+  }
+
+  get current() {
+    return this.text[this.position]
+  }
+
+  skipSpaces() {
+    while (this.position < this.text.length && /\s/.test(this.current)) this.position++
+  }
+
+  /**
+   * The edge operator at the current position, or null
+   */
+  peekOperator() {
+    return EDGE_OPERATORS.find(operator => this.text.startsWith(operator, this.position)) || null
+  }
+
+  /**
+   * Read a balanced [options] block
+   */
+  readOptions() {
+    const start = ++this.position
+    let depth = 0
+    while (this.position < this.text.length) {
+      const char = this.current
+      if (char === "{") depth++
+      else if (char === "}") depth--
+      else if (char === "]" && depth === 0) break
+      this.position++
+    }
+    if (this.position >= this.text.length) {
+      throw new GraphSyntaxError("Unbalanced brackets in \\graph")
+    }
+    return splitKeyList(this.text.slice(start, this.position++))
+  }
+
+  /**
+   * Read a braced group of text, keeping nested braces
+   */
+  readBraced() {
+    const start = ++this.position
+    let depth = 1
+    while (this.position < this.text.length) {
+      const char = this.current
+      if (char === "{") depth++
+      else if (char === "}" && --depth === 0) break
+      this.position++
+    }
+    if (depth !== 0) {
+      throw new GraphSyntaxError("Unbalanced braces in \\graph")
+    }
+    return this.text.slice(start, this.position++)
+  }
+
+  /**
+   * Read node name or text up to the next special character
+   * Math ($...$) and braced groups may contain special characters.
+   */
+  readWord(stops) {
+    let word = ""
+    let math = false
+    while (this.position < this.text.length) {
+      const char = this.current
+      if (!math && (stops.includes(char) || this.peekOperator())) break
+      if (char === "{") {
+        word += `{${this.readBraced()}}`
+        continue
+      }
+      if (char === "$") math = !math
+      word += char
+      this.position++
+    }
+    return word.trim().replace(/\s+/g, " ")
+  }
+
+  readNode() {
+    let name
+    let text = null
+    if (this.current === "\"") {
+      const close = this.text.indexOf("\"", this.position + 1)
+      if (close === -1) {
+        throw new GraphSyntaxError("Unterminated quoted node name in \\graph")
+      }
+      name = this.text.slice(this.position + 1, close)
+      this.position = close + 1
+    } else {
+      name = this.readWord(",;[]{}\"/")
+      if (this.current === "/") {
+        this.position++
+        this.skipSpaces()
+        text = this.current === "{" ? this.readBraced() : this.readWord(",;[]{}\"")
+      }
+    }
+    if (!name) {
+      throw new GraphSyntaxError(`Unexpected "${this.current}" in \\graph`)
+    }
+
+    this.skipSpaces()
+    const options = this.current === "[" ? this.readOptions() : []
+
+    const node = this.nodes.get(name)
+    if (node) {
+      node.options.push(...options)
+      if (text !== null) node.text = text
+    } else {
+      this.nodes.set(name, { name, text: text ?? name, options: [...this.groupOptions, ...options] })
+    }
+    return { entries: [name], exits: [name] }
+  }
+
+  readOperand() {
+    this.skipSpaces()
+    if (this.current !== "{") {
+      return this.readNode()
+    }
+
+    this.position++ // consume {
+    this.skipSpaces()
+    const saved = this.groupOptions
+    if (this.current === "[") {
+      this.groupOptions = [...saved, ...this.readOptions()]
+    }
+    const group = this.readGroup()
+    this.groupOptions = saved
+    if (this.current !== "}") {
+      throw new GraphSyntaxError("Unbalanced braces in \\graph")
+    }
+    this.position++
+    return group
+  }
+
+  readChain() {
+    const first = this.readOperand()
+    const entries = first.entries
+    let exits = first.exits
+
+    for (;;) {
+      this.skipSpaces()
+      const operator = this.peekOperator()
+      if (!operator) break
+      this.position += operator.length
+      this.skipSpaces()
+      const options = this.current === "[" ? this.readOptions() : []
+
+      const next = this.readOperand()
+      for (const from of exits) {
+        for (const to of next.entries) {
+          this.edges.push({ from, to, operator, options })
+        }
+      }
+      exits = next.exits
+    }
+
+    return { entries, exits }
+  }
+
+  /**
+   * Read chains up to the end of the text or the closing brace of a group
+   */
+  readGroup() {
+    const group = { entries: [], exits: [] }
+    for (;;) {
+      this.skipSpaces()
+      if (this.position >= this.text.length || this.current === "}") break
+      if (this.current === "," || this.current === ";") {
+        this.position++
+        continue
+      }
+      const chain = this.readChain()
+      group.entries.push(...chain.entries)
+      group.exits.push(...chain.exits)
+    }
+    return group
+  }
+
+  read() {
+    this.readGroup()
+    if (this.position < this.text.length) {
+      throw new GraphSyntaxError("Unbalanced braces in \\graph")
+    }
+    return { nodes: this.nodes, edges: this.edges }
+  }
+}
+
+/**
+ * Split the \graph options into layout settings, node and edge options and options
+ * for the whole graph
+ */
+const parseGraphOptions = (parser, options) => {
+  const settings = {
+    layout: null,
+    layoutSettings: {},
+    mathNodes: false,
+    emptyNodes: false,
+    nodeOptions: [],
+    edgeOptions: [],
+    options: []
+  }
+
+  for (const opt of options) {
+    const [key, value] = parser.parseOptionKeyValue(opt)
+    if (LAYOUT_KEYS[key]) {
+      settings.layout = LAYOUT_KEYS[key]
+      continue
+    }
+    if (GROW_KEYS[key] !== undefined) {
+      settings.layoutSettings.grow = GROW_KEYS[key]
+      continue
+    }
+
+    switch (key) {
+      case "grow":
+      case "grow'": {
+        const angle = parseGrowDirection(value)
+        if (angle !== null) settings.layoutSettings.grow = angle
+        break
+      }
+      case "level distance":
+        settings.layoutSettings.levelDistance = parseDistanceCm(stripOuterBraces(value || ""))
+        break
+      case "sibling distance":
+        settings.layoutSettings.siblingDistance = parseDistanceCm(stripOuterBraces(value || ""))
+        break
+      case "sibling sep":
+        settings.layoutSettings.siblingSep = parseDistanceCm(stripOuterBraces(value || ""))
+        break
+      case "node distance":
+        settings.layoutSettings.nodeDistance = parseDistanceCm(stripOuterBraces(value || ""))
+        break
+      case "iterations": {
+        const iterations = parseInt(value, 10)
+        if (iterations > 0) settings.layoutSettings.iterations = iterations
+        break
+      }
+      case "nodes":
+        settings.nodeOptions.push(...splitKeyList(stripOuterBraces(value || "")))
+        break
+      case "edges":
+        settings.edgeOptions.push(...splitKeyList(stripOuterBraces(value || "")))
+        break
+      case "math nodes":
+        settings.mathNodes = value !== "false"
+        break
+      case "empty nodes":
+        settings.emptyNodes = value !== "false"
+        break
+      default:
+        settings.options.push(opt)
+    }
+  }
+
+  // Without a layout, chains grow to the right like in TikZ's default placement
+  if (!settings.layout && settings.layoutSettings.grow === undefined) {
+    settings.layoutSettings.grow = 0
+  }
+
+  return settings
+}
+
+const nodeText = (settings, node) => {
+  if (settings.emptyNodes) return ""
+  return settings.mathNodes && node.text ? `$${node.text}$` : node.text
+}
+
+const parseGraph = (parser, deps) => {
+  const { TokenType, NodeType, ASTNode } = deps
+
+  const graphToken = parser.advance() // consume \graph
+  const options = parser.parseOptionsBlock()
+
+  let body = ""
+  if (parser.peek()?.type === TokenType.STRING) {
+    body = parser.stripComments(parser.advance().value)
+  } else {
+    parser.errors.push({
+      message: "Expected {nodes and edges} after \\graph",
+      position: parser.peek()?.position || graphToken.position
+    })
+  }
+  parser.match(TokenType.SEMICOLON)
+
+  let graph
+  try {
+    graph = new GraphReader(body).read()
+  } catch (e) {
+    if (!(e instanceof GraphSyntaxError)) throw e
+    parser.errors.push({ message: e.message, position: graphToken.position })
+    return new ASTNode(NodeType.GRAPH, { options, commands: [] })
+  }
+
+  const settings = parseGraphOptions(parser, options)
+  const scopeOptions = parser.getScopeOptions()
+
+  // Measure nodes
+  const names = [...graph.nodes.keys()]
+  const nodes = names.map(name => {
+    const entry = graph.nodes.get(name)
+    const text = nodeText(settings, entry)
+    const nodeOptionsList = parser.expandStyleReferences([
+      ...parser.getEveryStyleOptions("every node"),
+      ...settings.nodeOptions,
+      ...entry.options
+    ])
+    const nodeOptions = parser.parseNodeOptions(nodeOptionsList, text)
+    const size = parser.estimateNodeSize(nodeOptions, text)
+    return { name, text, options: nodeOptionsList, nodeOptions, ...size }
+  })
+
+  // A <- b is laid out like b -> a
+  const index = new Map(names.map((name, i) => [name, i]))
+  const layoutEdges = graph.edges.map(edge => edge.operator === "<-"
+    ? { from: index.get(edge.to), to: index.get(edge.from) }
+    : { from: index.get(edge.from), to: index.get(edge.to) })
+  const positions = layoutGraph(settings.layout, { nodes, edges: layoutEdges }, settings.layoutSettings)
+    .map(point => parser.coordSystem.transformPoint(point))
+
+  const nodeCommands = nodes.map((node, i) => {
+    const position = positions[i]
+    const anchors = parser.coordSystem.calculateAnchors(position, node.nodeOptions.shape, node.width, node.height, node.nodeOptions.shapeParams)
+    parser.coordSystem.registerNode(node.name, position, anchors, node.nodeOptions.shape, node.width, node.height, node.nodeOptions.shapeParams)
+    return new ASTNode(NodeType.NODE, {
+      name: node.name,
+      position,
+      text: node.text,
+      style: parseOptions([...scopeOptions, ...settings.options, ...node.options]),
+      fitPositionLocked: true,
+      ...node.nodeOptions
+    })
+  })
+
+  // Loops are left out
+  const edgeCommands = graph.edges.filter(edge => edge.from !== edge.to).map(edge => {
+    const from = positions[index.get(edge.from)]
+    const to = positions[index.get(edge.to)]
+    const edgeOptions = parser.expandStyleReferences([
+      ...parser.arrowOptions,
+      ...scopeOptions,
+      ...parser.getEveryStyleOptions("every path"),
+      ...settings.options,
+      ...settings.edgeOptions,
+      ...(edge.operator === "--" ? [] : [edge.operator]),
+      ...edge.options
+    ])
+    return new ASTNode(NodeType.DRAW, {
+      style: parseOptions(edgeOptions),
+      options: edgeOptions,
+      segments: [new ASTNode(NodeType.LINE_SEGMENT, {
+        from: parser.coordSystem.getNodeBoundaryPoint(edge.from, to),
+        to: parser.coordSystem.getNodeBoundaryPoint(edge.to, from),
+        fromNodeName: edge.from,
+        toNodeName: edge.to
+      })]
+    })
+  })
+
+  return new ASTNode(NodeType.GRAPH, { options, commands: [...edgeCommands, ...nodeCommands] })
+}
+
+export function createGraphModule(deps) {
+  return {
+    name: "graph",
+    parseCommand(parser, token) {
+      if (token.value !== "\\graph") return null
+      return parseGraph(parser, deps)
+    }
+  }
+}
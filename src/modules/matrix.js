@@ -0,0 +1,424 @@
+/**
+ * TikZ matrix library - \matrix, "matrix of nodes" and "matrix of math nodes"
+ *
+ * Every column is as wide as its widest cell and every row as high as its highest
+ * cell; "column sep" and "row sep" are added between them. In a matrix of nodes each
+ * non-empty cell becomes a node named <matrix>-<row>-<column>. Other matrices hold
+ * ordinary commands in their cells, which are shifted into place.
+ */
+
+import { parseOptions } from "../styles.js"
+import { parseCoordinateToken, Point } from "../coordinates.js"
+import { defineStyleKey, splitKeyList } from "../keys.js"
+
+// Position of each anchor relative to the center, in units of width and height
+const ANCHOR_OFFSETS = {
+  center: [0, 0],
+  north: [0, 0.5],
+  south: [0, -0.5],
+  east: [0.5, 0],
+  west: [-0.5, 0],
+  "north east": [0.5, 0.5],
+  "north west": [-0.5, 0.5],
+  "south east": [0.5, -0.5],
+  "south west": [-0.5, -0.5]
+}
+
+const stripBraces = (value) => {
+  if (!value) return ""
+  const trimmed = value.trim()
+  if (trimmed.startsWith("{") && trimmed.endsWith("}")) {
+    return trimmed.slice(1, -1).trim()
+  }
+  return trimmed
+}
+
+/**
+ * Split a matrix body into rows of cells
+ * Rows end with \\ (optionally followed by [extra row sep]); cells are separated by
+ * the ampersand (or its replacement). Braced groups are never split.
+ */
+const splitMatrixBody = (body, ampersand) => {
+  const rows = []
+  let cells = []
+  let current = ""
+  let depth = 0
+  let i = 0
+
+  const endRow = (extraSep) => {
+    cells.push(current)
+    current = ""
+    if (cells.some(cell => cell.trim())) {
+      rows.push({ cells, extraSep })
+    }
+    cells = []
+  }
+
+  while (i < body.length) {
+    const char = body[i]
+
+    if (char === "{") depth++
+    else if (char === "}") depth--
+
+    if (depth === 0 && body.startsWith("\\\\", i)) {
+      i += 2
+      // Optional extra row sep: \\[2mm]
+      const extra = body.slice(i).match(/^\s*\[([^\]]*)\]/)
+      if (extra) {
+        i += extra[0].length
+      }
+      endRow(extra ? extra[1] : null)
+      continue
+    }
+
+    if (depth === 0 && body.startsWith(ampersand, i)) {
+      cells.push(current)
+      current = ""
+      i += ampersand.length
+      continue
+    }
+
+    // Keep other control sequences (\&, \{) intact
+    if (char === "\\" && i + 1 < body.length) {
+      current += body.slice(i, i + 2)
+      i += 2
+      continue
+    }
+
+    current += char
+    i++
+  }
+
+  if (current.trim() || cells.length > 0) {
+    endRow(null)
+  }
+
+  return rows
+}
+
+/**
+ * Read the |(name)[options]| prefix of a cell in a matrix of nodes
+ */
+const parseCell = (cell) => {
+  const trimmed = cell.trim()
+  if (!trimmed.startsWith("|")) {
+    return { name: null, options: [], text: trimmed }
+  }
+
+  const close = trimmed.indexOf("|", 1)
+  if (close === -1) {
+    return { name: null, options: [], text: trimmed }
+  }
+
+  const prefix = trimmed.slice(1, close)
+  const nameMatch = prefix.match(/^\s*\(([^)]*)\)/)
+  const optionsStart = prefix.indexOf("[")
+  const optionsEnd = prefix.lastIndexOf("]")
+
+  return {
+    name: nameMatch ? nameMatch[1].trim() : null,
+    options: optionsStart !== -1 && optionsEnd > optionsStart
+      ? splitKeyList(prefix.slice(optionsStart + 1, optionsEnd))
+      : [],
+    text: trimmed.slice(close + 1).trim()
+  }
+}
+
+/**
+ * Split the \matrix options into matrix settings and options of the matrix node itself
+ * Style definitions (row 1/.style=...) are registered in the parser's style registry.
+ */
+const parseMatrixOptions = (parser, options) => {
+  const settings = {
+    ofNodes: false,
+    mathNodes: false,
+    nodesInEmptyCells: false,
+    ampersand: "&",
+    rowSep: 0,
+    columnSep: 0,
+    nodeOptions: [],
+    matrixOptions: []
+  }
+
+  for (const opt of options) {
+    if (defineStyleKey(parser.styles, opt)) continue
+
+    const [key, value] = parser.parseOptionKeyValue(opt)
+    switch (key) {
+      case "matrix of nodes":
+        settings.ofNodes = true
+        break
+      case "matrix of math nodes":
+        settings.ofNodes = true
+        settings.mathNodes = true
+        break
+      case "nodes in empty cells":
+        settings.nodesInEmptyCells = value !== "false"
+        break
+      case "ampersand replacement":
+        settings.ampersand = value ? value.trim() : "&"
+        break
+      case "row sep":
+        settings.rowSep = parser.parseDistance(stripBraces(value)) || 0
+        break
+      case "column sep":
+        settings.columnSep = parser.parseDistance(stripBraces(value)) || 0
+        break
+      case "nodes":
+        settings.nodeOptions.push(...splitKeyList(stripBraces(value)))
+        break
+      default:
+        settings.matrixOptions.push(opt)
+    }
+  }
+
+  return settings
+}
+
+/**
+ * Options of the node in cell (row, column), both counted from 1
+ * Later options win: every node, nodes={...}, row/column styles, then the cell's own options.
+ */
+const cellOptions = (parser, settings, row, column, ownOptions) => {
+  const styleNames = [
+    row % 2 === 1 ? "every odd row" : "every even row",
+    column % 2 === 1 ? "every odd column" : "every even column",
+    `column ${column}`,
+    `row ${row}`,
+    `row ${row} column ${column}`
+  ].filter(name => parser.styles.has(name))
+
+  return parser.expandStyleReferences([
+    ...parser.getEveryStyleOptions("every node"),
+    ...settings.nodeOptions,
+    ...styleNames,
+    ...ownOptions
+  ])
+}
+
+/**
+ * Bounding box of parsed commands, used to size cells holding ordinary commands
+ */
+const commandBounds = (parser, commands, NodeType) => {
+  let minX = Infinity
+  let minY = Infinity
+  let maxX = -Infinity
+  let maxY = -Infinity
+
+  const include = (x, y, halfWidth = 0, halfHeight = 0) => {
+    if (!Number.isFinite(x) || !Number.isFinite(y)) return
+    minX = Math.min(minX, x - halfWidth)
+    maxX = Math.max(maxX, x + halfWidth)
+    minY = Math.min(minY, y - halfHeight)
+    maxY = Math.max(maxY, y + halfHeight)
+  }
+
+  const visit = (item) => {
+    if (item.type === NodeType.NODE && item.position) {
+      const { width, height } = parser.estimateNodeSize(item, item.text)
+      include(item.position.x, item.position.y, width / 2, height / 2)
+    }
+    for (const key of ["from", "to", "center"]) {
+      if (item[key]) {
+        const rx = item.rx ?? item.radius ?? 0
+        const ry = item.ry ?? item.radius ?? 0
+        include(item[key].x, item[key].y, key === "center" ? rx : 0, key === "center" ? ry : 0)
+      }
+    }
+    for (const point of item.points || []) {
+      include(point.x, point.y)
+    }
+    for (const child of item.segments || []) {
+      visit(child)
+    }
+    for (const child of item.commands || []) {
+      visit(child)
+    }
+  }
+
+  commands.forEach(visit)
+
+  if (minX > maxX) {
+    return { width: 0, height: 0, center: new Point(0, 0) }
+  }
+  return {
+    width: maxX - minX,
+    height: maxY - minY,
+    center: new Point((minX + maxX) / 2, (minY + maxY) / 2)
+  }
+}
+
+const parseMatrix = (parser, deps) => {
+  const { TokenType, NodeType, ASTNode } = deps
+
+  const matrixToken = parser.advance() // consume \matrix
+
+  // \matrix (name) [options] at (coord) {body}; - name and options in either order
+  let name = null
+  if (parser.peek()?.type === TokenType.COORDINATE) {
+    name = parser.advance().value.trim()
+  }
+  const options = [...parser.getEveryStyleOptions("every matrix"), ...parser.parseOptionsBlock()]
+  if (!name && parser.peek()?.type === TokenType.COORDINATE) {
+    name = parser.advance().value.trim()
+  }
+
+  let at = null
+  if (parser.match(TokenType.AT)) {
+    const coordToken = parser.expect(TokenType.COORDINATE)
+    if (coordToken) {
+      at = parseCoordinateToken(coordToken.value, parser.coordSystem).point
+    }
+  }
+
+  let body = ""
+  if (parser.peek()?.type === TokenType.STRING) {
+    body = parser.stripComments(parser.advance().value)
+  } else {
+    parser.errors.push({
+      message: "Expected {cells} after \\matrix",
+      position: parser.peek()?.position || matrixToken.position
+    })
+  }
+  parser.match(TokenType.SEMICOLON)
+
+  // Style definitions in the matrix options are local to the matrix
+  const savedStyles = new Map(parser.styles)
+  const settings = parseMatrixOptions(parser, options)
+  const rows = splitMatrixBody(body, settings.ampersand)
+  const scopeOptions = parser.getScopeOptions()
+
+  // Measure cells
+  const cells = rows.map((row, r) => row.cells.map((source, c) => {
+    if (settings.ofNodes) {
+      const cell = parseCell(source)
+      if (!cell.text && !settings.nodesInEmptyCells) return null
+
+      const text = settings.mathNodes && cell.text ? `$${cell.text}$` : cell.text
+      const nodeOptionsList = cellOptions(parser, settings, r + 1, c + 1, cell.options)
+      const nodeOptions = parser.parseNodeOptions(nodeOptionsList, text)
+      const size = parser.estimateNodeSize(nodeOptions, text)
+      return { kind: "node", name: cell.name, text, options: nodeOptionsList, nodeOptions, ...size }
+    }
+
+    if (!source.trim()) return null
+    // Cells are parsed once more when they are placed, which reports their errors
+    const measure = parser.createSubParser(source)
+    measure.errors = []
+    measure.reportedExpressionErrors = new Set()
+    const bounds = commandBounds(parser, measure.parseCommands(), NodeType)
+    return { kind: "commands", source, ...bounds }
+  }))
+
+  const columnCount = Math.max(0, ...cells.map(row => row.length))
+  const columnWidths = Array.from({ length: columnCount }, (_, c) =>
+    Math.max(0, ...cells.map(row => row[c]?.width ?? 0)))
+  const rowHeights = cells.map(row => Math.max(0, ...row.map(cell => cell?.height ?? 0)))
+  const rowGaps = rows.map(row => settings.rowSep + (row.extraSep ? parser.parseDistance(row.extraSep) || 0 : 0))
+
+  const contentWidth = columnWidths.reduce((sum, width) => sum + width, 0) +
+    settings.columnSep * Math.max(0, columnCount - 1)
+  const contentHeight = rowHeights.reduce((sum, height) => sum + height, 0) +
+    rowGaps.slice(0, -1).reduce((sum, gap) => sum + gap, 0)
+
+  // The matrix itself is a node around all cells
+  const matrixNodeOptions = parser.parseNodeOptions(settings.matrixOptions, "")
+  const width = contentWidth + matrixNodeOptions.innerSep * 2
+  const height = contentHeight + matrixNodeOptions.innerSep * 2
+
+  let center = null
+  if (at) {
+    const [fx, fy] = ANCHOR_OFFSETS[matrixNodeOptions.anchor] || ANCHOR_OFFSETS.center
+    const local = parser.coordSystem.untransformPoint(at)
+    center = parser.coordSystem.transformPoint(new Point(local.x - fx * width, local.y - fy * height))
+  } else {
+    center = parser.parsePositioningOptions(settings.matrixOptions, {
+      halfWidth: width / 2,
+      halfHeight: height / 2
+    }) || parser.coordSystem.transformPoint(new Point(0, 0))
+  }
+
+  // Lay out cells in the matrix's local coordinates, then map them to the picture
+  const localCenter = parser.coordSystem.untransformPoint(center)
+  const left = localCenter.x - contentWidth / 2
+  const top = localCenter.y + contentHeight / 2
+  const commands = []
+
+  const matrixNode = new ASTNode(NodeType.NODE, {
+    name,
+    position: center,
+    text: "",
+    style: parseOptions([...scopeOptions, ...settings.matrixOptions]),
+    fitPositionLocked: true,
+    ...matrixNodeOptions,
+    anchor: "center",
+    width,
+    height
+  })
+  commands.push(matrixNode)
+
+  let y = top
+  cells.forEach((row, r) => {
+    let x = left
+    const cellY = y - rowHeights[r] / 2
+
+    row.forEach((cell, c) => {
+      const cellX = x + columnWidths[c] / 2
+      x += columnWidths[c] + settings.columnSep
+      if (!cell) return
+
+      if (cell.kind === "node") {
+        const position = parser.coordSystem.transformPoint(new Point(cellX, cellY))
+        const cellName = cell.name || (name ? `${name}-${r + 1}-${c + 1}` : null)
+        const node = new ASTNode(NodeType.NODE, {
+          name: cellName,
+          position,
+          text: cell.text,
+          style: parseOptions([...scopeOptions, ...cell.options]),
+          fitPositionLocked: true,
+          ...cell.nodeOptions
+        })
+
+        const names = [cellName, cell.name && name ? `${name}-${r + 1}-${c + 1}` : null]
+        for (const nodeName of names.filter(Boolean)) {
+          const anchors = parser.coordSystem.calculateAnchors(position, node.shape, cell.width, cell.height, node.shapeParams)
+          parser.coordSystem.registerNode(nodeName, position, anchors, node.shape, cell.width, cell.height, node.shapeParams)
+        }
+        commands.push(node)
+        return
+      }
+
+      // Shift the cell's commands so that their bounding box is centered in the cell
+      const measured = parser.coordSystem.untransformPoint(cell.center)
+      parser.coordSystem.pushTransformations([
+        { type: "shift", x: cellX - measured.x, y: cellY - measured.y }
+      ])
+      commands.push(...parser.createSubParser(cell.source).parseCommands())
+      parser.coordSystem.popTransformations()
+    })
+
+    y -= rowHeights[r] + rowGaps[r]
+  })
+
+  if (name) {
+    const anchors = parser.coordSystem.calculateAnchors(center, matrixNode.shape, width, height)
+    parser.coordSystem.registerNode(name, center, anchors, matrixNode.shape, width, height)
+  }
+
+  parser.styles.clear()
+  for (const [key, value] of savedStyles) {
+    parser.styles.set(key, value)
+  }
+
+  return new ASTNode(NodeType.MATRIX, { name, position: center, width, height, options, commands })
+}
+
+export function createMatrixModule(deps) {
+  return {
+    name: "matrix",
+    parseCommand(parser, token) {
+      if (token.value !== "\\matrix") return null
+      return parseMatrix(parser, deps)
+    }
+  }
+}
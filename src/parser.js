@@ -2,10 +2,28 @@
  * TikZ Parser - Builds AST from tokens
  */
 
-import { Lexer, TokenType } from "./lexer.js"
+import { Lexer, Token, TokenType } from "./lexer.js"
 import { CoordinateSystem, parseCoordinateToken, Point } from "./coordinates.js"
-import { parseDistanceCm, parseOptions } from "./styles.js"
+import { parseDistanceCm, parseOptions, TRANSFORM_OPTIONS } from "./styles.js"
+import { parseArrowOption } from "./arrows.js"
+import { evaluateMath, evaluateMathDimension, PgfMathError, UNIT_IN_PT } from "./pgfmath.js"
+import { appendStyle, defineStyleKey, expandStyles, setStyle, splitKeyList, stripOuterBraces } from "./keys.js"
+import { defineMacro, defineRegister, expandMacros, formatMathResult, instantiateMacro, MAX_MACRO_EXPANSIONS } from "./macros.js"
+import { expandForeachList, parseForeachOptions } from "./foreach.js"
+import {
+  flattenPath, intersectPaths, labelPlacement, parseIntersectionOptions, pathLength, positionAlongSegment,
+  positionAtDistance
+} from "./intersections.js"
+import { decorationSegmentCount, markDistances, MAX_DECORATION_SEGMENTS } from "./decorations.js"
+import { hasShape, layoutShapeParts, parseShapeOption, shapeContentSize, shapePartNames, splitNodeParts } from "./shapes.js"
+import { childOffset, readTreeNodeOptions, readTreeSettings, TREE_OPTIONS } from "./trees.js"
+import { isCurvedToPath, readToPathOptions, toPathCurve } from "./topaths.js"
 import { createPgfplotsModule } from "./modules/pgfplots.js"
+import { createMatrixModule } from "./modules/matrix.js"
+import { createGraphModule } from "./modules/graph.js"
+
+// Length (in cm) of the line carrying the arrow tip of a decoration mark
+const MARK_ARROW_LENGTH = 0.01
 
 // AST Node Types
 export const NodeType = {
@@ -14,6 +32,7 @@ export const NodeType = {
   FILL: "FILL",
   FILLDRAW: "FILLDRAW",
   PATH: "PATH",
+  CLIP: "CLIP",
   NODE: "NODE",
   COORDINATE: "COORDINATE",
   LINE_SEGMENT: "LINE_SEGMENT",
@@ -25,6 +44,11 @@ export const NodeType = {
   GRID: "GRID",
   PLOT_SEGMENT: "PLOT_SEGMENT",
   CYCLE: "CYCLE",
+  SCOPE: "SCOPE",
+  MATRIX: "MATRIX",
+  TREE: "TREE",
+  GRAPH: "GRAPH",
+  EDGE: "EDGE",
   // pgfplots support
   AXIS: "AXIS",
   ADDPLOT: "ADDPLOT"
@@ -38,31 +62,167 @@ export class ASTNode {
 }
 
 const defaultModules = [
-  createPgfplotsModule({ TokenType, NodeType, ASTNode })
+  createPgfplotsModule({ TokenType, NodeType, ASTNode }),
+  createMatrixModule({ TokenType, NodeType, ASTNode }),
+  createGraphModule({ TokenType, NodeType, ASTNode })
 ]
 
+/**
+ * Replace the contents of a Map with a previously saved copy
+ * Used for definitions that are local to a TeX group (scopes, foreach iterations)
+ */
+function restoreMap(map, saved) {
+  map.clear()
+  for (const [key, value] of saved) {
+    map.set(key, value)
+  }
+}
+
+/**
+ * Position in the whole source of a position in a piece of it starting at origin
+ */
+function rebasePosition(position, origin) {
+  return {
+    line: origin.line + position.line - 1,
+    column: position.line === 1 ? origin.column + position.column - 1 : position.column,
+    offset: origin.offset + position.offset
+  }
+}
+
+/**
+ * Position of the first character inside a brace group token
+ */
+function bodyOrigin(token) {
+  const { line, column, offset } = token.position
+  return { line, column: column + 1, offset: offset + 1 }
+}
+
+/**
+ * Source text of a token, used when tokens are passed as macro arguments
+ */
+function tokenText(token) {
+  if (token.type === TokenType.STRING) return `{${token.value}}`
+  if (token.type === TokenType.COORDINATE) return `(${token.value})`
+  return String(token.value)
+}
+
 export class Parser {
   constructor(input, options = {}) {
     this.lexer = new Lexer(input)
     this.tokens = this.lexer.tokenize()
     this.position = 0
+    this.inputOffset = 0 // Offset of the input in the whole source, for sub-parsers
     this.coordSystem = new CoordinateSystem()
-    this.styles = new Map() // Style registry for .style definitions
+    this.styles = new Map() // Style registry for .style definitions (see keys.js)
+    this.macros = new Map() // Macro registry for \def, \newcommand, \pgfmathsetmacro (see macros.js)
+    this.namedPaths = new Map() // Path segments named with "name path" (see intersections.js)
+    this.scopes = [] // Stack of enclosing scope environments
     this.nodeDistance = 1 // Default node distance in cm
+    this.treeOptions = [] // Tree layout options of the picture (see trees.js)
+    this.labelOptions = [] // auto and swap given to the picture
+    this.arrowOptions = [] // Arrow tips given to the picture (->, >=Latex), inherited by every path
     this.defaultFontSize = null // Global font size
     this.errors = []
+    this.reportedExpressionErrors = new Set()
     this.modules = options.modules ?? defaultModules
   }
 
   peek(offset = 0) {
     const index = this.position + offset
-    return index < this.tokens.length ? this.tokens[index] : null
+    if (index >= this.tokens.length) return null
+    this.expandTokenAt(index)
+    return this.tokens[index]
   }
 
   advance() {
+    this.expandTokenAt(this.position)
     return this.tokens[this.position++]
   }
 
+  /**
+   * Look at a token without expanding macros (macro names, definition bodies, loop bodies)
+   */
+  peekRaw(offset = 0) {
+    const index = this.position + offset
+    return index < this.tokens.length ? this.tokens[index] : null
+  }
+
+  advanceRaw() {
+    return this.tokens[this.position++]
+  }
+
+  /**
+   * Expand macros in the token at index, the first time it is looked at
+   * A macro used as a command is replaced by the tokens of its expansion; macros
+   * inside coordinates and brace groups are expanded in place.
+   */
+  expandTokenAt(index) {
+    let expansions = 0
+
+    while (index < this.tokens.length && this.macros.size > 0) {
+      const token = this.tokens[index]
+      if (token.expanded) return
+
+      if (token.type === TokenType.COMMAND && this.macros.has(token.value)) {
+        if (++expansions > MAX_MACRO_EXPANSIONS) {
+          this.reportMacroError(`Macro ${token.value} is recursive or expands too deeply`, token.position)
+          token.expanded = true
+          return
+        }
+        this.spliceMacroCall(index)
+        continue
+      }
+
+      if (token.type === TokenType.COORDINATE || token.type === TokenType.STRING) {
+        token.value = expandMacros(token.value, this.macros, (message) => {
+          this.reportMacroError(message, token.position)
+        })
+      }
+      token.expanded = true
+      return
+    }
+  }
+
+  /**
+   * Replace a macro call (the macro token and its argument tokens) by its expansion
+   */
+  spliceMacroCall(index) {
+    const token = this.tokens[index]
+    const entry = this.macros.get(token.value)
+    const args = []
+    let required = entry.args
+    let end = index + 1
+
+    if (entry.defaultValue !== null && entry.args > 0) {
+      if (this.tokens[end]?.type === TokenType.OPTION_START) {
+        const close = this.tokens.findIndex((t, i) => i > end && t.type === TokenType.OPTION_END)
+        const last = close === -1 ? this.tokens.length - 1 : close
+        args.push(this.tokens.slice(end + 1, last).map(tokenText).join(" "))
+        end = last + 1
+      } else {
+        args.push(entry.defaultValue)
+      }
+      required--
+    }
+
+    for (let n = 0; n < required && this.tokens[end]?.type !== TokenType.EOF; n++, end++) {
+      const argToken = this.tokens[end]
+      args.push(argToken.type === TokenType.STRING ? argToken.value : tokenText(argToken))
+    }
+
+    const expansion = new Lexer(instantiateMacro(entry, args)).tokenize().slice(0, -1)
+    for (const expanded of expansion) {
+      expanded.position = token.position
+    }
+    this.tokens.splice(index, end - index, ...expansion)
+  }
+
+  reportMacroError(message, position) {
+    if (this.reportedExpressionErrors.has(message)) return
+    this.reportedExpressionErrors.add(message)
+    this.errors.push({ message, position: position || { line: 0, column: 0 } })
+  }
+
   expect(type) {
     const token = this.peek()
     if (!token || token.type !== type) {
@@ -83,31 +243,7 @@ export class Parser {
   }
 
   parse() {
-    const document = new ASTNode(NodeType.DOCUMENT, { commands: [] })
-
-    while (this.peek()?.type !== TokenType.EOF) {
-      try {
-        const command = this.parseCommand()
-        if (command) {
-          // Handle foreach results (multiple commands)
-          if (command.type === "FOREACH_RESULT") {
-            document.commands.push(...command.commands)
-          } else {
-            document.commands.push(command)
-          }
-        }
-      } catch (e) {
-        this.errors.push({
-          message: e.message,
-          position: this.peek()?.position || { line: 0, column: 0 }
-        })
-        // Skip to next semicolon or EOF
-        while (this.peek()?.type !== TokenType.SEMICOLON && this.peek()?.type !== TokenType.EOF) {
-          this.advance()
-        }
-        this.match(TokenType.SEMICOLON)
-      }
-    }
+    const document = new ASTNode(NodeType.DOCUMENT, { commands: this.parseCommands() })
     if (document.commands.length <= 0) {
       this.errors.push({
         message: "No Tikz commands found",
@@ -118,6 +254,46 @@ export class Parser {
     return { ast: document, errors: this.errors, coordSystem: this.coordSystem }
   }
 
+  /**
+   * Parse the commands up to the end of the input
+   */
+  parseCommands() {
+    const commands = []
+    this.withCoordinateErrors(() => {
+      while (this.peek()?.type !== TokenType.EOF) {
+        this.parseCommandInto(commands)
+      }
+    })
+    return commands
+  }
+
+  /**
+   * Parse one command and append the resulting AST node(s) to a command list
+   */
+  parseCommandInto(commands) {
+    try {
+      const command = this.parseCommand()
+      if (command) {
+        // Handle foreach results (multiple commands)
+        if (command.type === "FOREACH_RESULT") {
+          commands.push(...command.commands)
+        } else {
+          commands.push(command)
+        }
+      }
+    } catch (e) {
+      this.errors.push({
+        message: e.message,
+        position: this.peek()?.position || { line: 0, column: 0 }
+      })
+      // Skip to next semicolon or EOF
+      while (this.peek()?.type !== TokenType.SEMICOLON && this.peek()?.type !== TokenType.EOF) {
+        this.advance()
+      }
+      this.match(TokenType.SEMICOLON)
+    }
+  }
+
   parseCommand() {
     const token = this.peek()
 
@@ -136,6 +312,12 @@ export class Parser {
         return this.parseDrawCommand(NodeType.FILLDRAW)
       case "\\path":
         return this.parseDrawCommand(NodeType.PATH)
+      case "\\clip":
+        return this.parseDrawCommand(NodeType.CLIP)
+      case "\\shade":
+        return this.parseDrawCommand(NodeType.FILL, ["shade"])
+      case "\\shadedraw":
+        return this.parseDrawCommand(NodeType.FILLDRAW, ["shade"])
       case "\\node":
         return this.parseNodeCommand()
       case "\\coordinate":
@@ -146,6 +328,22 @@ export class Parser {
         return this.parseEnd()
       case "\\foreach":
         return this.parseForeach()
+      case "\\tikzset":
+        return this.parseTikzset()
+      case "\\tikzstyle":
+        return this.parseTikzstyle()
+      case "\\pgfmathsetmacro":
+        return this.parsePgfmathSetMacro(false)
+      case "\\pgfmathtruncatemacro":
+        return this.parsePgfmathSetMacro(true)
+      case "\\pgfmathparse":
+        return this.parsePgfmathParse()
+      case "\\def":
+        return this.parseDef()
+      case "\\newcommand":
+      case "\\renewcommand":
+      case "\\providecommand":
+        return this.parseNewcommand(token.value)
       default:
         for (const module of this.modules) {
           if (module.parseCommand) {
@@ -162,7 +360,7 @@ export class Parser {
   }
 
   parseBegin() {
-    this.advance() // consume \begin
+    const beginToken = this.advance() // consume \begin
 
     // Expect {tikzpicture}
     let envName = null
@@ -172,6 +370,8 @@ export class Parser {
         // Parse picture options with style definitions
         const options = this.parseOptionsBlock()
         this.parsePictureOptions(options)
+      } else if (envName === "scope") {
+        return this.parseScope(beginToken)
       }
     }
 
@@ -198,21 +398,257 @@ export class Parser {
     return null // \end doesn't produce an AST node
   }
 
+  /**
+   * Parse a scope environment: \begin{scope}[options] ... \end{scope}
+   * The options apply to every command inside the scope, including nested scopes.
+   * A scope left open is reported at its \begin and closed at the end of the input.
+   */
+  parseScope(beginToken) {
+    const options = this.parseOptionsBlock()
+    this.pushScope(options)
+    const fading = this.parseScopeFading()
+
+    const commands = []
+    let closed = false
+    while (this.peek()?.type !== TokenType.EOF) {
+      const token = this.peek()
+      if (token.type === TokenType.COMMAND && token.value === "\\end" &&
+        this.peek(1)?.type === TokenType.STRING && this.peek(1).value === "scope") {
+        this.advance() // consume \end
+        this.advance() // consume {scope}
+        closed = true
+        break
+      }
+      this.parseCommandInto(commands)
+    }
+
+    if (!closed) {
+      this.errors.push({
+        message: "Expected \\end{scope} for \\begin{scope}",
+        position: beginToken.position
+      })
+    }
+    this.popScope()
+
+    return new ASTNode(NodeType.SCOPE, { options, commands, fading })
+  }
+
+  /**
+   * The scope fading given to the innermost scope, with the fading angle and fit
+   * fading in effect: { name, angle, fit, center } or null
+   * An unfit fading is centered on the origin of the scope.
+   */
+  parseScopeFading() {
+    const own = parseOptions(this.scopes[this.scopes.length - 1].options)
+    if (!own.scopeFading) return null
+
+    const style = parseOptions(this.getScopeOptions())
+    return {
+      name: own.scopeFading,
+      angle: style.fadingAngle,
+      fit: style.fitFading,
+      center: this.coordSystem.transformPoint(new Point(0, 0))
+    }
+  }
+
+  /**
+   * Enter a scope: register its style definitions, activate its transformations
+   * and remember the remaining options so that enclosed commands inherit them
+   */
+  pushScope(options) {
+    const scope = {
+      savedStyles: new Map(this.styles),
+      savedMacros: new Map(this.macros),
+      options: []
+    }
+    const transformOptions = []
+
+    for (const opt of options) {
+      if (defineStyleKey(this.styles, opt)) continue
+
+      const [key] = this.parseOptionKeyValue(opt)
+      if (TRANSFORM_OPTIONS.has(key)) {
+        transformOptions.push(opt)
+      } else {
+        scope.options.push(opt)
+      }
+    }
+
+    this.scopes.push(scope)
+    this.coordSystem.pushTransformations(parseOptions(transformOptions).transformations)
+  }
+
+  popScope() {
+    const scope = this.scopes.pop()
+    if (!scope) return
+
+    this.coordSystem.popTransformations()
+
+    // Style and macro definitions made inside the scope are local to it
+    restoreMap(this.styles, scope.savedStyles)
+    restoreMap(this.macros, scope.savedMacros)
+  }
+
+  /**
+   * Options inherited from all enclosing scopes, outermost first
+   */
+  getScopeOptions() {
+    return this.scopes.flatMap(scope => scope.options)
+  }
+
+  /**
+   * Options of an "every ..." style (every node, every path, every label) currently in effect
+   */
+  getEveryStyleOptions(name) {
+    return this.styles.has(name) ? this.expandStyleReferences([name]) : []
+  }
+
   /**
    * Parse \foreach loop: \foreach \var in {values} { body }
    * Also supports multi-variable: \foreach \x/\y in {a/b, c/d} { body }
    * Returns an array of commands (one for each iteration)
    */
   parseForeach() {
+    const loop = this.parseForeachHeader()
+    if (!loop) return null
+
+    // The body is either a brace group or a single command up to its semicolon
+    const bodyToken = this.peekRaw()
+    if (!bodyToken || bodyToken.type === TokenType.EOF) {
+      this.errors.push({
+        message: "Expected body after \\foreach list",
+        position: bodyToken?.position || { line: 0, column: 0 }
+      })
+      return null
+    }
+    const body = bodyToken?.type === TokenType.STRING
+      ? this.advanceRaw().value
+      : this.readRawCommandText()
+    const origin = bodyToken?.type === TokenType.STRING ? bodyOrigin(bodyToken) : bodyToken?.position
+
+    const commands = []
+    const subParser = this.createSubParser(body, origin)
+    this.runForeach(loop, () => {
+      subParser.restart()
+      commands.push(...subParser.parseCommands())
+    })
+
+    // Return commands as a special "multi-command" result
+    return { type: "FOREACH_RESULT", commands }
+  }
+
+  /**
+   * Parse \foreach inside a path: \draw (0,0) \foreach \x in {1,2} { -- (\x,\x) };
+   * Each iteration's path operations continue the enclosing path
+   */
+  parsePathForeach(segments, state) {
+    const loop = this.parseForeachHeader()
+    if (!loop) return
+
+    if (this.peekRaw()?.type !== TokenType.STRING) {
+      this.errors.push({
+        message: "Expected {path operations} after \\foreach list",
+        position: this.peekRaw()?.position || { line: 0, column: 0 }
+      })
+      return
+    }
+    const bodyToken = this.advanceRaw()
+
+    const subParser = this.createSubParser(bodyToken.value, bodyOrigin(bodyToken))
+    this.runForeach(loop, () => {
+      subParser.restart()
+      subParser.withCoordinateErrors(() => subParser.parsePathOperations(segments, state))
+    })
+  }
+
+  /**
+   * Parse a let operation: let \p1 = (a), \n1 = {veclen(\x1,\y1)} in
+   * \p registers hold points, with their coordinates in \x and \y; \n registers hold
+   * numbers. Values are dimensions in points, as in TikZ, and stay defined until the
+   * end of the path.
+   */
+  parseLet(state) {
+    const letToken = this.advance() // consume "let"
+    state.savedMacros ??= new Map(this.macros)
+
+    for (;;) {
+      // Register names are read unexpanded, they may already be defined by an earlier let
+      const register = this.peekRaw()
+      if (register?.type !== TokenType.COMMAND || (register.value !== "\\p" && register.value !== "\\n")) {
+        this.errors.push({
+          message: "Expected \\p or \\n register in let operation",
+          position: register?.position || letToken.position
+        })
+        return
+      }
+      this.advanceRaw()
+      // The name and value are not read past the end of the input, where parsing stops
+      const nameToken = this.peekRaw()?.type === TokenType.EOF ? null : this.advanceRaw()
+      const name = nameToken?.type === TokenType.STRING ? nameToken.value.trim() : String(nameToken?.value ?? "")
+
+      this.match(TokenType.EQUALS)
+      const valueToken = !nameToken || this.peek()?.type === TokenType.EOF ? null : this.advance()
+
+      if (register.value === "\\p" && valueToken?.type === TokenType.COORDINATE) {
+        const point = this.coordSystem.parseCoordinate(valueToken.value, false, false)
+        const x = `${formatMathResult(point.x * UNIT_IN_PT.cm)}pt`
+        const y = `${formatMathResult(point.y * UNIT_IN_PT.cm)}pt`
+        defineRegister(this.macros, "\\p", name, `${x},${y}`)
+        defineRegister(this.macros, "\\x", name, x)
+        defineRegister(this.macros, "\\y", name, y)
+      } else if (register.value === "\\n" && valueToken?.type === TokenType.STRING) {
+        defineRegister(this.macros, "\\n", name, this.evaluateLetNumber(valueToken))
+      } else {
+        const expected = register.value === "\\p" ? "(coordinate)" : "{expression}"
+        this.errors.push({
+          message: `Expected ${expected} for ${register.value}${name} in let operation`,
+          position: valueToken?.position || register.position
+        })
+        return
+      }
+
+      if (this.match(TokenType.COMMA)) continue
+      if (this.peek()?.type === TokenType.IDENTIFIER && this.peek().value === "in") {
+        this.advance()
+        return
+      }
+      this.errors.push({
+        message: "Expected \"in\" after let assignments",
+        position: this.peek()?.position || letToken.position
+      })
+      return
+    }
+  }
+
+  /**
+   * Evaluate the formula of a \n register; results with units are kept in points
+   */
+  evaluateLetNumber(token) {
+    try {
+      const { value, hasUnits } = evaluateMathDimension(token.value)
+      return hasUnits ? `${formatMathResult(value)}pt` : formatMathResult(value)
+    } catch (e) {
+      if (!(e instanceof PgfMathError)) throw e
+      this.reportExpressionError(e, token.position)
+      return "0"
+    }
+  }
+
+  /**
+   * Parse "\foreach \x/\y [options] in {list}" and expand the list
+   * Returns { varNames, items, options } or null after reporting an error
+   */
+  parseForeachHeader() {
     this.advance() // consume \foreach
 
     // Parse variable name(s) (e.g., \r, \x, or \x/\y for multi-variable)
+    // Loop variables are never expanded, even if a macro of the same name exists
     const varNames = []
-    while (this.peek()?.type === TokenType.COMMAND) {
-      varNames.push(this.advance().value) // e.g., "\x"
+    while (this.peekRaw()?.type === TokenType.COMMAND) {
+      varNames.push(this.advanceRaw().value) // e.g., "\x"
       // Check for slash separator for multi-variable
-      if (this.peek()?.type === TokenType.SLASH) {
-        this.advance() // consume /
+      if (this.peekRaw()?.type === TokenType.SLASH) {
+        this.advanceRaw() // consume /
       } else {
         break
       }
@@ -226,6 +662,22 @@ export class Parser {
       return null
     }
 
+    // Options: [count=\i, evaluate=\x as \y using ..., remember=\x as \lastx (initially 0)]
+    const options = []
+    if (this.peekRaw()?.type === TokenType.OPTION_START) {
+      const optionsToken = this.peekRaw()
+      for (const option of parseForeachOptions(this.readRawOptionText())) {
+        if (option.type === "unknown") {
+          this.errors.push({
+            message: `Unknown \\foreach option "${option.option}"`,
+            position: optionsToken.position
+          })
+        } else {
+          options.push(option)
+        }
+      }
+    }
+
     // Expect "in" keyword
     if (this.peek()?.type !== TokenType.IDENTIFIER || this.peek()?.value !== "in") {
       this.errors.push({
@@ -236,94 +688,401 @@ export class Parser {
     }
     this.advance() // consume "in"
 
-    // Parse values list: {0.8, 1.2, ...} or {a/b, c/d, ...} for multi-variable
-    const values = []
-    if (this.peek()?.type === TokenType.STRING) {
-      const valuesStr = this.advance().value
-      // Split by comma and parse each value (or value tuple)
-      const parts = valuesStr.split(",")
-      const trimmedParts = parts.map(part => part.trim()).filter(Boolean)
-
-      const ellipsisIndex = trimmedParts.findIndex(part => part === "..." || part === "..")
-      if (ellipsisIndex !== -1 && varNames.length === 1) {
-        const start = parseFloat(trimmedParts[0])
-        const next = parseFloat(trimmedParts[1])
-        const end = parseFloat(trimmedParts[ellipsisIndex + 1])
-        if (Number.isFinite(start) && Number.isFinite(next) && Number.isFinite(end)) {
-          const step = next - start
-          if (step !== 0) {
-            const count = Math.floor((end - start) / step)
-            for (let i = 0; i <= count; i++) {
-              values.push(start + i * step)
-            }
+    // Parse values list: {0.8, 1.2, ...}, {a/b, c/d, ...} or a macro holding the list
+    let list = ""
+    const listToken = this.peekRaw()
+    if (listToken?.type === TokenType.STRING) {
+      list = this.advanceRaw().value
+    } else if (listToken?.type === TokenType.COMMAND && this.macros.has(listToken.value)) {
+      list = this.advanceRaw().value
+    } else {
+      this.errors.push({
+        message: "Expected {list} after 'in'",
+        position: listToken?.position || { line: 0, column: 0 }
+      })
+      return null
+    }
+    list = expandMacros(this.stripComments(list), this.macros, (message) => {
+      this.reportMacroError(message, listToken.position)
+    })
+
+    const items = expandForeachList(list, varNames.length, (message) => {
+      this.reportMacroError(message, listToken.position)
+    })
+    return { varNames, items, options }
+  }
+
+  /**
+   * Run a loop, calling body() once per item with the loop variables defined as macros
+   * Each iteration is a TeX group: macros defined by the body are local to it
+   */
+  runForeach(loop, body) {
+    const remembered = new Map()
+    for (const option of loop.options) {
+      if (option.type === "remember" && option.initially !== null) {
+        remembered.set(option.name, option.initially)
+      }
+    }
+
+    loop.items.forEach((values, index) => {
+      const savedMacros = new Map(this.macros)
+
+      // With fewer values than variables, the remaining variables get the last value
+      loop.varNames.forEach((name, i) => {
+        defineMacro(this.macros, name, values[Math.min(i, values.length - 1)])
+      })
+
+      for (const option of loop.options) {
+        if (option.type === "count") {
+          defineMacro(this.macros, option.name, String(option.from + index))
+        } else if (option.type === "evaluate") {
+          const expression = option.using ?? this.macros.get(option.variable)?.body ?? option.variable
+          const value = this.evaluateLoopExpression(expandMacros(expression, this.macros))
+          if (value !== null) {
+            defineMacro(this.macros, option.name, formatMathResult(value))
           }
+        } else if (option.type === "remember" && remembered.has(option.name)) {
+          defineMacro(this.macros, option.name, remembered.get(option.name))
         }
       }
 
-      if (values.length === 0) {
-        for (const trimmed of trimmedParts) {
-          if (varNames.length > 1) {
-            // Multi-variable: split by /
-            const subParts = trimmed.split("/").map(s => s.trim())
-            values.push(subParts)
-          } else {
-            // Single variable
-            const num = parseFloat(trimmed)
-            values.push(!isNaN(num) ? num : trimmed)
-          }
+      body()
+
+      // Remembered values are taken at the end of the iteration
+      for (const option of loop.options) {
+        if (option.type === "remember" && this.macros.has(option.variable)) {
+          remembered.set(option.name, this.macros.get(option.variable).body)
         }
       }
+
+      restoreMap(this.macros, savedMacros)
+    })
+  }
+
+  /**
+   * Evaluate an expression of a foreach "evaluate" option, reporting errors
+   */
+  evaluateLoopExpression(expression) {
+    try {
+      const value = evaluateMath(expression)
+      return Number.isFinite(value) ? value : null
+    } catch (error) {
+      if (!(error instanceof PgfMathError)) throw error
+      this.reportExpressionError(error)
+      return null
     }
+  }
 
-    // Parse body: { commands }
-    let bodyStr = ""
-    if (this.peek()?.type === TokenType.STRING) {
-      bodyStr = this.advance().value
+  /**
+   * Create a parser for a piece of source (a loop body) sharing this parser's state
+   * Its errors are reported with this parser's: at their place in the source when
+   * the origin of the piece is known, otherwise at the token this parser read last.
+   */
+  createSubParser(input, origin = null) {
+    const subParser = new Parser(input, { modules: this.modules })
+    const fallback = this.tokens[this.position - 1]?.position || { line: 0, column: 0, offset: 0 }
+    for (const token of subParser.tokens) {
+      token.position = origin ? rebasePosition(token.position, origin) : fallback
+    }
+    subParser.inputOffset = origin ? origin.offset : 0
+    subParser.parent = this
+    subParser.sourceTokens = subParser.tokens
+    subParser.errors = this.errors
+    subParser.reportedExpressionErrors = this.reportedExpressionErrors
+    subParser.restart()
+    return subParser
+  }
+
+  /**
+   * Start a sub-parser over at the beginning of its input, with the current state
+   * of its parent, so that one sub-parser serves every iteration of a loop
+   */
+  restart() {
+    const parent = this.parent
+    // Macro expansion rewrites tokens, so each pass reads fresh copies
+    this.tokens = this.sourceTokens.map(token => new Token(token.type, token.value, token.position))
+    this.position = 0
+    this.coordSystem = parent.coordSystem
+    this.styles = parent.styles
+    this.macros = parent.macros
+    this.namedPaths = parent.namedPaths
+    this.scopes = parent.scopes
+    this.nodeDistance = parent.nodeDistance
+    this.treeOptions = parent.treeOptions
+    this.labelOptions = parent.labelOptions
+    this.arrowOptions = parent.arrowOptions
+    this.defaultFontSize = parent.defaultFontSize
+    this.currentDrawOptions = parent.currentDrawOptions
+  }
+
+  /**
+   * Read the unexpanded source of one command, up to and including its semicolon
+   * A \foreach command extends to the end of its own body.
+   */
+  readRawCommandText() {
+    const start = this.position
+    this.skipRawCommand()
+
+    const first = this.tokens[start]
+    const next = this.peekRaw()
+    if (first && next && next.position.offset > first.position.offset) {
+      return this.lexer.input.slice(first.position.offset - this.inputOffset, next.position.offset - this.inputOffset)
     }
+    // Tokens produced by macro expansion have no source text of their own
+    return this.tokens.slice(start, this.position).map(tokenText).join(" ")
+  }
 
-    // Execute loop: parse body for each value
-    const commands = []
-    for (const value of values) {
-      let substituted = bodyStr
-
-      if (varNames.length > 1 && Array.isArray(value)) {
-        // Multi-variable substitution
-        for (let i = 0; i < varNames.length && i < value.length; i++) {
-          const varRegex = new RegExp(varNames[i].replace("\\", "\\\\"), "g")
-          substituted = substituted.replace(varRegex, String(value[i]))
-        }
+  skipRawCommand() {
+    // The EOF token is never consumed: parsing stops at it
+    const atEnd = () => !this.peekRaw() || this.peekRaw().type === TokenType.EOF
+    if (atEnd()) return
+    const token = this.advanceRaw()
+    if (token.type === TokenType.SEMICOLON) return
+
+    if (token.type === TokenType.COMMAND && token.value === "\\foreach") {
+      while (!atEnd() && !(this.peekRaw().type === TokenType.IDENTIFIER && this.peekRaw().value === "in")) {
+        this.advanceRaw()
+      }
+      // in and the list
+      for (let i = 0; i < 2 && !atEnd(); i++) {
+        this.advanceRaw()
+      }
+      if (this.peekRaw()?.type === TokenType.STRING) {
+        this.advanceRaw()
       } else {
-        // Single variable substitution
-        const varRegex = new RegExp(varNames[0].replace("\\", "\\\\"), "g")
-        substituted = substituted.replace(varRegex, String(value))
+        this.skipRawCommand()
+      }
+      return
+    }
+
+    while (!atEnd()) {
+      if (this.advanceRaw().type === TokenType.SEMICOLON) break
+    }
+  }
+
+  /**
+   * Parse \tikzset{key=value, name/.style={...}, ...}
+   * Settings apply globally (or until the end of the enclosing scope)
+   */
+  parseTikzset() {
+    this.advance() // consume \tikzset
+
+    if (this.peek()?.type === TokenType.STRING) {
+      const content = this.stripComments(this.advance().value)
+      this.parsePictureOptions(splitKeyList(content))
+    }
+
+    this.match(TokenType.SEMICOLON)
+    return null // \tikzset doesn't produce an AST node
+  }
+
+  /**
+   * Parse legacy \tikzstyle{name}=[options] and \tikzstyle{name}+=[options]
+   */
+  parseTikzstyle() {
+    this.advance() // consume \tikzstyle
+
+    if (this.peek()?.type !== TokenType.STRING) {
+      this.errors.push({
+        message: "Expected style name after \\tikzstyle",
+        position: this.peek()?.position || { line: 0, column: 0 }
+      })
+      return null
+    }
+    const styleName = this.advance().value.trim()
+
+    const append = !!this.match(TokenType.PLUS)
+    this.match(TokenType.EQUALS)
+
+    // Style references are resolved when the style is used, not when it is defined
+    const options = this.parseOptionsBlock(false)
+    if (append) {
+      appendStyle(this.styles, styleName, options)
+    } else {
+      setStyle(this.styles, styleName, options)
+    }
+
+    this.match(TokenType.SEMICOLON)
+    return null // \tikzstyle doesn't produce an AST node
+  }
+
+  /**
+   * Read the name of a macro being defined: \name or {\name}
+   */
+  readMacroName(command) {
+    const token = this.peekRaw()
+    let name = null
+    if (token?.type === TokenType.COMMAND) {
+      name = this.advanceRaw().value
+    } else if (token?.type === TokenType.STRING && /^\s*\\[a-zA-Z@]+\s*$/.test(token.value)) {
+      name = this.advanceRaw().value.trim()
+    }
+
+    if (!name) {
+      this.errors.push({
+        message: `Expected macro name after ${command}`,
+        position: token?.position || { line: 0, column: 0 }
+      })
+    }
+    return name
+  }
+
+  /**
+   * Parse \pgfmathsetmacro{\name}{expression} and \pgfmathtruncatemacro{\name}{expression}
+   * The result is also stored in \pgfmathresult
+   */
+  parsePgfmathSetMacro(truncate) {
+    const command = this.advance().value // consume \pgfmathsetmacro
+    const name = this.readMacroName(command)
+    if (!name) return null
+
+    const result = this.parseMacroExpression(command, truncate)
+    if (result !== null) {
+      defineMacro(this.macros, name, result)
+      defineMacro(this.macros, "\\pgfmathresult", result)
+    }
+    return null // Macro definitions don't produce an AST node
+  }
+
+  /**
+   * Parse \pgfmathparse{expression}, storing the result in \pgfmathresult
+   */
+  parsePgfmathParse() {
+    const command = this.advance().value // consume \pgfmathparse
+    const result = this.parseMacroExpression(command, false)
+    if (result !== null) {
+      defineMacro(this.macros, "\\pgfmathresult", result)
+    }
+    return null
+  }
+
+  /**
+   * Evaluate the {expression} argument of a pgfmath command and format the result
+   * Returns null (after reporting the error) if it cannot be evaluated
+   */
+  parseMacroExpression(command, truncate) {
+    const token = this.peek()
+    if (token?.type !== TokenType.STRING) {
+      this.errors.push({
+        message: `Expected {expression} after ${command}`,
+        position: token?.position || { line: 0, column: 0 }
+      })
+      return null
+    }
+    this.advance()
+
+    try {
+      const value = evaluateMath(token.value)
+      if (!Number.isFinite(value)) {
+        throw new PgfMathError("Result is not a finite number", 0, token.value)
       }
+      return formatMathResult(value, truncate)
+    } catch (error) {
+      if (!(error instanceof PgfMathError)) throw error
+      this.reportExpressionError(error, token.position)
+      return null
+    }
+  }
+
+  /**
+   * Parse \def\name#1#2{body}
+   */
+  parseDef() {
+    this.advance() // consume \def
+    const name = this.readMacroName("\\def")
+    if (!name) return null
+
+    // Parameter text: #1#2...
+    let args = 0
+    while (this.peekRaw()?.type === TokenType.ERROR && this.peekRaw().value === "#") {
+      this.advanceRaw()
+      if (this.peekRaw()?.type === TokenType.NUMBER) {
+        this.advanceRaw()
+        args++
+      }
+    }
+
+    if (this.peekRaw()?.type !== TokenType.STRING) {
+      this.errors.push({
+        message: `Expected {body} after \\def${name}`,
+        position: this.peekRaw()?.position || { line: 0, column: 0 }
+      })
+      return null
+    }
+    defineMacro(this.macros, name, this.stripComments(this.advanceRaw().value), args)
+    return null
+  }
+
+  /**
+   * Parse \newcommand{\name}[args][default]{body}, and likewise \renewcommand
+   * and \providecommand (which keeps an existing definition)
+   */
+  parseNewcommand(command) {
+    const commandToken = this.advance() // consume \newcommand
+    if (this.peekRaw()?.type === TokenType.ERROR && this.peekRaw().value === "*") {
+      this.advanceRaw() // starred form
+    }
 
-      // Parse the substituted body
-      const subParser = new Parser(substituted, { modules: this.modules })
-      subParser.coordSystem = this.coordSystem
-      subParser.styles = this.styles
-      subParser.nodeDistance = this.nodeDistance
+    const name = this.readMacroName(command)
+    if (!name) return null
 
-      const result = subParser.parse()
-      if (result.ast && result.ast.commands) {
-        commands.push(...result.ast.commands)
+    let args = 0
+    let defaultValue = null
+    if (this.peekRaw()?.type === TokenType.OPTION_START) {
+      args = parseInt(this.readRawOptionText(), 10) || 0
+      if (this.peekRaw()?.type === TokenType.OPTION_START) {
+        defaultValue = this.readRawOptionText()
       }
     }
 
-    // Return commands as a special "multi-command" result
-    return { type: "FOREACH_RESULT", commands }
+    if (this.peekRaw()?.type !== TokenType.STRING) {
+      this.errors.push({
+        message: `Expected {body} after ${command}{${name}}`,
+        position: this.peekRaw()?.position || { line: 0, column: 0 }
+      })
+      return null
+    }
+    const body = this.stripComments(this.advanceRaw().value)
+
+    if (this.macros.has(name)) {
+      if (command === "\\providecommand") return null
+      if (command === "\\newcommand") {
+        this.errors.push({
+          message: `Command ${name} already defined, use \\renewcommand`,
+          position: commandToken.position
+        })
+        return null
+      }
+    }
+    defineMacro(this.macros, name, body, args, defaultValue)
+    return null
+  }
+
+  /**
+   * Read the unexpanded text of an [option] group
+   */
+  readRawOptionText() {
+    this.advanceRaw() // consume [
+    const parts = []
+    while (this.peekRaw() && this.peekRaw().type !== TokenType.OPTION_END && this.peekRaw().type !== TokenType.EOF) {
+      parts.push(tokenText(this.advanceRaw()))
+    }
+    if (this.peekRaw()?.type === TokenType.OPTION_END) {
+      this.advanceRaw()
+    }
+    return parts.join(" ")
+  }
+
+  /**
+   * Remove TeX comments (unescaped % to end of line) from raw brace content
+   */
+  stripComments(value) {
+    return value.replace(/(^|[^\\])%.*$/gm, "$1")
   }
 
   parsePictureOptions(options) {
     for (const opt of options) {
-      // Check for style definition: name/.style={...}
-      const styleMatch = opt.match(/^([a-zA-Z][a-zA-Z0-9_-]*)\/\.style\s*=\s*\{(.+)\}$/s)
-      if (styleMatch) {
-        const styleName = styleMatch[1]
-        const styleValue = styleMatch[2]
-        // Parse the style value into individual options
-        const styleOptions = this.parseStyleValue(styleValue)
-        this.styles.set(styleName, styleOptions)
+      if (defineStyleKey(this.styles, opt)) {
         continue
       }
 
@@ -351,6 +1110,18 @@ export class Parser {
 
       // Check for global font setting
       const [key, value] = this.parseOptionKeyValue(opt)
+      if (TREE_OPTIONS.has(key)) {
+        this.treeOptions.push(opt)
+        continue
+      }
+      if (key === "auto" || key === "swap") {
+        this.labelOptions.push(opt)
+        continue
+      }
+      if (key === ">" || key === "arrows" || parseArrowOption(opt)) {
+        this.arrowOptions.push(opt)
+        continue
+      }
       if (key === "x") {
         const parsed = parseDistanceCm(value)
         this.coordSystem.setAxisScale("x", parsed)
@@ -379,49 +1150,188 @@ export class Parser {
     }
   }
 
-  parseStyleValue(value) {
-    // Split by commas, handling nested braces
-    const options = []
-    let current = ""
-    let depth = 0
+  parseDrawCommand(type, impliedOptions = []) {
+    const commandToken = this.advance() // consume command
+
+    const blockOptions = this.parseOptionsBlock()
+    const options = [
+      ...impliedOptions,
+      ...this.arrowOptions,
+      ...this.getScopeOptions(),
+      ...this.getEveryStyleOptions("every path"),
+      ...blockOptions
+    ]
+    const style = parseOptions(options)
+    // Canvas transformations are resolved here, where their errors are reported
+    style.canvasTransformations = this.coordSystem.resolveTransformations(style.canvasTransformations)
 
-    for (const char of value) {
-      if (char === "{") {
-        depth++
-        current += char
-      } else if (char === "}") {
-        depth--
-        current += char
-      } else if (char === "," && depth === 0) {
-        if (current.trim()) {
-          options.push(current.trim())
-        }
-        current = ""
-      } else {
-        current += char
+    // Intersections are named before the path is built, so they can only use earlier paths
+    for (const opt of blockOptions) {
+      const [key, value] = this.parseOptionKeyValue(opt)
+      if (key === "name intersections") {
+        this.nameIntersections(value)
       }
     }
 
-    if (current.trim()) {
-      options.push(current.trim())
-    }
-
-    return options
-  }
-
-  parseDrawCommand(type) {
-    this.advance() // consume command
-
-    const options = this.parseOptionsBlock()
-    const style = parseOptions(options)
     // Store options temporarily for plot parsing
+    // Transformations given to the path apply to its coordinates like those of a scope
     this.currentDrawOptions = options
+    this.coordSystem.pushTransformations(style.transformations)
     const segments = this.parsePath()
+    this.coordSystem.popTransformations()
     this.currentDrawOptions = null
 
+    for (const opt of blockOptions) {
+      const [key, value] = this.parseOptionKeyValue(opt)
+      if ((key === "name path" || key === "name path global") && value) {
+        this.namedPaths.set(stripOuterBraces(value), segments)
+      }
+    }
+
     this.match(TokenType.SEMICOLON)
 
-    return new ASTNode(type, { style, segments, options })
+    // Marks belong to the path itself or to the preaction or postaction that decorates it
+    const command = new ASTNode(type, { style, segments, options })
+    const passes = [
+      { style, options },
+      ...[...style.preactions, ...style.postactions].map(action => ({
+        style: parseOptions(action, style),
+        options: [...options, ...action]
+      }))
+    ]
+    const marked = passes.find(pass => pass.style.decorate && pass.style.decoration?.type === "markings")
+    if (marked) {
+      command.marks = this.parseMarkings(segments, marked.style.decoration.marks, marked.options, commandToken.position)
+    }
+    this.checkDecorationSegments(segments, passes, commandToken.position)
+    return command
+  }
+
+  /**
+   * Report decorations that would divide a path into more than MAX_DECORATION_SEGMENTS
+   * segments; the renderer draws only that many.
+   */
+  checkDecorationSegments(segments, passes, position) {
+    const decorations = passes.filter(pass => pass.style.decorate && pass.style.decoration).map(pass => pass.style.decoration)
+    if (decorations.length === 0) return
+
+    const polylines = flattenPath(segments)
+    for (const decoration of decorations) {
+      if (polylines.some(polyline => decorationSegmentCount(polyline, decoration) > MAX_DECORATION_SEGMENTS)) {
+        this.errors.push({
+          message: `More than ${MAX_DECORATION_SEGMENTS} ${decoration.type} segments, the segment length is too small`,
+          position
+        })
+      }
+    }
+  }
+
+  /**
+   * Place the marks of a markings decoration along a path
+   * The code of a mark is parsed in a frame at its position, turned along the path.
+   */
+  parseMarkings(segments, marks, options, position) {
+    const polylines = flattenPath(segments)
+    const length = pathLength(polylines)
+    const commands = []
+    const reportMarkError = message => this.errors.push({ message, position })
+
+    for (const mark of marks) {
+      for (const distance of markDistances(mark, length, reportMarkError)) {
+        const position = positionAtDistance(polylines, distance)
+        if (!position) continue
+        const frame = [
+          { type: "shift", x: position.point.x, y: position.point.y },
+          { type: "rotate", angle: position.angle }
+        ]
+        commands.push(...this.parseMarkCode(mark.code, frame, options))
+      }
+    }
+
+    return commands
+  }
+
+  /**
+   * Parse the code of one mark: \arrow{>} and \arrowreversed{>} draw an arrow tip
+   * pointing along (or against) the path, other commands such as \node or \fill
+   * are drawn in the mark's frame.
+   */
+  parseMarkCode(code, frame, options) {
+    const commands = []
+    const rest = code.replace(/\\arrow(reversed)?\s*(?:\[([^\]]*)\])?\s*\{([^}]*)\}/g, (match, reversed, arrowOptions, tip) => {
+      const tipOptions = arrowOptions ? splitKeyList(arrowOptions) : []
+      commands.push(this.markArrow(frame, tip.trim(), Boolean(reversed), [...options, ...tipOptions]))
+      return ""
+    })
+
+    if (rest.trim()) {
+      this.coordSystem.withTransformations(frame, () => {
+        commands.push(...this.createSubParser(rest).parseCommands())
+      })
+    }
+
+    return commands
+  }
+
+  /**
+   * An arrow tip of a mark: a short line ending at the mark with the tip at its end
+   */
+  markArrow(frame, tip, reversed, options) {
+    const direction = reversed ? -1 : 1
+    const [from, to] = this.coordSystem.withTransformations(frame, () => [
+      this.coordSystem.transformPoint(new Point(-MARK_ARROW_LENGTH * direction, 0)),
+      this.coordSystem.transformPoint(new Point(0, 0))
+    ])
+
+    const style = parseOptions(options)
+    style.decorate = false
+    style.decoration = null
+    style.arrowStart = null
+    style.arrowEnd = parseOptions([`-${tip}`]).arrowEnd
+    style.shortenStart = style.shortenEnd = 0
+    style.preactions = []
+    style.postactions = []
+
+    return new ASTNode(NodeType.DRAW, {
+      style,
+      options,
+      segments: [new ASTNode(NodeType.LINE_SEGMENT, { from, to })]
+    })
+  }
+
+  /**
+   * Register the intersections of two named paths as coordinates:
+   * name intersections={of=A and B, by={p,q}} names them p, q and intersection-1, intersection-2
+   */
+  nameIntersections(value) {
+    const spec = parseIntersectionOptions(value)
+    const position = this.peek()?.position || { line: 0, column: 0 }
+
+    if (spec.paths.length !== 2) {
+      this.errors.push({ message: "name intersections needs two paths: of=A and B", position })
+      return
+    }
+    const missing = spec.paths.find(name => !this.namedPaths.has(name))
+    if (missing) {
+      this.errors.push({ message: `Unknown path "${missing}" in name intersections`, position })
+      return
+    }
+
+    const [first, second] = spec.sortBy === spec.paths[1] ? [spec.paths[1], spec.paths[0]] : spec.paths
+    const points = intersectPaths(
+      flattenPath(this.namedPaths.get(first)),
+      flattenPath(this.namedPaths.get(second))
+    )
+
+    points.forEach((point, index) => {
+      this.coordSystem.setNamedCoordinate(`${spec.name}-${index + 1}`, point)
+      if (spec.by[index]) {
+        this.coordSystem.setNamedCoordinate(spec.by[index], point)
+      }
+    })
+    if (spec.total) {
+      defineMacro(this.macros, spec.total, points.length)
+    }
   }
 
   parseNodeCommand() {
@@ -441,9 +1351,10 @@ export class Parser {
       }
     }
 
-    // Parse options: [options]
-    const options = this.parseOptionsBlock()
-    const style = parseOptions(options)
+    // Parse options: [options], preceded by the "every node" defaults
+    const options = [...this.getEveryStyleOptions("every node"), ...this.parseOptionsBlock()]
+    const style = parseOptions([...this.getScopeOptions(), ...options])
+    style.canvasTransformations = this.coordSystem.resolveTransformations(style.canvasTransformations)
 
     // If name wasn't before options, try to parse it after: \node [options] (name)
     if (!name && this.peek()?.type === TokenType.COORDINATE) {
@@ -454,7 +1365,8 @@ export class Parser {
     }
 
     // Parse "at (coord)" or check for positioning options
-    let position = new Point(0, 0)
+    // Without either, the node sits at the origin of the current scope
+    let position = this.coordSystem.transformPoint(new Point(0, 0))
     let positionExplicit = false
 
     if (this.match(TokenType.AT)) {
@@ -472,8 +1384,6 @@ export class Parser {
       text = this.advance().value
     }
 
-    this.match(TokenType.SEMICOLON)
-
     // Parse node options for shape, size, etc. (pass text for dimension estimation)
     const nodeOptions = this.parseNodeOptions(options, text)
 
@@ -502,61 +1412,265 @@ export class Parser {
       }
     }
 
-    // Calculate actual node dimensions for registration
-    // For empty nodes, size is based on innerSep; for nodes with text, estimate from text metrics
-    let regWidth = nodeOptions.width
-    let regHeight = nodeOptions.height
-    if (text) {
-      const metrics = this.estimateNodeTextMetrics(text, nodeOptions.fontSize, nodeOptions.innerSep)
-      if (regWidth === 0) regWidth = Math.max(metrics.width, nodeOptions.innerSep * 2)
-      if (regHeight === 0) regHeight = Math.max(metrics.height, nodeOptions.innerSep * 2)
-    } else {
-      if (regWidth === 0) regWidth = nodeOptions.innerSep * 2
-      if (regHeight === 0) regHeight = nodeOptions.innerSep * 2
-    }
+    // Calculate actual node dimensions for registration
+    const { width: regWidth, height: regHeight } = this.estimateNodeSize(nodeOptions, text)
+
+    // If no explicit position yet, try to use positioning options with actual node size
+    if (!positionExplicit) {
+      const positionFromOptions = this.parsePositioningOptions(options, {
+        halfWidth: regWidth / 2,
+        halfHeight: regHeight / 2
+      })
+      if (positionFromOptions) {
+        position = positionFromOptions
+        positionExplicit = true
+      }
+    }
+
+    // Apply the node's own transformations (shifts, rotate around, ...) to its position
+    position = this.transformNodePosition(position, style)
+
+    // Register the node if it has a name
+    if (name) {
+      const anchors = this.coordSystem.calculateAnchors(
+        position,
+        nodeOptions.shape,
+        regWidth,
+        regHeight,
+        nodeOptions.shapeParams
+      )
+      this.coordSystem.registerNode(
+        name, position, anchors, nodeOptions.shape, regWidth, regHeight, nodeOptions.shapeParams
+      )
+    }
+
+    const node = new ASTNode(NodeType.NODE, {
+      name,
+      position,
+      text,
+      style,
+      fitPositionLocked: positionExplicit,
+      ...nodeOptions
+    })
+
+    // Child operations (optionally preceded by options for the whole tree) make the node a tree root
+    const treeOptions = this.peek()?.type === TokenType.OPTION_START && this.isChildOperationAfterOptions()
+      ? this.parseOptionsBlock()
+      : []
+    if (this.isChildOperation()) {
+      const { edges, nodes } = this.parseTree(node, treeOptions)
+      this.match(TokenType.SEMICOLON)
+      return new ASTNode(NodeType.TREE, { commands: [...edges, node, ...nodes] })
+    }
+
+    this.match(TokenType.SEMICOLON)
+
+    return node
+  }
+
+  isChildOperation(offset = 0) {
+    return this.peek(offset)?.type === TokenType.IDENTIFIER && this.peek(offset).value === "child"
+  }
+
+  /**
+   * Check for an option block followed by a child operation: [grow=right] child
+   */
+  isChildOperationAfterOptions() {
+    let offset = 1
+    while (this.peek(offset) && this.peek(offset).type !== TokenType.OPTION_END &&
+      this.peek(offset).type !== TokenType.EOF) {
+      offset++
+    }
+    return this.isChildOperation(offset + 1)
+  }
+
+  /**
+   * Parse the child operations following the root of a tree (see trees.js)
+   * root is the node or coordinate ({ name, position }) the tree grows from.
+   * Returns the edges from parents to children and the nodes of the children;
+   * edgeOptions are the options of the path the tree is part of.
+   */
+  parseTree(root, treeOptions = [], edgeOptions = []) {
+    const nodeName = root.type === NodeType.NODE ? this.nameTreeNode(root) : null
+    const parent = {
+      nodeName,
+      name: root.name,
+      position: root.position,
+      level: 0,
+      edgeOptions
+    }
+    const tree = { edges: [], nodes: [] }
+
+    // Children are laid out in a coordinate system with its origin at their parent
+    const origin = this.coordSystem.untransformPoint(root.position)
+    this.pushScope(treeOptions)
+    this.coordSystem.pushTransformations([{ type: "shift", x: origin.x, y: origin.y }])
+    this.parseChildren(parent, tree)
+    this.coordSystem.popTransformations()
+    this.popScope()
+
+    return tree
+  }
+
+  /**
+   * Give an unnamed tree node an internal name, so that edges can end on its border
+   */
+  nameTreeNode(node) {
+    if (node.name) return node.name
+
+    let index = this.coordSystem.nodes.size + 1
+    while (this.coordSystem.nodes.has(`tree@${index}`)) index++
+    node.name = `tree@${index}`
+
+    const { width, height } = this.estimateNodeSize(node, node.text)
+    const anchors = this.coordSystem.calculateAnchors(node.position, node.shape, width, height, node.shapeParams)
+    this.coordSystem.registerNode(node.name, node.position, anchors, node.shape, width, height, node.shapeParams)
+    return node.name
+  }
+
+  /**
+   * Parse child [options] {...} operations and lay out the children around their parent
+   * Each child is a scope: its options and the "level", "level N" and "every child"
+   * styles apply to its node, its edge from the parent and its own children.
+   */
+  parseChildren(parent, tree) {
+    const children = []
+    while (this.isChildOperation()) {
+      this.advance() // consume "child"
+      const options = this.parseOptionsBlock()
+      const bodyToken = this.peek()?.type === TokenType.STRING ? this.advance() : null
+      children.push({ options, body: bodyToken?.value ?? "", origin: bodyToken && bodyOrigin(bodyToken) })
+    }
+
+    const level = parent.level + 1
+    const levelStyles = [`level=${level}`, `level ${level}`, "every child"]
+      .filter(name => this.styles.has(name.split("=")[0]))
+
+    children.forEach((child, index) => {
+      const options = [...this.expandStyleReferences(levelStyles), ...child.options]
+      if (options.some(opt => this.parseOptionKeyValue(opt)[0] === "missing")) return
+
+      this.pushScope(options)
+      const inherited = [...this.treeOptions, ...this.getScopeOptions()]
+      const offset = childOffset(readTreeSettings(inherited, this.parseOptionKeyValue), index + 1, children.length)
+      this.coordSystem.pushTransformations([{ type: "shift", x: offset.x, y: offset.y }])
+
+      const subParser = this.createSubParser(child.body, child.origin)
+      const name = parent.name ? `${parent.name}-${index + 1}` : null
+      subParser.withCoordinateErrors(() => {
+        subParser.parseChildBody(parent, name, level, readTreeNodeOptions(inherited, this.parseOptionKeyValue), tree)
+      })
+
+      this.coordSystem.popTransformations()
+      this.popScope()
+    })
+  }
+
+  /**
+   * Parse the body of a child: its node (or coordinate), its own children and an
+   * optional "edge from parent [options] node {label}"
+   */
+  parseChildBody(parent, defaultName, level, nodeOptions, tree) {
+    const position = this.coordSystem.transformPoint(new Point(0, 0))
+    let node = null
+    let name = defaultName
 
-    // If no explicit position yet, try to use positioning options with actual node size
-    if (!positionExplicit) {
-      const positionFromOptions = this.parsePositioningOptions(options, {
-        halfWidth: regWidth / 2,
-        halfHeight: regHeight / 2
-      })
-      if (positionFromOptions) {
-        position = positionFromOptions
-        positionExplicit = true
+    if (this.peek()?.type === TokenType.NODE) {
+      node = this.parseInlineNode(position, [
+        ...this.getEveryStyleOptions("every child node"),
+        ...nodeOptions
+      ], defaultName)
+      tree.nodes.push(node)
+      name = node.name
+    } else if (this.peek()?.type === TokenType.IDENTIFIER && this.peek().value === "coordinate") {
+      this.advance()
+      this.parseOptionsBlock()
+      if (this.peek()?.type === TokenType.COORDINATE) {
+        name = this.advance().value.trim()
       }
     }
+    if (!node && name) {
+      this.coordSystem.setNamedCoordinate(name, position)
+    }
 
-    // Apply xshift/yshift transformations to position
-    if (style.transformations) {
-      for (const transform of style.transformations) {
-        if (transform.type === "xshift") {
-          position = new Point(position.x + transform.value, position.y)
-        } else if (transform.type === "yshift") {
-          position = new Point(position.x, position.y + transform.value)
-        }
+    const nodeName = node ? this.nameTreeNode(node) : null
+    this.parseChildren({ nodeName, name, position, level, edgeOptions: parent.edgeOptions }, tree)
+
+    let edgeOptions = []
+    let edgeLabel = null
+    if (this.peek()?.type === TokenType.IDENTIFIER && this.peek().value === "edge" &&
+      this.peek(1)?.value === "from" && this.peek(2)?.value === "parent") {
+      this.advance()
+      this.advance()
+      this.advance()
+      edgeOptions = this.parseOptionsBlock()
+      if (this.peek()?.type === TokenType.NODE) {
+        edgeLabel = this.parseEdgeLabel()
       }
     }
 
-    // Register the node if it has a name
-    if (name) {
-      const anchors = this.coordSystem.calculateAnchors(
-        position,
-        nodeOptions.shape,
-        regWidth,
-        regHeight
-      )
-      this.coordSystem.registerNode(name, position, anchors, nodeOptions.shape, regWidth, regHeight)
+    const edgeStyle = this.styles.has("edge from parent") ? this.expandStyleReferences(["edge from parent"]) : ["draw"]
+    const options = [...this.arrowOptions, ...parent.edgeOptions, ...this.getScopeOptions(), ...edgeStyle, ...edgeOptions]
+    tree.edges.push(new ASTNode(this.hasDrawOption(options) ? NodeType.DRAW : NodeType.PATH, {
+      style: parseOptions(options),
+      options,
+      segments: [new ASTNode(NodeType.LINE_SEGMENT, {
+        from: parent.nodeName ? this.coordSystem.getNodeBoundaryPoint(parent.nodeName, position) : parent.position,
+        to: nodeName ? this.coordSystem.getNodeBoundaryPoint(nodeName, parent.position) : position,
+        fromNodeName: parent.nodeName,
+        toNodeName: nodeName,
+        edgeLabel
+      })]
+    }))
+  }
+
+  /**
+   * Move a node position by the transformations in the node's options
+   * They act in a coordinate system with its origin at the node position, so
+   * xshift=1cm moves the node 1cm, while rotate around={90:(1,0)} swings it around
+   * the point 1cm to its right.
+   */
+  transformNodePosition(position, style) {
+    if (!style.transformations?.length) return position
+
+    const origin = this.coordSystem.transformPoint(new Point(0, 0))
+    this.coordSystem.pushTransformations(style.transformations)
+    const offset = this.coordSystem.transformPoint(new Point(0, 0)).subtract(origin)
+    this.coordSystem.popTransformations()
+    return position.add(offset)
+  }
+
+  /**
+   * Estimate the size of a node for registration (anchors, positioning)
+   * For empty nodes, size is based on innerSep; for nodes with text, estimate from text metrics
+   */
+  estimateNodeSize(nodeOptions, text) {
+    const { shape, shapeParams = {}, innerSep } = nodeOptions
+    let width = nodeOptions.width
+    let height = nodeOptions.height
+
+    // Split shapes arrange the texts of their parts; the layout positions the dividers
+    const partNames = shapePartNames(shape, shapeParams)
+    if (partNames) {
+      const parts = splitNodeParts(text)
+      const sizes = partNames.map((name, i) => {
+        const partText = parts[name] ?? (i === 0 ? parts.text : "")
+        return this.estimateNodeTextMetrics(partText, nodeOptions.fontSize, innerSep)
+      })
+      const layout = layoutShapeParts(shape, sizes, shapeParams)
+      if (layout.splits) shapeParams.splits = layout.splits
+      return { width: width || layout.width, height: height || layout.height }
     }
 
-    return new ASTNode(NodeType.NODE, {
-      name,
-      position,
-      text,
-      style,
-      fitPositionLocked: positionExplicit,
-      ...nodeOptions
-    })
+    let content = { width: innerSep * 2, height: innerSep * 2 }
+    if (text) {
+      const metrics = this.estimateNodeTextMetrics(text, nodeOptions.fontSize, innerSep)
+      content = { width: Math.max(metrics.width, innerSep * 2), height: Math.max(metrics.height, innerSep * 2) }
+    }
+    const outer = shapeContentSize(shape, content.width, content.height, shapeParams)
+    if (width === 0) width = outer.width
+    if (height === 0) height = outer.height
+    return { width, height }
   }
 
   estimateNodeTextMetrics(text, defaultFontSize, innerSep) {
@@ -832,21 +1946,27 @@ export class Parser {
       align: "center",
       fontSize: this.defaultFontSize, // Use global default if set
       fit: null,
-      label: null
+      label: null,
+      shapeParams: {} // Options of the shape, e.g. { aspect: 2 } (see shapes.js)
     }
 
+    const reportShapeError = message => this.errors.push({
+      message,
+      position: this.tokens[this.position - 1]?.position || { line: 0, column: 0 }
+    })
+
     for (const opt of options) {
       const [key, value] = this.parseOptionKeyValue(opt)
 
+      if (value === null && hasShape(key)) {
+        result.shape = key
+        continue
+      }
+      if (parseShapeOption(result.shapeParams, key, value, reportShapeError)) continue
+
       switch (key) {
-        case "circle":
-          result.shape = "circle"
-          break
-        case "rectangle":
-          result.shape = "rectangle"
-          break
-        case "ellipse":
-          result.shape = "ellipse"
+        case "shape":
+          result.shape = hasShape(value) ? value : "rectangle"
           break
         case "box":
           result.shape = "rectangle"
@@ -953,8 +2073,11 @@ export class Parser {
     if (!text) return null
 
     let fontSize = null
-    if (optionsPart) {
-      const opts = optionsPart.split(",").map(opt => opt.trim()).filter(Boolean)
+    const opts = this.expandStyleReferences([
+      ...this.getEveryStyleOptions("every label"),
+      ...splitKeyList(optionsPart)
+    ])
+    if (opts.length > 0) {
       for (const opt of opts) {
         const [key, val] = this.parseOptionKeyValue(opt)
         if (key === "font") {
@@ -1002,6 +2125,14 @@ export class Parser {
     return opposites[direction] || "center"
   }
 
+  /**
+   * Compass anchor on the side of a node that points in direction angle (in degrees)
+   */
+  compassAnchor(angle) {
+    const anchors = ["east", "north east", "north", "north west", "west", "south west", "south", "south east"]
+    return anchors[Math.round((((angle % 360) + 360) % 360) / 45) % 8]
+  }
+
   parseCoordinateCommand() {
     this.advance() // consume \coordinate
 
@@ -1012,7 +2143,7 @@ export class Parser {
     }
 
     // Parse "at (coord)"
-    let position = new Point(0, 0)
+    let position = this.coordSystem.transformPoint(new Point(0, 0))
     if (this.match(TokenType.AT)) {
       const coordToken = this.expect(TokenType.COORDINATE)
       if (coordToken) {
@@ -1031,10 +2162,15 @@ export class Parser {
     return new ASTNode(NodeType.COORDINATE, { name, position })
   }
 
-  parseOptionsBlock() {
+  /**
+   * Parse an option block [key, key=value, ...]
+   * Style references are expanded unless expand is false
+   */
+  parseOptionsBlock(expand = true) {
     const options = []
 
-    if (!this.match(TokenType.OPTION_START)) {
+    const startToken = this.match(TokenType.OPTION_START)
+    if (!startToken) {
       return options
     }
 
@@ -1048,12 +2184,16 @@ export class Parser {
       // Add space between consecutive identifiers (for multi-word keys like "inner sep")
       // But NOT between number and unit (like "14mm")
       // Note: Some keywords like "node" are tokenized as NODE, not IDENTIFIER
+      // "reset cm" is a key of its own, not a dimension
       const isUnit = token.type === TokenType.IDENTIFIER &&
-        ["mm", "cm", "pt", "em", "ex", "in"].includes(token.value)
+        ["mm", "cm", "pt", "em", "ex", "in"].includes(token.value) &&
+        !(token.value === "cm" && /(^|[\s{])reset$/.test(current))
 
       const isWordToken = (type) => type === TokenType.IDENTIFIER || type === TokenType.NODE ||
         type === TokenType.AT || type === TokenType.TO || type === TokenType.AND ||
-        type === TokenType.CONTROLS || type === TokenType.CYCLE
+        type === TokenType.CONTROLS || type === TokenType.CYCLE || type === TokenType.ARC ||
+        type === TokenType.CIRCLE || type === TokenType.ELLIPSE || type === TokenType.RECTANGLE ||
+        type === TokenType.GRID || type === TokenType.PLOT
 
       const needsSpace = (
         isWordToken(lastTokenType) && token.type === TokenType.IDENTIFIER && !isUnit
@@ -1103,58 +2243,98 @@ export class Parser {
     this.match(TokenType.OPTION_END)
 
     // Expand style references
-    return this.expandStyleReferences(options)
+    return expand ? this.expandStyleReferences(options, startToken.position) : options
   }
 
-  expandStyleReferences(options) {
-    const expanded = []
-
-    for (const opt of options) {
-      // Check if this option is a style reference (just a name, no '=')
-      if (!opt.includes("=") && this.styles.has(opt)) {
-        // Expand the style
-        const styleOptions = this.styles.get(opt)
-        expanded.push(...this.expandStyleReferences(styleOptions))
-      } else {
-        expanded.push(opt)
-      }
-    }
-
-    return expanded
+  /**
+   * Recursively expand style references, reporting recursive styles as errors
+   */
+  expandStyleReferences(options, position = null) {
+    return expandStyles(this.styles, options, (message) => {
+      this.errors.push({
+        message,
+        position: position || this.peek()?.position || { line: 0, column: 0 }
+      })
+    })
   }
 
   parsePath() {
     const segments = []
     this.coordSystem.reset()
 
-    // Parse first coordinate
-    let firstPoint = null
-    let firstNodeName = null  // Track if first point is a node reference
-    if (this.peek()?.type === TokenType.COORDINATE) {
-      const token = this.advance()
-      const coordValue = this.getCoordinateValue(token)
-      const result = parseCoordinateToken(coordValue, this.coordSystem)
-      firstPoint = result.point
-      firstNodeName = result.nodeName
+    const state = { point: null, nodeName: null, savedMacros: null }
+    this.parsePathOperations(segments, state)
+
+    // Registers of let operations end with the path
+    if (state.savedMacros) {
+      restoreMap(this.macros, state.savedMacros)
     }
 
-    // Parse path operations
+    return segments
+  }
+
+  /**
+   * Parse path operations up to the end of the path, continuing from state.point
+   * state ({ point, nodeName }) is updated so that loops can continue the path
+   */
+  parsePathOperations(segments, state) {
     while (this.peek()?.type !== TokenType.SEMICOLON && this.peek()?.type !== TokenType.EOF) {
-      const { segment, toNodeName } = this.parsePathSegment(firstPoint, firstNodeName)
+      if (this.peek().type === TokenType.COMMAND && this.peek().value === "\\foreach") {
+        this.parsePathForeach(segments, state)
+        continue
+      }
+
+      if (this.peek().type === TokenType.IDENTIFIER && this.peek().value === "let") {
+        this.parseLet(state)
+        continue
+      }
+
+      // Children grow from the last node on the path, or else from the current point
+      // Options right before the first child apply to the whole tree
+      const treeOptions = this.peek().type === TokenType.OPTION_START && this.isChildOperationAfterOptions()
+        ? this.parseOptionsBlock()
+        : []
+      if (this.isChildOperation()) {
+        const last = segments[segments.length - 1]
+        const root = last?.type === NodeType.NODE
+          ? last
+          : { name: null, position: state.point ?? this.coordSystem.transformPoint(new Point(0, 0)) }
+        const { edges, nodes } = this.parseTree(root, treeOptions, this.currentDrawOptions || [])
+        segments.push(new ASTNode(NodeType.TREE, { commands: [...edges, ...nodes] }))
+        continue
+      }
+
+      // A path (or loop body) starting with a coordinate moves there first
+      if (!state.point && this.peek().type === TokenType.COORDINATE) {
+        const coordValue = this.getCoordinateValue(this.advance())
+        const result = parseCoordinateToken(coordValue, this.coordSystem)
+        state.point = result.point
+        state.nodeName = result.nodeName
+        continue
+      }
+
+      // Nodes with pos=... are placed along the last segment that is not a node
+      const previousSegment = segments.findLast(segment => segment.type !== NodeType.NODE)
+      const { segment, toNodeName, precedingSegments } = this.parsePathSegment(
+        state.point, state.nodeName, previousSegment
+      )
       if (segment) {
+        if (precedingSegments) {
+          segments.push(...precedingSegments)
+        }
         segments.push(segment)
-        if (segment.to) {
-          firstPoint = segment.to
-          firstNodeName = toNodeName
+        if (segment.type === NodeType.EDGE) {
+          // Edges leave the current point where it is
+        } else if (segment.to) {
+          state.point = segment.to
+          state.nodeName = toNodeName
         } else {
-          firstNodeName = null
+          state.nodeName = null
         }
       } else {
         break
       }
     }
-
-    return segments
   }
 
   getCoordinateValue(token) {
@@ -1166,7 +2346,7 @@ export class Parser {
     return value
   }
 
-  parsePathSegment(fromPoint, fromNodeName = null) {
+  parsePathSegment(fromPoint, fromNodeName = null, previousSegment = null) {
     const token = this.peek()
 
     if (!token) return { segment: null, toNodeName: null }
@@ -1175,17 +2355,26 @@ export class Parser {
       case TokenType.LINE_TO:
         return this.parseLineTo(fromPoint, fromNodeName)
 
+      case TokenType.HV_LINE_TO:
+      case TokenType.VH_LINE_TO:
+        return this.parsePerpendicularLineTo(fromPoint, fromNodeName)
+
       case TokenType.CURVE_TO:
         return this.parseCurveTo(fromPoint, fromNodeName)
 
       case TokenType.TO:
         return this.parseToOperation(fromPoint, fromNodeName)
 
+      case TokenType.IDENTIFIER:
+        if (token.value === "edge") return this.parseEdgeOperation(fromPoint, fromNodeName)
+        return { segment: null, toNodeName: null }
+
+      // Without a current point, as in \fill circle (1pt), circles sit at the origin
       case TokenType.CIRCLE:
-        return { segment: this.parseCircle(fromPoint), toNodeName: null }
+        return { segment: this.parseCircle(fromPoint ?? this.coordSystem.transformPoint(new Point(0, 0))), toNodeName: null }
 
       case TokenType.ELLIPSE:
-        return { segment: this.parseEllipse(fromPoint), toNodeName: null }
+        return { segment: this.parseEllipse(fromPoint ?? this.coordSystem.transformPoint(new Point(0, 0))), toNodeName: null }
 
       case TokenType.RECTANGLE:
         return { segment: this.parseRectangle(fromPoint), toNodeName: null }
@@ -1204,7 +2393,7 @@ export class Parser {
         return { segment: new ASTNode(NodeType.CYCLE, { from: fromPoint }), toNodeName: null }
 
       case TokenType.NODE:
-        return { segment: this.parseInlineNode(fromPoint), toNodeName: null }
+        return { segment: this.parseInlineNode(fromPoint, [], null, previousSegment), toNodeName: null }
 
       case TokenType.PLUS:
         // Handle relative coordinate
@@ -1225,29 +2414,14 @@ export class Parser {
         return { segment: null, toNodeName: null }
 
       case TokenType.COORDINATE:
-        // Bare coordinate - implicit line to
+        // Bare coordinate - moves the current point, as in (a) edge (b) (b) edge (c)
         const coordToken = this.advance()
         const result = parseCoordinateToken(coordToken.value, this.coordSystem)
-        // Adjust endpoints for node references
-        let adjustedFrom = fromPoint
-        let adjustedTo = result.point
-        if (fromNodeName && result.nodeName) {
-          // Both endpoints are nodes - adjust both
-          adjustedFrom = this.coordSystem.getNodeBoundaryPoint(fromNodeName, result.point)
-          adjustedTo = this.coordSystem.getNodeBoundaryPoint(result.nodeName, fromPoint)
-        } else if (fromNodeName) {
-          // Only from is a node
-          adjustedFrom = this.coordSystem.getNodeBoundaryPoint(fromNodeName, result.point)
-        } else if (result.nodeName) {
-          // Only to is a node
-          adjustedTo = this.coordSystem.getNodeBoundaryPoint(result.nodeName, fromPoint)
-        }
         return {
           segment: new ASTNode(NodeType.LINE_SEGMENT, {
-            from: adjustedFrom,
-            to: adjustedTo,
-            fromNodeName,
-            toNodeName: result.nodeName
+            from: fromPoint,
+            to: result.point,
+            move: true
           }),
           toNodeName: result.nodeName
         }
@@ -1328,17 +2502,98 @@ export class Parser {
     }
   }
 
+  /**
+   * Parse a -| or |- operation: a horizontal and a vertical line meeting at a corner
+   * The first line is returned in precedingSegments, the second as the segment itself.
+   */
+  parsePerpendicularLineTo(fromPoint, fromNodeName = null) {
+    const horizontalFirst = this.advance().type === TokenType.HV_LINE_TO
+
+    let edgeLabel = null
+    if (this.peek()?.type === TokenType.NODE) {
+      edgeLabel = this.parseEdgeLabel()
+    }
+
+    let coordValue = ""
+    while (this.match(TokenType.PLUS)) {
+      coordValue += "+"
+    }
+
+    const coordToken = this.expect(TokenType.COORDINATE)
+    if (!coordToken) return { segment: null, toNodeName: null }
+
+    coordValue += coordToken.value
+    const result = parseCoordinateToken(coordValue, this.coordSystem)
+
+    if (!edgeLabel && this.peek()?.type === TokenType.NODE) {
+      edgeLabel = this.parseEdgeLabel()
+      if (edgeLabel.labelPosition && !edgeLabel.labelPosition.explicitPos) {
+        edgeLabel.labelPosition.pos = 1
+      }
+    }
+
+    // The corner is found from node centers, the lines are then cut at the node borders
+    const fromCenter = fromNodeName ? this.coordSystem.nodes.get(fromNodeName).center : fromPoint
+    const toCenter = result.point
+    const corner = horizontalFirst
+      ? new Point(toCenter.x, fromCenter.y)
+      : new Point(fromCenter.x, toCenter.y)
+
+    const samePoint = (a, b) => Math.abs(a.x - b.x) < 1e-9 && Math.abs(a.y - b.y) < 1e-9
+    const aligned = samePoint(corner, fromCenter) || samePoint(corner, toCenter)
+
+    const first = new ASTNode(NodeType.LINE_SEGMENT, {
+      from: fromNodeName ? this.coordSystem.getNodeBoundaryPoint(fromNodeName, aligned ? toCenter : corner) : fromPoint,
+      to: corner,
+      fromNodeName
+    })
+    const second = new ASTNode(NodeType.LINE_SEGMENT, {
+      from: corner,
+      to: result.nodeName ? this.coordSystem.getNodeBoundaryPoint(result.nodeName, aligned ? fromCenter : corner) : toCenter,
+      toNodeName: result.nodeName,
+      toAnchorNodeName: result.anchorNodeName,
+      toAnchorName: result.anchorName
+    })
+
+    // Both centers on one axis line: a plain straight line
+    if (aligned) {
+      return {
+        segment: new ASTNode(NodeType.LINE_SEGMENT, {
+          ...second,
+          from: first.from,
+          fromNodeName,
+          edgeLabel
+        }),
+        toNodeName: result.nodeName
+      }
+    }
+
+    // A label at pos=0.5 sits at the corner
+    if (edgeLabel) {
+      const pos = edgeLabel.labelPosition.pos
+      if (pos <= 0.5) {
+        edgeLabel.labelPosition.pos = pos * 2
+        first.edgeLabel = edgeLabel
+      } else {
+        edgeLabel.labelPosition.pos = pos * 2 - 1
+        second.edgeLabel = edgeLabel
+      }
+    }
+
+    return { segment: second, precedingSegments: [first], toNodeName: result.nodeName }
+  }
+
   /**
    * Parse an edge label: node[options] {text}
    */
   parseEdgeLabel() {
     this.advance() // consume "node"
 
-    const options = this.parseOptionsBlock()
-    const style = parseOptions(options)
+    const options = [...this.getEveryStyleOptions("every node"), ...this.parseOptionsBlock()]
+    const style = parseOptions([...this.getScopeOptions(), ...options])
 
     // Parse edge label positioning options
-    const labelPosition = this.parseEdgeLabelPosition(options)
+    const labelPosition = this.parseEdgeLabelPosition([...this.inheritedLabelOptions(), ...options])
 
     // Parse optional name
     let name = null
@@ -1367,6 +2622,17 @@ export class Parser {
     }
   }
 
+  /**
+   * auto and swap given to the picture, a scope or the path apply to every label on it
+   */
+  inheritedLabelOptions() {
+    const enclosing = (this.currentDrawOptions || this.getScopeOptions()).filter(opt => {
+      const [key] = this.parseOptionKeyValue(opt)
+      return key === "auto" || key === "swap"
+    })
+    return [...this.labelOptions, ...enclosing]
+  }
+
   /**
    * Parse edge label positioning options (above, below, left, right, pos, etc.)
    */
@@ -1383,10 +2649,12 @@ export class Parser {
       const [key, value] = this.parseOptionKeyValue(opt)
 
       switch (key) {
-        case "pos":
-          position.pos = parseFloat(value) || 0.5
+        case "pos": {
+          const pos = parseFloat(value)
+          position.pos = Number.isFinite(pos) ? pos : 0.5
           position.explicitPos = true
           break
+        }
         case "midway":
           position.pos = 0.5
           position.explicitPos = true
@@ -1399,6 +2667,14 @@ export class Parser {
           position.pos = 0.75
           position.explicitPos = true
           break
+        case "very near start":
+          position.pos = 0.125
+          position.explicitPos = true
+          break
+        case "very near end":
+          position.pos = 0.875
+          position.explicitPos = true
+          break
         case "at start":
           position.pos = 0
           position.explicitPos = true
@@ -1430,6 +2706,13 @@ export class Parser {
         case "sloped":
           position.sloped = true
           break
+        case "auto":
+          position.auto = value === "right" ? "right" : value === "false" ? null : "left"
+          break
+        case "swap":
+        case "'":
+          position.swap = true
+          break
         case "xshift": {
           const dist = this.parseDistance(value)
           if (dist !== null) {
@@ -1509,16 +2792,47 @@ export class Parser {
     this.advance() // consume "to"
 
     const options = this.parseOptionsBlock()
+    const target = this.parseToTarget(fromPoint, fromNodeName)
+    if (!target) return { segment: null, toNodeName: null }
+
+    return {
+      segment: this.buildToSegment(fromPoint, fromNodeName, target, options),
+      toNodeName: target.nodeName
+    }
+  }
+
+  /**
+   * Parse an edge operation: edge [options] node {label} (target)
+   * The edge is a path of its own with the path's options, "every edge" (draw by
+   * default) and its own options. It branches off the current point without moving it.
+   */
+  parseEdgeOperation(fromPoint, fromNodeName = null) {
+    this.advance() // consume "edge"
 
-    // Parse out/in angles for curved paths
-    let outAngle = null
-    let inAngle = null
+    const edgeOptions = this.parseOptionsBlock()
+    const target = this.parseToTarget(fromPoint, fromNodeName)
+    if (!target) return { segment: null, toNodeName: null }
 
-    for (const opt of options) {
-      const [key, value] = this.parseOptionKeyValue(opt)
-      if (key === "out") outAngle = parseFloat(value)
-      if (key === "in") inAngle = parseFloat(value)
+    const everyEdge = this.styles.has("every edge") ? this.expandStyleReferences(["every edge"]) : ["draw"]
+    const options = [...(this.currentDrawOptions || []), ...everyEdge, ...edgeOptions]
+
+    return {
+      segment: new ASTNode(NodeType.EDGE, {
+        style: parseOptions(options),
+        options,
+        drawn: this.hasDrawOption(options),
+        segments: [this.buildToSegment(fromPoint, fromNodeName, target, options)]
+      }),
+      toNodeName: fromNodeName
     }
+  }
+
+  /**
+   * Parse the labels and target of a to or edge operation
+   * An empty target () is the start point itself, as in edge[loop above] ().
+   */
+  parseToTarget(fromPoint, fromNodeName) {
+    const edgeLabel = this.peek()?.type === TokenType.NODE ? this.parseEdgeLabel() : null
 
     // Check for + or ++ prefix
     let coordValue = ""
@@ -1527,60 +2841,53 @@ export class Parser {
     }
 
     const coordToken = this.expect(TokenType.COORDINATE)
-    if (!coordToken) return { segment: null, toNodeName: null }
-
-    coordValue += coordToken.value
-    const result = parseCoordinateToken(coordValue, this.coordSystem)
+    if (!coordToken) return null
 
-    // Adjust endpoints for node references
-    let adjustedFrom = fromPoint
-    let adjustedTo = result.point
-    if (fromNodeName && result.nodeName) {
-      adjustedFrom = this.coordSystem.getNodeBoundaryPoint(fromNodeName, result.point)
-      adjustedTo = this.coordSystem.getNodeBoundaryPoint(result.nodeName, fromPoint)
-    } else if (fromNodeName) {
-      adjustedFrom = this.coordSystem.getNodeBoundaryPoint(fromNodeName, result.point)
-    } else if (result.nodeName) {
-      adjustedTo = this.coordSystem.getNodeBoundaryPoint(result.nodeName, fromPoint)
+    if (!coordValue && !coordToken.value.trim()) {
+      return { point: fromPoint, nodeName: fromNodeName, edgeLabel }
     }
 
-    if (outAngle !== null && inAngle !== null) {
-      // Curved path
-      const distance = Math.sqrt(
-        Math.pow(adjustedTo.x - adjustedFrom.x, 2) +
-        Math.pow(adjustedTo.y - adjustedFrom.y, 2)
-      ) / 3
+    const result = parseCoordinateToken(coordValue + coordToken.value, this.coordSystem)
+    return { point: result.point, nodeName: result.nodeName, edgeLabel }
+  }
 
-      const control1 = new Point(
-        adjustedFrom.x + distance * Math.cos(outAngle * Math.PI / 180),
-        adjustedFrom.y + distance * Math.sin(outAngle * Math.PI / 180)
-      )
-      const control2 = new Point(
-        adjustedTo.x + distance * Math.cos(inAngle * Math.PI / 180),
-        adjustedTo.y + distance * Math.sin(inAngle * Math.PI / 180)
-      )
+  /**
+   * Segment of a to or edge operation: a straight line between the node borders,
+   * or a curve for out/in, bend left/right and loops
+   */
+  buildToSegment(fromPoint, fromNodeName, target, options) {
+    const settings = readToPathOptions(options, this.parseOptionKeyValue)
+    const { edgeLabel } = target
 
-      return {
-        segment: new ASTNode(NodeType.CURVE_SEGMENT, {
-          from: adjustedFrom,
-          control1,
-          control2,
-          to: adjustedTo
-        }),
-        toNodeName: result.nodeName
-      }
+    if (isCurvedToPath(settings)) {
+      // Curves start at node centers and leave the node borders in the out and in directions
+      const start = this.coordSystem.nodes.get(fromNodeName)?.center ?? fromPoint
+      const end = this.coordSystem.nodes.get(target.nodeName)?.center ?? target.point
+      const clip = (nodeName, center) => (angle) => nodeName
+        ? this.coordSystem.getNodeBoundaryPoint(nodeName, center.add(new Point(1, 0).rotate(angle)))
+        : center
+      const curve = toPathCurve(start, end, settings, clip(fromNodeName, start), clip(target.nodeName, end))
+      return new ASTNode(NodeType.CURVE_SEGMENT, { ...curve, options, edgeLabel })
     }
 
-    return {
-      segment: new ASTNode(NodeType.LINE_SEGMENT, {
-        from: adjustedFrom,
-        to: adjustedTo,
-        options,
-        fromNodeName,
-        toNodeName: result.nodeName
-      }),
-      toNodeName: result.nodeName
+    // Adjust endpoints for node references
+    let adjustedFrom = fromPoint
+    let adjustedTo = target.point
+    if (fromNodeName) {
+      adjustedFrom = this.coordSystem.getNodeBoundaryPoint(fromNodeName, target.point)
     }
+    if (target.nodeName) {
+      adjustedTo = this.coordSystem.getNodeBoundaryPoint(target.nodeName, fromPoint)
+    }
+
+    return new ASTNode(NodeType.LINE_SEGMENT, {
+      from: adjustedFrom,
+      to: adjustedTo,
+      options,
+      edgeLabel,
+      fromNodeName,
+      toNodeName: target.nodeName
+    })
   }
 
   parseCircle(fromPoint) {
@@ -1603,9 +2910,15 @@ export class Parser {
       radius = Number.isFinite(parsed) ? parsed : radius
     }
 
+    // Scope transformations scale the radius, a non-uniform scale or a slant turns the circle into an ellipse
+    const { rx, ry, rotation } = this.coordSystem.transformEllipse(radius, radius)
+    if (Math.abs(rx - ry) > 1e-9) {
+      return new ASTNode(NodeType.ELLIPSE, { center: fromPoint, rx, ry, rotation })
+    }
+
     return new ASTNode(NodeType.CIRCLE, {
       center: fromPoint,
-      radius
+      radius: rx
     })
   }
 
@@ -1633,8 +2946,7 @@ export class Parser {
 
     return new ASTNode(NodeType.ELLIPSE, {
       center: fromPoint,
-      rx,
-      ry
+      ...this.coordSystem.transformEllipse(rx, ry)
     })
   }
 
@@ -1653,9 +2965,20 @@ export class Parser {
     coordValue += cornerToken.value
     const result = parseCoordinateToken(coordValue, this.coordSystem)
 
+    // Under a rotation or slant the rectangle is no longer axis-aligned in the picture
+    const m = this.coordSystem.transformMatrix
+    let corners = null
+    if (m && (Math.abs(m.b) > 1e-9 || Math.abs(m.c) > 1e-9)) {
+      const from = this.coordSystem.untransformPoint(fromPoint)
+      const to = this.coordSystem.untransformPoint(result.point)
+      corners = [from, new Point(to.x, from.y), to, new Point(from.x, to.y)]
+        .map(corner => this.coordSystem.transformPoint(corner))
+    }
+
     return new ASTNode(NodeType.RECTANGLE, {
       from: fromPoint,
-      to: result.point
+      to: result.point,
+      corners
     })
   }
 
@@ -1686,13 +3009,17 @@ export class Parser {
       }
     }
 
+    // Scope transformations rotate the angles and scale the radii
+    const rotation = this.coordSystem.getTransformRotation()
+    const scale = this.coordSystem.getTransformScale()
+
     return new ASTNode(NodeType.ARC_SEGMENT, {
       start: fromPoint,
-      startAngle,
-      endAngle,
-      radius,
-      rx: rx || radius,
-      ry: ry || radius
+      startAngle: startAngle + rotation,
+      endAngle: endAngle + rotation,
+      radius: radius * scale.x,
+      rx: (rx || radius) * scale.x,
+      ry: (ry || radius) * scale.y
     })
   }
 
@@ -1761,9 +3088,11 @@ export class Parser {
     let xExpression = null
     let yExpression = "0"
     let zExpression = null
+    let expressionPosition = null
 
     if (this.peek()?.type === TokenType.COORDINATE) {
       const coordToken = this.advance()
+      expressionPosition = coordToken.position
       const coordValue = coordToken.value.trim()
 
       const splitExpressions = (value) => {
@@ -1831,14 +3160,14 @@ export class Parser {
     for (let i = 0; i < samples; i++) {
       const x = domain.min + i * step
       const plotX = xExpression
-        ? this.evaluateExpression(xExpression, xVar, x)
+        ? this.evaluateExpression(xExpression, xVar, x, expressionPosition)
         : x
-      const plotY = this.evaluateExpression(yExpression, xVar, x)
+      const plotY = this.evaluateExpression(yExpression, xVar, x, expressionPosition)
       const plotZ = zExpression
-        ? this.evaluateExpression(zExpression, xVar, x)
+        ? this.evaluateExpression(zExpression, xVar, x, expressionPosition)
         : 0
       const projected = this.coordSystem.project3D(plotX, plotY, plotZ)
-      points.push(projected)
+      points.push(this.coordSystem.transformPoint(projected))
     }
 
     return new ASTNode(NodeType.PLOT_SEGMENT, {
@@ -1851,57 +3180,63 @@ export class Parser {
   }
 
   /**
-   * Evaluate a mathematical expression with a variable
+   * Evaluate a pgfmath expression with a variable
+   * Errors are reported once per expression and evaluate to 0
    */
-  evaluateExpression(expression, variable, value) {
+  evaluateExpression(expression, variable, value, position = null) {
     try {
-      // Replace the variable with its value, without touching function names
-      const escapedVar = variable.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
-      let expr = expression
-      if (variable.startsWith("\\")) {
-        expr = expr.replace(new RegExp(escapedVar, "g"), `(${value})`)
-      } else {
-        expr = expr.replace(new RegExp(`\\b${escapedVar}\\b`, "g"), `(${value})`)
-      }
-
-      // Handle TikZ's 'r' suffix for radians (e.g., "2*pi*x r" means the result is in radians)
-      // Convert radians suffix to degrees for trig handling
-      expr = expr.replace(/\s+r\b/g, " * 180 / Math.PI")
-
-      // Replace pi with Math.PI
-      expr = expr.replace(/\bpi\b/g, `(${Math.PI})`)
-
-      // Replace trig functions (TikZ uses degrees by default)
-      expr = expr.replace(/\bsin\s*\(\s*([^)]+?)\s*\)/g, "Math.sin(($1) * Math.PI / 180)")
-      expr = expr.replace(/\bcos\s*\(\s*([^)]+?)\s*\)/g, "Math.cos(($1) * Math.PI / 180)")
-      expr = expr.replace(/\btan\s*\(\s*([^)]+?)\s*\)/g, "Math.tan(($1) * Math.PI / 180)")
-      expr = expr.replace(/\bsqrt\s*\(/g, "Math.sqrt(")
-      expr = expr.replace(/\babs\s*\(/g, "Math.abs(")
-      expr = expr.replace(/\bexp\s*\(/g, "Math.exp(")
-      expr = expr.replace(/\bln\s*\(/g, "Math.log(")
-      expr = expr.replace(/\blog\s*\(/g, "Math.log10(")
-      expr = expr.replace(/\bpow\s*\(/g, "Math.pow(")
-
-      // Handle exponentiation (TikZ uses ^)
-      expr = expr.replace(/\^/g, "**")
-
-      // Evaluate the expression
-      const result = Function(`"use strict"; return (${expr})`)()
+      const result = evaluateMath(expression, { [variable]: value })
       return isNaN(result) || !isFinite(result) ? 0 : result
     } catch (e) {
-      console.warn("Expression evaluation error:", e.message, "for:", expression)
+      if (!(e instanceof PgfMathError)) throw e
+      this.reportExpressionError(e, position)
       return 0
     }
   }
 
-  parseInlineNode(fromPoint) {
+  /**
+   * Run fn with the errors in coordinate expressions reported by this parser, at
+   * the coordinate it read last
+   */
+  withCoordinateErrors(fn) {
+    const saved = this.coordSystem.onError
+    this.coordSystem.onError = (error) => {
+      this.reportExpressionError(error, this.tokens[this.position - 1]?.position)
+    }
+    try {
+      return fn()
+    } finally {
+      this.coordSystem.onError = saved
+    }
+  }
+
+  /**
+   * Report a pgfmath error at the position of the token holding the expression
+   */
+  reportExpressionError(error, position = null) {
+    if (this.reportedExpressionErrors.has(error.message)) return
+    this.reportedExpressionErrors.add(error.message)
+
+    this.errors.push({
+      message: error.message,
+      position: position || this.peek()?.position || { line: 0, column: 0 }
+    })
+  }
+
+  /**
+   * Parse a node on a path, at the current point: node [options] (name) {text}
+   * Tree children pass the options of their level and their automatic name. With
+   * pos, midway, sloped or auto the node is placed along alongSegment, the segment
+   * before it, instead.
+   */
+  parseInlineNode(fromPoint, extraOptions = [], defaultName = null, alongSegment = null) {
     this.advance() // consume "node"
 
-    const options = this.parseOptionsBlock()
-    const style = parseOptions(options)
+    const options = [...this.getEveryStyleOptions("every node"), ...extraOptions, ...this.parseOptionsBlock()]
+    const style = parseOptions([...this.getScopeOptions(), ...options])
 
     // Parse optional name
-    let name = null
+    let name = defaultName
     if (this.peek()?.type === TokenType.COORDINATE) {
       const nameToken = this.peek()
       if (!nameToken.value.includes(",") && !nameToken.value.includes(":")) {
@@ -1919,31 +3254,41 @@ export class Parser {
     const nodeOptions = this.parseNodeOptions(options, text)
 
     // Calculate actual node dimensions for registration
-    let regWidth = nodeOptions.width
-    let regHeight = nodeOptions.height
-    if (text) {
-      const metrics = this.estimateNodeTextMetrics(text, nodeOptions.fontSize, nodeOptions.innerSep)
-      if (regWidth === 0) regWidth = Math.max(metrics.width, nodeOptions.innerSep * 2)
-      if (regHeight === 0) regHeight = Math.max(metrics.height, nodeOptions.innerSep * 2)
-    } else {
-      if (regWidth === 0) regWidth = nodeOptions.innerSep * 2
-      if (regHeight === 0) regHeight = nodeOptions.innerSep * 2
+    const { width: regWidth, height: regHeight } = this.estimateNodeSize(nodeOptions, text)
+
+    let position = this.transformNodePosition(fromPoint, style)
+
+    const placement = this.parseEdgeLabelPosition([...this.inheritedLabelOptions(), ...options])
+    const along = alongSegment && (placement.explicitPos || placement.sloped || placement.auto)
+      ? positionAlongSegment(alongSegment, placement.explicitPos ? placement.pos : 1)
+      : null
+    if (along) {
+      position = this.transformNodePosition(along.point, style)
+      const { rotate, side } = labelPlacement(placement, along.angle)
+      nodeOptions.rotate = (nodeOptions.rotate || 0) + rotate
+      if (side !== null) {
+        // The anchor facing the path, in the node's own (rotated) frame
+        nodeOptions.anchor = this.compassAnchor(side + 180 - nodeOptions.rotate)
+      }
     }
 
     // Register the node
     if (name) {
       const anchors = this.coordSystem.calculateAnchors(
-        fromPoint,
+        position,
         nodeOptions.shape,
         regWidth,
-        regHeight
+        regHeight,
+        nodeOptions.shapeParams
+      )
+      this.coordSystem.registerNode(
+        name, position, anchors, nodeOptions.shape, regWidth, regHeight, nodeOptions.shapeParams
       )
-      this.coordSystem.registerNode(name, fromPoint, anchors, nodeOptions.shape, regWidth, regHeight)
     }
 
     return new ASTNode(NodeType.NODE, {
       name,
-      position: fromPoint,
+      position,
       text,
       style,
       inline: true,
@@ -1951,6 +3296,16 @@ export class Parser {
     })
   }
 
+  /**
+   * Whether options that are not a \draw command's still ask for a stroke
+   */
+  hasDrawOption(options) {
+    return options.some(opt => {
+      const [key, value] = this.parseOptionKeyValue(opt)
+      return key === "draw" && value !== "none"
+    })
+  }
+
   parseOptionKeyValue(opt) {
     const trimmed = opt.trim()
     const eqIndex = trimmed.indexOf("=")
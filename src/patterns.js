@@ -0,0 +1,166 @@
+/**
+ * TikZ Patterns - patterns and patterns.meta fills as SVG patterns
+ *
+ *   \fill[pattern=north east lines] (0,0) rectangle (2,1);
+ *   \draw[pattern=dots, pattern color=blue] (0,0) circle (1);
+ *   \fill[pattern={Lines[angle=30, distance=4pt, line width=1pt]}] ...
+ *
+ * The patterns of the patterns library are Lines, Hatch and Dots of patterns.meta
+ * with fixed settings. Sizes are in points; a pattern is laid over the whole picture,
+ * so neighbouring shapes with the same pattern line up.
+ */
+
+import { parseDistanceCm } from "./styles.js"
+import { splitKeyList, stripOuterBraces } from "./keys.js"
+import { UNIT_IN_PT } from "./pgfmath.js"
+import { SVG_NS } from "./svg.js"
+
+// Distance of the lines of the patterns library turned by 45 degrees: their tile is 3pt wide
+const DIAGONAL_DISTANCE = 3 / Math.SQRT2
+
+// Patterns of the patterns library
+const NAMED_PATTERNS = {
+  "horizontal lines": { type: "Lines", angle: 0 },
+  "vertical lines": { type: "Lines", angle: 90 },
+  "north east lines": { type: "Lines", angle: 45, distance: DIAGONAL_DISTANCE },
+  "north west lines": { type: "Lines", angle: -45, distance: DIAGONAL_DISTANCE },
+  "grid": { type: "Hatch", angle: 0 },
+  "crosshatch": { type: "Hatch", angle: 45, distance: DIAGONAL_DISTANCE },
+  "dots": { type: "Dots" },
+  "crosshatch dots": { type: "Dots", angle: 45, distance: DIAGONAL_DISTANCE },
+  "checkerboard": { type: "Checkerboard" }
+}
+
+// Settings of the patterns.meta patterns before their options
+const PATTERN_DEFAULTS = {
+  Lines: { angle: 0, distance: 3, lineWidth: 0.4 },
+  Hatch: { angle: 0, distance: 3, lineWidth: 0.4 },
+  Dots: { angle: 0, distance: 3, radius: 0.5 },
+  Checkerboard: { angle: 0, distance: 3 }
+}
+
+function dimensionPt(value) {
+  return parseDistanceCm(stripOuterBraces(value || "")) * UNIT_IN_PT.cm
+}
+
+/**
+ * Parse the value of the pattern key: a pattern of the patterns library or a
+ * patterns.meta pattern with options, "Lines[angle=45, distance=3pt]"
+ * Returns { type, angle, distance, lineWidth, radius, xshift, yshift } or null
+ * for an unknown pattern.
+ */
+export function parsePattern(value) {
+  const text = stripOuterBraces(value || "").replace(/\s+/g, " ")
+  if (NAMED_PATTERNS[text]) {
+    const named = NAMED_PATTERNS[text]
+    return { ...PATTERN_DEFAULTS[named.type], xshift: 0, yshift: 0, ...named }
+  }
+
+  const match = text.match(/^([A-Za-z]+)\s*(?:\[([\s\S]*)\])?$/)
+  if (!match || !PATTERN_DEFAULTS[match[1]] || match[1] === "Checkerboard") return null
+
+  const pattern = { type: match[1], ...PATTERN_DEFAULTS[match[1]], xshift: 0, yshift: 0 }
+  for (const option of splitKeyList(match[2] || "")) {
+    const eqIndex = option.indexOf("=")
+    if (eqIndex === -1) continue
+    const key = option.slice(0, eqIndex).trim()
+    const optionValue = option.slice(eqIndex + 1).trim()
+
+    switch (key) {
+      case "angle":
+        pattern.angle = parseFloat(stripOuterBraces(optionValue)) || 0
+        break
+      case "distance":
+        pattern.distance = dimensionPt(optionValue) || pattern.distance
+        break
+      case "line width":
+        pattern.lineWidth = dimensionPt(optionValue)
+        break
+      case "radius":
+        pattern.radius = dimensionPt(optionValue)
+        break
+      case "xshift":
+        pattern.xshift = dimensionPt(optionValue)
+        break
+      case "yshift":
+        pattern.yshift = dimensionPt(optionValue)
+        break
+    }
+  }
+
+  return pattern
+}
+
+/**
+ * Create the SVG pattern of a parsed pattern in the given color
+ * One tile is distance by distance points, scaled by pxPerPt; TikZ angles turn
+ * counterclockwise, SVG ones clockwise.
+ */
+export function createPattern(id, pattern, color, pxPerPt) {
+  const size = pattern.distance * pxPerPt
+  const element = document.createElementNS(SVG_NS, "pattern")
+  element.setAttribute("id", id)
+  element.setAttribute("patternUnits", "userSpaceOnUse")
+  element.setAttribute("width", size)
+  element.setAttribute("height", size)
+
+  const transforms = []
+  if (pattern.xshift || pattern.yshift) {
+    transforms.push(`translate(${pattern.xshift * pxPerPt} ${-pattern.yshift * pxPerPt})`)
+  }
+  if (pattern.angle) {
+    transforms.push(`rotate(${-pattern.angle})`)
+  }
+  if (transforms.length) {
+    element.setAttribute("patternTransform", transforms.join(" "))
+  }
+
+  const line = (x1, y1, x2, y2) => {
+    const lineElement = document.createElementNS(SVG_NS, "line")
+    lineElement.setAttribute("x1", x1)
+    lineElement.setAttribute("y1", y1)
+    lineElement.setAttribute("x2", x2)
+    lineElement.setAttribute("y2", y2)
+    lineElement.setAttribute("stroke", color)
+    lineElement.setAttribute("stroke-width", pattern.lineWidth * pxPerPt)
+    return lineElement
+  }
+
+  switch (pattern.type) {
+    case "Lines":
+      element.appendChild(line(0, size / 2, size, size / 2))
+      break
+
+    case "Hatch":
+      element.appendChild(line(0, size / 2, size, size / 2))
+      element.appendChild(line(size / 2, 0, size / 2, size))
+      break
+
+    case "Dots": {
+      const circle = document.createElementNS(SVG_NS, "circle")
+      circle.setAttribute("cx", size / 2)
+      circle.setAttribute("cy", size / 2)
+      circle.setAttribute("r", pattern.radius * pxPerPt)
+      circle.setAttribute("fill", color)
+      element.appendChild(circle)
+      break
+    }
+
+    case "Checkerboard":
+      // Two squares on the diagonal of a tile twice the size
+      element.setAttribute("width", size * 2)
+      element.setAttribute("height", size * 2)
+      for (const offset of [0, size]) {
+        const square = document.createElementNS(SVG_NS, "rect")
+        square.setAttribute("x", offset)
+        square.setAttribute("y", offset)
+        square.setAttribute("width", size)
+        square.setAttribute("height", size)
+        square.setAttribute("fill", color)
+        element.appendChild(square)
+      }
+      break
+  }
+
+  return element
+}
@@ -0,0 +1,495 @@
+/**
+ * pgfmath Expression Engine - Tokenizes, parses and evaluates pgfmath expressions
+ *
+ * Expressions are evaluated by walking a syntax tree: no JavaScript source is ever
+ * generated or executed, so untrusted .tikz files cannot run code through it.
+ * As in pgfmath, trigonometric functions work in degrees and dimensions (2cm, 3pt)
+ * are converted to points.
+ */
+
+// Size of one unit in TeX points
+export const UNIT_IN_PT = {
+  pt: 1,
+  mm: 2.84528,
+  cm: 28.45276,
+  in: 72.27,
+  bp: 1.00375,
+  pc: 12,
+  dd: 1.07001,
+  cc: 12.84011,
+  sp: 1 / 65536,
+  em: 10,
+  ex: 4.30554
+}
+
+export class PgfMathError extends Error {
+  constructor(message, offset, expression) {
+    super(`${message} at position ${offset + 1} in "${expression}"`)
+    this.name = "PgfMathError"
+    this.offset = offset
+    this.expression = expression
+  }
+}
+
+const toRad = (deg) => (deg * Math.PI) / 180
+const toDeg = (rad) => (rad * 180) / Math.PI
+
+const factorial = (n) => {
+  let result = 1
+  for (let i = 2; i <= Math.floor(n); i++) {
+    result *= i
+  }
+  return result
+}
+
+// Function table: [arity (-1 for variadic), implementation]
+const FUNCTIONS = {
+  sin: [1, (x) => Math.sin(toRad(x))],
+  cos: [1, (x) => Math.cos(toRad(x))],
+  tan: [1, (x) => Math.tan(toRad(x))],
+  sec: [1, (x) => 1 / Math.cos(toRad(x))],
+  cosec: [1, (x) => 1 / Math.sin(toRad(x))],
+  cot: [1, (x) => 1 / Math.tan(toRad(x))],
+  asin: [1, (x) => toDeg(Math.asin(x))],
+  acos: [1, (x) => toDeg(Math.acos(x))],
+  atan: [1, (x) => toDeg(Math.atan(x))],
+  atan2: [2, (y, x) => toDeg(Math.atan2(y, x))],
+  sinh: [1, Math.sinh],
+  cosh: [1, Math.cosh],
+  tanh: [1, Math.tanh],
+  deg: [1, toDeg],
+  rad: [1, toRad],
+  exp: [1, Math.exp],
+  ln: [1, Math.log],
+  log10: [1, Math.log10],
+  // Not a pgfmath function, but earlier versions of the editor read log as log10
+  log: [1, Math.log10],
+  log2: [1, Math.log2],
+  sqrt: [1, Math.sqrt],
+  abs: [1, Math.abs],
+  pow: [2, Math.pow],
+  mod: [2, (x, y) => x % y],
+  Mod: [2, (x, y) => ((x % y) + y) % y],
+  div: [2, (x, y) => Math.trunc(x / y)],
+  min: [-1, Math.min],
+  max: [-1, Math.max],
+  veclen: [2, Math.hypot],
+  floor: [1, Math.floor],
+  ceil: [1, Math.ceil],
+  round: [1, Math.round],
+  int: [1, Math.trunc],
+  frac: [1, (x) => x - Math.trunc(x)],
+  real: [1, (x) => x],
+  sign: [1, Math.sign],
+  neg: [1, (x) => -x],
+  factorial: [1, factorial],
+  ifthenelse: [3, (c, a, b) => (c ? a : b)],
+  not: [1, (x) => (x ? 0 : 1)],
+  and: [2, (x, y) => (x && y ? 1 : 0)],
+  or: [2, (x, y) => (x || y ? 1 : 0)],
+  equal: [2, (x, y) => (x === y ? 1 : 0)],
+  notequal: [2, (x, y) => (x !== y ? 1 : 0)],
+  greater: [2, (x, y) => (x > y ? 1 : 0)],
+  less: [2, (x, y) => (x < y ? 1 : 0)],
+  iseven: [1, (x) => (Math.trunc(x) % 2 === 0 ? 1 : 0)],
+  isodd: [1, (x) => (Math.abs(Math.trunc(x) % 2) === 1 ? 1 : 0)]
+}
+
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E,
+  true: 1,
+  false: 0
+}
+
+const OPERATORS = ["==", "!=", "<=", ">=", "&&", "||", "+", "-", "*", "/", "^", "<", ">", "!", "?", ":"]
+
+/**
+ * Split an expression into tokens, each remembering its offset
+ */
+function tokenize(expression) {
+  const tokens = []
+  let i = 0
+
+  while (i < expression.length) {
+    const char = expression[i]
+
+    if (/\s/.test(char)) {
+      i++
+      continue
+    }
+
+    const start = i
+
+    // Numbers: 12, 1.5, .5, 1e-3
+    if (/[0-9.]/.test(char) && /[0-9]/.test(expression[i + (char === "." ? 1 : 0)] || "")) {
+      let text = ""
+      while (i < expression.length && /[0-9]/.test(expression[i])) text += expression[i++]
+      if (expression[i] === "." && /[0-9]/.test(expression[i + 1] || "")) {
+        text += expression[i++]
+        while (i < expression.length && /[0-9]/.test(expression[i])) text += expression[i++]
+      } else if (expression[i] === ".") {
+        text += expression[i++]
+      }
+      const exponent = expression.slice(i).match(/^[eE][+-]?[0-9]+/)
+      if (exponent) {
+        text += exponent[0]
+        i += exponent[0].length
+      }
+      tokens.push({ type: "number", value: parseFloat(text), offset: start })
+      continue
+    }
+
+    // Macros and loop variables: \x, \radius
+    if (char === "\\") {
+      let name = "\\"
+      i++
+      while (i < expression.length && /[a-zA-Z@]/.test(expression[i])) name += expression[i++]
+      if (name === "\\") {
+        throw new PgfMathError("Expected a macro name after \\", start, expression)
+      }
+      tokens.push({ type: "macro", value: name, offset: start })
+      continue
+    }
+
+    // Identifiers: function names, constants, units, variables
+    if (/[a-zA-Z_]/.test(char)) {
+      let name = ""
+      while (i < expression.length && /[a-zA-Z0-9_]/.test(expression[i])) name += expression[i++]
+      tokens.push({ type: "ident", value: name, offset: start })
+      continue
+    }
+
+    if (char === "(" || char === "{") {
+      tokens.push({ type: "(", value: char, offset: start })
+      i++
+      continue
+    }
+    if (char === ")" || char === "}") {
+      tokens.push({ type: ")", value: char, offset: start })
+      i++
+      continue
+    }
+    if (char === ",") {
+      tokens.push({ type: ",", value: char, offset: start })
+      i++
+      continue
+    }
+
+    const op = OPERATORS.find(candidate => expression.startsWith(candidate, i))
+    if (op) {
+      tokens.push({ type: "op", value: op, offset: start })
+      i += op.length
+      continue
+    }
+
+    throw new PgfMathError(`Unexpected character "${char}"`, start, expression)
+  }
+
+  tokens.push({ type: "eof", value: null, offset: expression.length })
+  return tokens
+}
+
+/**
+ * Recursive descent parser producing a small syntax tree
+ * Precedence (loosest first): ?:, ||, &&, == !=, < > <= >=, + -, postfix r, * /,
+ * ^, prefix - + !, postfix ! and units
+ */
+class ExpressionParser {
+  constructor(expression) {
+    this.expression = expression
+    this.tokens = tokenize(expression)
+    this.position = 0
+  }
+
+  peek() {
+    return this.tokens[this.position]
+  }
+
+  advance() {
+    return this.tokens[this.position++]
+  }
+
+  isOp(value) {
+    const token = this.peek()
+    return token.type === "op" && token.value === value
+  }
+
+  error(message, token = this.peek()) {
+    return new PgfMathError(message, token.offset, this.expression)
+  }
+
+  parse() {
+    if (this.peek().type === "eof") {
+      throw this.error("Empty expression")
+    }
+    const node = this.parseTernary()
+    if (this.peek().type !== "eof") {
+      throw this.error(`Unexpected "${this.peek().value}"`)
+    }
+    return node
+  }
+
+  parseTernary() {
+    const condition = this.parseBinary(0)
+    if (!this.isOp("?")) return condition
+
+    const token = this.advance()
+    const whenTrue = this.parseTernary()
+    if (!this.isOp(":")) {
+      throw this.error("Expected \":\" in conditional expression")
+    }
+    this.advance()
+    const whenFalse = this.parseTernary()
+    return { type: "conditional", condition, whenTrue, whenFalse, offset: token.offset }
+  }
+
+  parseBinary(level) {
+    const levels = [["||"], ["&&"], ["==", "!="], ["<", ">", "<=", ">="], ["+", "-"]]
+    if (level >= levels.length) {
+      return this.parseRadians()
+    }
+
+    let left = this.parseBinary(level + 1)
+    while (this.peek().type === "op" && levels[level].includes(this.peek().value)) {
+      const token = this.advance()
+      const right = this.parseBinary(level + 1)
+      left = { type: "binary", op: token.value, left, right, offset: token.offset }
+    }
+    return left
+  }
+
+  // "2*pi*\x r" - the r suffix converts the preceding product from radians to degrees
+  parseRadians() {
+    let node = this.parseMultiplicative()
+    while (this.peek().type === "ident" && this.peek().value === "r") {
+      const token = this.advance()
+      node = { type: "radians", operand: node, offset: token.offset }
+    }
+    return node
+  }
+
+  parseMultiplicative() {
+    let left = this.parseUnary()
+    while (this.isOp("*") || this.isOp("/")) {
+      const token = this.advance()
+      const right = this.parseUnary()
+      left = { type: "binary", op: token.value, left, right, offset: token.offset }
+    }
+    return left
+  }
+
+  parseUnary() {
+    const base = this.parsePrefix()
+    if (!this.isOp("^")) return base
+
+    const token = this.advance()
+    const exponent = this.parseUnary() // right associative
+    return { type: "binary", op: "^", left: base, right: exponent, offset: token.offset }
+  }
+
+  // As in pgfmath, prefix minus binds tighter than ^, so -2^2 is 4
+  parsePrefix() {
+    if (this.isOp("-") || this.isOp("+") || this.isOp("!")) {
+      const token = this.advance()
+      const operand = this.parsePrefix()
+      return { type: "unary", op: token.value, operand, offset: token.offset }
+    }
+    return this.parsePostfix()
+  }
+
+  parsePostfix() {
+    let node = this.parsePrimary()
+
+    for (;;) {
+      const token = this.peek()
+      if (token.type === "op" && token.value === "!") {
+        this.advance()
+        node = { type: "call", name: "factorial", args: [node], offset: token.offset }
+      } else if (token.type === "ident" && UNIT_IN_PT[token.value] !== undefined &&
+        this.tokens[this.position + 1]?.type !== "(") {
+        this.advance()
+        node = { type: "unit", unit: token.value, operand: node, offset: token.offset }
+      } else {
+        return node
+      }
+    }
+  }
+
+  parsePrimary() {
+    const token = this.advance()
+
+    switch (token.type) {
+      case "number":
+        return { type: "number", value: token.value, offset: token.offset }
+
+      case "macro":
+        return { type: "variable", name: token.value, offset: token.offset }
+
+      case "(": {
+        const node = this.parseTernary()
+        if (this.peek().type !== ")") {
+          throw this.error("Expected \")\"")
+        }
+        this.advance()
+        return node
+      }
+
+      case "ident": {
+        if (this.peek().type === "(") {
+          this.advance()
+          const args = []
+          if (this.peek().type !== ")") {
+            args.push(this.parseTernary())
+            while (this.peek().type === ",") {
+              this.advance()
+              args.push(this.parseTernary())
+            }
+          }
+          if (this.peek().type !== ")") {
+            throw this.error(`Expected ")" after arguments of ${token.value}`)
+          }
+          this.advance()
+          return { type: "call", name: token.value, args, offset: token.offset }
+        }
+        return { type: "variable", name: token.value, offset: token.offset }
+      }
+
+      case "eof":
+        throw this.error("Unexpected end of expression", token)
+
+      default:
+        throw this.error(`Unexpected "${token.value}"`, token)
+    }
+  }
+}
+
+const parseCache = new Map()
+const PARSE_CACHE_LIMIT = 500
+
+/**
+ * Parse an expression into a syntax tree (cached, plots evaluate the same expression often)
+ */
+export function parseMathExpression(expression) {
+  let tree = parseCache.get(expression)
+  if (!tree) {
+    tree = new ExpressionParser(expression).parse()
+    if (parseCache.size >= PARSE_CACHE_LIMIT) {
+      parseCache.clear()
+    }
+    parseCache.set(expression, tree)
+  }
+  return tree
+}
+
+/**
+ * Evaluate a syntax tree
+ * variables maps names ("\\x", "x") to numbers, or to expression strings that are
+ * evaluated in turn. state.hasUnits records whether a dimension was used.
+ */
+function evaluateNode(node, expression, variables, state) {
+  const fail = (message) => new PgfMathError(message, node.offset, expression)
+  const evalChild = (child) => evaluateNode(child, expression, variables, state)
+
+  switch (node.type) {
+    case "number":
+      return node.value
+
+    case "variable": {
+      if (Object.prototype.hasOwnProperty.call(variables, node.name)) {
+        const value = variables[node.name]
+        if (typeof value === "number") return value
+        if (state.expanding.includes(node.name)) {
+          throw fail(`Macro ${node.name} refers to itself`)
+        }
+        state.expanding.push(node.name)
+        try {
+          const inner = String(value)
+          return evaluateNode(parseMathExpression(inner), inner, variables, state)
+        } finally {
+          state.expanding.pop()
+        }
+      }
+      if (Object.prototype.hasOwnProperty.call(CONSTANTS, node.name)) {
+        return CONSTANTS[node.name]
+      }
+      throw fail(node.name.startsWith("\\") ? `Undefined macro ${node.name}` : `Unknown identifier "${node.name}"`)
+    }
+
+    case "unit":
+      state.hasUnits = true
+      return evalChild(node.operand) * UNIT_IN_PT[node.unit]
+
+    case "radians":
+      return toDeg(evalChild(node.operand))
+
+    case "unary": {
+      const value = evalChild(node.operand)
+      if (node.op === "-") return -value
+      if (node.op === "!") return value ? 0 : 1
+      return value
+    }
+
+    case "binary": {
+      const left = evalChild(node.left)
+      const right = evalChild(node.right)
+      switch (node.op) {
+        case "+": return left + right
+        case "-": return left - right
+        case "*": return left * right
+        case "/":
+          if (right === 0) throw fail("Division by zero")
+          return left / right
+        case "^": return Math.pow(left, right)
+        case "<": return left < right ? 1 : 0
+        case ">": return left > right ? 1 : 0
+        case "<=": return left <= right ? 1 : 0
+        case ">=": return left >= right ? 1 : 0
+        case "==": return left === right ? 1 : 0
+        case "!=": return left !== right ? 1 : 0
+        case "&&": return left && right ? 1 : 0
+        case "||": return left || right ? 1 : 0
+      }
+      throw fail(`Unknown operator "${node.op}"`)
+    }
+
+    case "conditional":
+      return evalChild(node.condition) ? evalChild(node.whenTrue) : evalChild(node.whenFalse)
+
+    case "call": {
+      if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, node.name)) {
+        throw fail(`Unknown function "${node.name}"`)
+      }
+      const [arity, fn] = FUNCTIONS[node.name]
+      if (arity === -1 ? node.args.length === 0 : node.args.length !== arity) {
+        throw fail(`Function "${node.name}" expects ${arity === -1 ? "at least 1" : arity} argument(s)`)
+      }
+      const args = node.args.map(evalChild)
+      if ((node.name === "mod" || node.name === "Mod" || node.name === "div") && args[1] === 0) {
+        throw fail("Division by zero")
+      }
+      return fn(...args)
+    }
+  }
+
+  throw fail(`Cannot evaluate "${node.type}"`)
+}
+
+/**
+ * Evaluate a pgfmath expression and return a number
+ * Throws PgfMathError on syntax or evaluation errors.
+ */
+export function evaluateMath(expression, variables = {}) {
+  return evaluateMathDimension(expression, variables).value
+}
+
+/**
+ * Evaluate a pgfmath expression, also reporting whether it contained a dimension
+ * Returns { value, hasUnits }; with units the value is in points.
+ */
+export function evaluateMathDimension(expression, variables = {}) {
+  const text = String(expression)
+  const state = { hasUnits: false, expanding: [] }
+  const value = evaluateNode(parseMathExpression(text), text, variables, state)
+  return { value, hasUnits: state.hasUnits }
+}
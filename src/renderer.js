@@ -3,10 +3,28 @@
  */
 
 import { NodeType } from "./parser.js"
-import { parseColor, parseOptions } from "./styles.js"
-import { createArrowDefs, getArrowMarker } from "./arrows.js"
+import { Point } from "./coordinates.js"
+import { blendColors, parseColor, parseOptions } from "./styles.js"
+import { createArrowMarker, pathEndAngle, PX_PER_PT, resolveArrowTips, shortenPathData } from "./arrows.js"
+import { flattenPath, labelPlacement, positionAlongSegment } from "./intersections.js"
+import { decoratePolylines } from "./decorations.js"
+import { createPattern } from "./patterns.js"
+import { createBlurFilter, createFadingMask, FADING_SIZE_CM } from "./shadows.js"
+import {
+  getShape, layoutShapeParts, shapeBorderPoint, shapeContentSize, shapeOutline, shapePartNames, splitNodeParts
+} from "./shapes.js"
+import { SVG_NS } from "./svg.js"
 
-export const SVG_NS = "http://www.w3.org/2000/svg"
+export { SVG_NS }
+
+// Distance (in cm) between a path and its auto placed labels
+const AUTO_LABEL_DISTANCE = 0.25
+
+// Commands that only group other commands
+const CONTAINER_TYPES = new Set([NodeType.SCOPE, NodeType.MATRIX, NodeType.TREE, NodeType.GRAPH])
+
+// Parts of a path that preactions, postactions, shadows and fadings leave out
+const PATH_ACTION_SKIPPED = new Set([NodeType.NODE, NodeType.TREE, NodeType.EDGE])
 
 export class Renderer {
   constructor(options = {}) {
@@ -17,10 +35,16 @@ export class Renderer {
     this.defaultStroke = options.defaultStroke || "#000000"
     this.svg = null
     this.defs = null
-    this.usedColors = new Set()
+    this.arrowMarkers = new Map() // Arrow tips, color and placement -> marker id in defs
     this.bounds = null // Store bounds for Y-flip calculation
     this.nodeMetrics = new Map() // Store measured node dimensions: name -> {width, height, center}
     this.axisClipCounter = 0
+    this.clipCounter = 0
+    this.textPathCounter = 0
+    this.gradients = new Map() // Shading key -> gradient id in defs
+    this.patterns = new Map() // Pattern and color -> pattern id in defs
+    this.masks = new Map() // Fading, angle and center -> mask id in defs
+    this.filters = new Map() // Shadow blur radius -> filter id in defs
   }
 
   // Get font scale factor relative to base scale
@@ -29,6 +53,7 @@ export class Renderer {
   }
 
   render(ast, coordSystem) {
+    this.coordSystem = coordSystem
     // First pass: measure all nodes to get their actual dimensions
     this.nodeMetrics.clear()
     this.measureAllNodes(ast)
@@ -50,6 +75,11 @@ export class Renderer {
     // Create defs for arrows
     this.defs = document.createElementNS(SVG_NS, "defs")
     this.svg.appendChild(this.defs)
+    this.gradients.clear()
+    this.patterns.clear()
+    this.masks.clear()
+    this.filters.clear()
+    this.arrowMarkers.clear()
 
     // Create main group with simple translation (no Y-flip - handled in toSvgY)
     const mainGroup = document.createElementNS(SVG_NS, "g")
@@ -58,16 +88,11 @@ export class Renderer {
     )
 
     // Render each command
-    for (const command of ast.commands) {
-      const elements = this.renderCommand(command)
-      for (const el of elements) {
-        mainGroup.appendChild(el)
-      }
-    }
+    this.renderCommandList(ast.commands, mainGroup)
 
     this.svg.appendChild(mainGroup)
 
-    // Add arrow defs for all used colors
+    // Add the markers of all arrow tips used
     this.addArrowDefs()
 
     return this.svg
@@ -77,7 +102,7 @@ export class Renderer {
    * First pass: measure all nodes to get their actual dimensions
    */
   measureAllNodes(ast) {
-    for (const command of ast.commands) {
+    for (const command of this.flattenCommands(ast.commands)) {
       if (command.type === NodeType.NODE && command.name) {
         const metrics = this.measureNode(command)
         this.nodeMetrics.set(command.name, metrics)
@@ -94,6 +119,30 @@ export class Renderer {
     }
   }
 
+  /**
+   * Flatten scopes, matrices, trees and graphs so that whole-picture passes see every enclosed command
+   * Trees and edges branching off a path are found among the path's segments.
+   */
+  flattenCommands(commands) {
+    const result = []
+    for (const command of commands) {
+      if (CONTAINER_TYPES.has(command.type)) {
+        result.push(...this.flattenCommands(command.commands || []))
+        continue
+      }
+      result.push(command)
+      result.push(...this.flattenCommands(command.marks || []))
+      for (const segment of command.segments || []) {
+        if (segment.type === NodeType.TREE) {
+          result.push(...this.flattenCommands(segment.commands))
+        } else if (segment.type === NodeType.EDGE) {
+          result.push(segment)
+        }
+      }
+    }
+    return result
+  }
+
   /**
    * Measure a node's dimensions without rendering it
    */
@@ -109,42 +158,95 @@ export class Renderer {
       }
     }
 
-    // Parse text and measure it
-    const { lines } = this.parseNodeText(text, fontSize)
-    const lineHeight = 16 * this.fontScale
-
-    let textBBox = { width: 0, height: 0 }
-    if (text && lines.length > 0) {
-      const textEl = document.createElementNS(SVG_NS, "text")
-      textEl.setAttribute("x", "0")
-      textEl.setAttribute("text-anchor", "middle")
-      textEl.setAttribute("font-family", "serif")
-
-      const startY = -((lines.length - 1) * lineHeight) / 2
-      lines.forEach((line, index) => {
-        const tspan = document.createElementNS(SVG_NS, "tspan")
-        tspan.setAttribute("x", "0")
-        tspan.setAttribute("dy", index === 0 ? startY : lineHeight)
-        tspan.setAttribute("dominant-baseline", "central")
-        tspan.setAttribute("font-size", line.fontSize)
-        this.renderTextContent(tspan, line.content)
-        textEl.appendChild(tspan)
-      })
+    const shape = node.shape || "rectangle"
+    const shapeParams = node.shapeParams || {}
 
-      textBBox = this.measureText(textEl)
+    // Split shapes arrange the texts of their parts
+    if (shapePartNames(shape, shapeParams)) {
+      const layout = this.layoutNodeParts(node, "middle", null)
+      return {
+        center: position,
+        width: Math.max(width || 0, layout.width),
+        height: Math.max(height || 0, layout.height),
+        shape,
+        shapeParams: { ...shapeParams, splits: layout.splits }
+      }
     }
 
+    // Parse text and measure it
+    const textBBox = this.createNodeText(text, fontSize, "middle", null)?.bbox || { width: 0, height: 0 }
+
     // Calculate actual dimensions (same logic as renderNode)
-    const textWidth = textBBox.width + innerSep * 2 * this.scale
-    const textHeight = textBBox.height + innerSep * 2 * this.scale
-    const nodeWidth = Math.max((width || 0) * this.scale, textWidth)
-    const nodeHeight = Math.max((height || 0) * this.scale, textHeight)
+    const content = shapeContentSize(shape, textBBox.width / this.scale + innerSep * 2,
+      textBBox.height / this.scale + innerSep * 2, shapeParams)
+    const nodeWidth = Math.max((width || 0) * this.scale, content.width * this.scale)
+    const nodeHeight = Math.max((height || 0) * this.scale, content.height * this.scale)
 
     return {
       center: position,
       width: nodeWidth / this.scale,  // Convert back to TikZ units
       height: nodeHeight / this.scale,
-      shape: node.shape || "rectangle"
+      shape,
+      shapeParams
+    }
+  }
+
+  /**
+   * Create and measure the text element of a node (or of one node part)
+   * Returns { element, bbox } with the size in pixels, or null for empty text.
+   */
+  createNodeText(text, fontSize, textAnchor, fill) {
+    const { lines } = this.parseNodeText(text, fontSize)
+    if (!text || lines.length === 0) return null
+    const lineHeight = 16 * this.fontScale
+
+    const textEl = document.createElementNS(SVG_NS, "text")
+    textEl.setAttribute("x", "0")
+    textEl.setAttribute("text-anchor", textAnchor)
+    textEl.setAttribute("font-family", "serif")
+    if (fill) {
+      textEl.setAttribute("fill", fill)
+    }
+
+    // Calculate starting Y to center the text block
+    const startY = -((lines.length - 1) * lineHeight) / 2
+    lines.forEach((line, index) => {
+      const tspan = document.createElementNS(SVG_NS, "tspan")
+      tspan.setAttribute("x", "0")
+      tspan.setAttribute("dy", index === 0 ? startY : lineHeight)
+      tspan.setAttribute("dominant-baseline", "central")
+      tspan.setAttribute("font-size", line.fontSize)
+
+      // Render content (with math support)
+      this.renderTextContent(tspan, line.content)
+      textEl.appendChild(tspan)
+    })
+
+    return { element: textEl, bbox: this.measureText(textEl) }
+  }
+
+  /**
+   * Lay out the texts of a split node (circle split, rectangle split)
+   * Returns the shape's layout (outer size, part centers, dividers; in picture units)
+   * with the text element of every non-empty part.
+   */
+  layoutNodeParts(node, textAnchor, fill) {
+    const { shape, innerSep, fontSize } = node
+    const shapeParams = node.shapeParams || {}
+    const texts = splitNodeParts(node.text)
+    const parts = shapePartNames(shape, shapeParams).map((name, i) =>
+      this.createNodeText(texts[name] ?? (i === 0 ? texts.text : ""), fontSize, textAnchor, fill)
+    )
+    const sizes = parts.map(part => ({
+      width: (part?.bbox.width || 0) / this.scale + innerSep * 2,
+      height: (part?.bbox.height || 0) / this.scale + innerSep * 2
+    }))
+    const layout = layoutShapeParts(shape, sizes, shapeParams)
+    return {
+      ...layout,
+      parts: parts
+        .map((part, i) => part && { element: part.element, center: layout.centers[i] })
+        .filter(Boolean)
     }
   }
 
@@ -348,7 +450,7 @@ export class Renderer {
       }
     }
 
-    for (const command of ast.commands) {
+    for (const command of this.flattenCommands(ast.commands)) {
       if (command.type === NodeType.AXIS) {
         const { width, height } = this.getAxisDimensions(command.settings || {})
         const origin = command.origin || { x: 0, y: 0 }
@@ -384,10 +486,7 @@ export class Renderer {
           if (seg.control2) updateBounds(seg.control2.x, seg.control2.y)
           // Include edge label positions with some padding for text
           if (seg.edgeLabel) {
-            const pos = seg.edgeLabel.labelPosition?.pos || 0.5
-            const offset = seg.edgeLabel.labelPosition?.offset || { x: 0, y: 0 }
-            const labelX = seg.from.x + (seg.to.x - seg.from.x) * pos + offset.x
-            const labelY = seg.from.y + (seg.to.y - seg.from.y) * pos + offset.y
+            const { x: labelX, y: labelY } = this.edgeLabelPoint(seg, seg.edgeLabel).point
             // Add padding for text width/height
             updateBounds(labelX - 0.5, labelY - 1)
             updateBounds(labelX + 3, labelY + 1)
@@ -398,6 +497,11 @@ export class Renderer {
               updateBounds(pt.x, pt.y)
             }
           }
+          if (seg.corners) {
+            for (const corner of seg.corners) {
+              updateBounds(corner.x, corner.y)
+            }
+          }
         }
       }
     }
@@ -412,6 +516,181 @@ export class Renderer {
     }
   }
 
+  /**
+   * Render a list of commands into a parent element
+   * A clipping path (\clip, or the clip option) clips every following command of the
+   * list, so the rest of the list goes into a group carrying the clip-path.
+   */
+  renderCommandList(commands, parent) {
+    let target = parent
+
+    for (const command of commands) {
+      if (command.type === NodeType.CLIP || command.style?.clip) {
+        // \draw[clip] and \fill[clip] also paint their path
+        if (command.type !== NodeType.CLIP) {
+          for (const el of this.renderCommandElements(command)) {
+            target.appendChild(el)
+          }
+        }
+        const group = this.createClipGroup(command)
+        target.appendChild(group)
+        target = group
+        continue
+      }
+
+      for (const el of this.renderCommandElements(command)) {
+        target.appendChild(el)
+      }
+    }
+  }
+
+  /**
+   * Render a command, wrapped in a transformed group when it uses transform canvas
+   * Like in TikZ, the canvas transformation does not enlarge the picture's bounding box.
+   */
+  renderCommandElements(command) {
+    const elements = this.renderCommand(command)
+    const transforms = command.style?.canvasTransformations
+    if (!transforms?.length || elements.length === 0) return elements
+
+    // Innermost transformations apply first, as for coordinate transformations
+    const resolved = this.coordSystem.resolveTransformations(transforms)
+    const m = this.coordSystem.getTransformationMatrix(resolved.reverse())
+    const group = document.createElementNS(SVG_NS, "g")
+    // Picture coordinates map to SVG as (x * scale, (maxY - y) * scale)
+    const s = this.scale
+    const maxY = this.bounds.maxY
+    group.setAttribute("transform", `matrix(${[
+      m.a, -m.b, -m.c, m.d,
+      s * (m.c * maxY + m.e),
+      s * (maxY * (1 - m.d) - m.f)
+    ].join(" ")})`)
+    for (const el of elements) {
+      group.appendChild(el)
+    }
+    return [group]
+  }
+
+  /**
+   * Create a group clipped by the outline of a path command
+   */
+  createClipGroup(command) {
+    const clipId = `clip-${this.clipCounter++}`
+    const clipPath = document.createElementNS(SVG_NS, "clipPath")
+    clipPath.setAttribute("id", clipId)
+
+    // Only the geometry matters for clipping; nodes on the path are left out
+    const shapes = new Set(["path", "circle", "ellipse", "rect", "polygon", "polyline"])
+    for (const el of this.renderDraw(command, false, false)) {
+      if (shapes.has(el.tagName.toLowerCase())) {
+        clipPath.appendChild(el)
+      }
+    }
+    this.defs.appendChild(clipPath)
+
+    const group = document.createElementNS(SVG_NS, "g")
+    group.setAttribute("clip-path", `url(#${clipId})`)
+    return group
+  }
+
+  /**
+   * Get a fill reference to the SVG gradient for a shading, creating it in defs on first use
+   * Gradients span the bounding box of the shaded element.
+   */
+  getShadingFill(shading) {
+    const key = JSON.stringify(shading)
+    if (this.gradients.has(key)) {
+      return `url(#${this.gradients.get(key)})`
+    }
+
+    const id = `shading-${this.gradients.size}`
+    let gradient
+    let stops
+
+    if (shading.type === "radial") {
+      gradient = document.createElementNS(SVG_NS, "radialGradient")
+      stops = [[0, shading.inner || "#808080"], [1, shading.outer || "#ffffff"]]
+    } else if (shading.type === "ball") {
+      // Highlight towards the upper left, darkening to the rim
+      const color = shading.ball || "#0000ff"
+      gradient = document.createElementNS(SVG_NS, "radialGradient")
+      gradient.setAttribute("fx", "0.35")
+      gradient.setAttribute("fy", "0.3")
+      stops = [
+        [0, "#ffffff"],
+        [0.15, blendColors(color, "white", 0.4)],
+        [0.6, color],
+        [1, blendColors(color, "black", 0.45)]
+      ]
+    } else {
+      // Axis shading runs from bottom to top, then is turned by the shading angle
+      gradient = document.createElementNS(SVG_NS, "linearGradient")
+      gradient.setAttribute("x1", "0")
+      gradient.setAttribute("y1", "1")
+      gradient.setAttribute("x2", "0")
+      gradient.setAttribute("y2", "0")
+      if (shading.angle) {
+        gradient.setAttribute("gradientTransform", `rotate(${-shading.angle} 0.5 0.5)`)
+      }
+      stops = [[0, shading.bottom || "#ffffff"]]
+      if (shading.middle) {
+        stops.push([0.5, shading.middle])
+      }
+      stops.push([1, shading.top || "#808080"])
+    }
+
+    gradient.setAttribute("id", id)
+    for (const [offset, color] of stops) {
+      const stop = document.createElementNS(SVG_NS, "stop")
+      stop.setAttribute("offset", offset)
+      stop.setAttribute("stop-color", color)
+      gradient.appendChild(stop)
+    }
+
+    this.defs.appendChild(gradient)
+    this.gradients.set(key, id)
+    return `url(#${id})`
+  }
+
+  /**
+   * Get a fill reference to the SVG pattern of a pattern in a color, creating it in defs on first use
+   */
+  getPatternFill(pattern, color) {
+    const key = JSON.stringify([pattern, color])
+    if (!this.patterns.has(key)) {
+      const id = `pattern-${this.patterns.size}`
+      this.defs.appendChild(createPattern(id, pattern, color, PX_PER_PT))
+      this.patterns.set(key, id)
+    }
+    return `url(#${this.patterns.get(key)})`
+  }
+
+  /**
+   * Get a mask reference to the SVG mask of a fading, creating it in defs on first use
+   * Without a center (in pixels) the fading is fit to the masked element.
+   */
+  getFadingMask(name, angle, center = null) {
+    const key = JSON.stringify([name, angle, center])
+    if (!this.masks.has(key)) {
+      const id = `fading-${this.masks.size}`
+      this.defs.appendChild(createFadingMask(id, name, angle, center, FADING_SIZE_CM * this.scale))
+      this.masks.set(key, id)
+    }
+    return `url(#${this.masks.get(key)})`
+  }
+
+  /**
+   * Get a filter reference to the SVG filter blurring a shadow by a radius in pixels
+   */
+  getBlurFilter(radius) {
+    if (!this.filters.has(radius)) {
+      const id = `shadow-blur-${this.filters.size}`
+      this.defs.appendChild(createBlurFilter(id, radius))
+      this.filters.set(radius, id)
+    }
+    return `url(#${this.filters.get(radius)})`
+  }
+
   renderCommand(command) {
     switch (command.type) {
       case NodeType.DRAW:
@@ -424,6 +703,11 @@ export class Renderer {
         return this.renderDraw(command, false, false)
       case NodeType.AXIS:
         return this.renderAxis(command)
+      case NodeType.SCOPE:
+      case NodeType.MATRIX:
+      case NodeType.TREE:
+      case NodeType.GRAPH:
+        return this.renderScope(command)
       case NodeType.NODE:
         return this.renderNode(command)
       case NodeType.COORDINATE:
@@ -433,27 +717,70 @@ export class Renderer {
     }
   }
 
+  /**
+   * Render a scope (or a matrix, tree or graph) as a group holding its commands
+   */
+  renderScope(scope) {
+    const group = document.createElementNS(SVG_NS, "g")
+    this.renderCommandList(scope.commands, group)
+    if (scope.fading) {
+      const { name, angle, fit, center } = scope.fading
+      group.setAttribute("mask", this.getFadingMask(name, angle,
+        fit ? null : { x: this.toSvgX(center.x), y: this.toSvgY(center.y) }))
+    }
+    return [group]
+  }
+
   renderDraw(command, doStroke, doFill) {
     const elements = []
     const style = command.style || {}
+    if (style.shadows?.length || style.preactions?.length || style.postactions?.length) {
+      const main = { ...command, style: style.clone() }
+      main.style.shadows = []
+      main.style.preactions = []
+      main.style.postactions = []
+      return [
+        ...style.shadows.flatMap(shadow => this.renderPathShadow(main, shadow, doStroke, doFill)),
+        ...style.preactions.flatMap(options => this.renderPathAction(main, options)),
+        ...this.renderDraw(main, doStroke, doFill),
+        ...style.postactions.flatMap(options => this.renderPathAction(main, options))
+      ]
+    }
+    if (style.fading) {
+      return this.renderFadedPath(command, doStroke, doFill)
+    }
+    // A brace on straight lines is drawn for each line, otherwise along the whole path
+    const curved = command.segments.some(segment =>
+      segment.type === NodeType.CURVE_SEGMENT || segment.type === NodeType.ARC_SEGMENT
+    )
+    if (style.decorate && style.decoration && (style.decoration.type !== "brace" || curved)) {
+      return this.renderDecoratedPath(command, doStroke, doFill)
+    }
     const shouldFill = doFill || (style.fill && style.fill !== "none")
 
-    // Track colors for arrow markers
     const strokeColor = style.stroke || this.defaultStroke
-    this.usedColors.add(strokeColor)
 
     // Build path from segments
     let pathData = ""
     let firstPoint = null
     let currentPoint = null
+    let afterMove = false
 
     for (const segment of command.segments) {
+      // A segment following a move starts a new subpath at its own start point
+      const startsSubpath = pathData === "" || afterMove
+      afterMove = Boolean(segment.move)
       switch (segment.type) {
         case NodeType.LINE_SEGMENT:
+          if (segment.move) {
+            pathData += `M ${this.toSvgX(segment.to.x)} ${this.toSvgY(segment.to.y)} `
+            firstPoint = currentPoint = segment.to
+            break
+          }
           if (style.decorate && style.decoration?.type === "brace") {
             elements.push(this.renderBraceSegment(segment, style, strokeColor))
             if (segment.edgeLabel) {
-              elements.push(...this.renderEdgeLabel(segment.from, segment.to, segment.edgeLabel))
+              elements.push(...this.renderEdgeLabel(segment, segment.edgeLabel))
             }
             break
           }
@@ -487,7 +814,7 @@ export class Renderer {
             toPoint = this.getNodeBoundaryPoint(segment.toNodeName, toCenter, fromCenter)
           }
 
-          if (pathData === "" && fromPoint) {
+          if (startsSubpath && fromPoint) {
             pathData += `M ${this.toSvgX(fromPoint.x)} ${this.toSvgY(fromPoint.y)} `
             firstPoint = fromPoint
           }
@@ -497,13 +824,13 @@ export class Renderer {
           }
           // Check for edge label
           if (segment.edgeLabel) {
-            const edgeLabelElements = this.renderEdgeLabel(fromPoint, toPoint, segment.edgeLabel)
+            const edgeLabelElements = this.renderEdgeLabel({ ...segment, from: fromPoint, to: toPoint }, segment.edgeLabel)
             elements.push(...edgeLabelElements)
           }
           break
 
         case NodeType.CURVE_SEGMENT:
-          if (pathData === "" && segment.from) {
+          if (startsSubpath && segment.from) {
             pathData += `M ${this.toSvgX(segment.from.x)} ${this.toSvgY(segment.from.y)} `
             firstPoint = segment.from
           }
@@ -511,6 +838,9 @@ export class Renderer {
           pathData += `${this.toSvgX(segment.control2.x)} ${this.toSvgY(segment.control2.y)}, `
           pathData += `${this.toSvgX(segment.to.x)} ${this.toSvgY(segment.to.y)} `
           currentPoint = segment.to
+          if (segment.edgeLabel) {
+            elements.push(...this.renderEdgeLabel(segment, segment.edgeLabel))
+          }
           break
 
         case NodeType.ARC_SEGMENT:
@@ -523,15 +853,15 @@ export class Renderer {
           break
 
         case NodeType.CIRCLE:
-          elements.push(this.renderCircle(segment, style, doStroke, shouldFill, strokeColor))
+          elements.push(...this.withDoubleCore(this.renderCircle(segment, style, doStroke, shouldFill, strokeColor), style, doStroke))
           break
 
         case NodeType.ELLIPSE:
-          elements.push(this.renderEllipse(segment, style, doStroke, shouldFill, strokeColor))
+          elements.push(...this.withDoubleCore(this.renderEllipse(segment, style, doStroke, shouldFill, strokeColor), style, doStroke))
           break
 
         case NodeType.RECTANGLE:
-          elements.push(this.renderRectangle(segment, style, doStroke, shouldFill, strokeColor))
+          elements.push(...this.withDoubleCore(this.renderRectangle(segment, style, doStroke, shouldFill, strokeColor), style, doStroke))
           break
 
         case NodeType.GRID:
@@ -563,6 +893,14 @@ export class Renderer {
         case NodeType.NODE:
           elements.push(...this.renderNode(segment))
           break
+
+        case NodeType.TREE:
+          elements.push(...this.renderScope(segment))
+          break
+
+        case NodeType.EDGE:
+          elements.push(...this.renderDraw(segment, segment.drawn, false))
+          break
       }
     }
 
@@ -571,12 +909,120 @@ export class Renderer {
       const path = document.createElementNS(SVG_NS, "path")
       path.setAttribute("d", pathData)
       this.applyStyle(path, style, doStroke, shouldFill, strokeColor)
-      elements.unshift(path)
+      elements.unshift(...this.withDoubleCore(path, style, doStroke))
     }
 
     return elements
   }
 
+  /**
+   * Draw a preaction or postaction: the path once more, with the options of the
+   * action added to its own. Like any path, it is filled only when the action
+   * gives a fill and drawn only when it says draw; nodes on the path are left out.
+   */
+  renderPathAction(command, options) {
+    const base = command.style.clone()
+    base.fill = "none"
+    base.shading = null
+    base.pattern = null
+    const style = parseOptions(options, base)
+    const doStroke = options.some(opt => /^draw\s*(=|$)/.test(opt.trim()))
+    return this.renderDraw({ ...command, style, segments: this.pathOnlySegments(command) }, doStroke, false)
+  }
+
+  /**
+   * Segments of a path without its nodes, trees and edges and the labels on it
+   */
+  pathOnlySegments(command) {
+    return command.segments
+      .filter(segment => !PATH_ACTION_SKIPPED.has(segment.type))
+      .map(segment => segment.edgeLabel ? { ...segment, edgeLabel: null } : segment)
+  }
+
+  /**
+   * Center of the bounding box of a path without its nodes, in pixels
+   */
+  pathCenter(segments) {
+    const points = flattenPath(segments).flat()
+    if (points.length === 0) return { x: 0, y: 0 }
+    const xs = points.map(point => point.x)
+    const ys = points.map(point => point.y)
+    return {
+      x: this.toSvgX((Math.min(...xs) + Math.max(...xs)) / 2),
+      y: this.toSvgY((Math.min(...ys) + Math.max(...ys)) / 2)
+    }
+  }
+
+  /**
+   * Draw a shadow of a path: the path filled in the shadow color, or drawn and
+   * filled as itself for a copy shadow, shifted and scaled around its center
+   */
+  renderPathShadow(command, shadow, doStroke, doFill) {
+    const style = command.style.clone()
+    style.fading = shadow.fading
+    if (shadow.copy) {
+      style.fill = shadow.fill || style.fill
+      style.stroke = shadow.draw || style.stroke
+    } else {
+      style.fill = shadow.fill || "none"
+      style.shading = null
+      style.pattern = null
+      style.arrowStart = style.arrowEnd = null
+      style.double = null
+      style.opacity = 1
+      doStroke = !!shadow.draw
+      doFill = !!shadow.fill
+      style.stroke = shadow.draw || style.stroke
+    }
+
+    const segments = this.pathOnlySegments(command)
+    const elements = this.renderDraw({ ...command, style, segments }, doStroke, doFill)
+    return [this.renderShadow(elements, shadow, this.pathCenter(segments))]
+  }
+
+  /**
+   * Group the elements of a shadow, shifted by the shadow shift and scaled around
+   * center, at the opacity of the shadow
+   */
+  renderShadow(elements, shadow, center) {
+    const group = document.createElementNS(SVG_NS, "g")
+    const dx = shadow.xshift * this.scale
+    const dy = -shadow.yshift * this.scale
+    group.setAttribute("transform", shadow.scale === 1
+      ? `translate(${dx}, ${dy})`
+      : `translate(${center.x + dx}, ${center.y + dy}) scale(${shadow.scale}) translate(${-center.x}, ${-center.y})`)
+    if (shadow.opacity !== 1) {
+      group.setAttribute("opacity", shadow.opacity)
+    }
+    if (shadow.blur) {
+      group.setAttribute("filter", this.getBlurFilter(shadow.blur * this.scale))
+    }
+    for (const element of elements) {
+      group.appendChild(element)
+    }
+    return group
+  }
+
+  /**
+   * Draw a path under its path fading; the nodes on it are not faded
+   * An unfit fading is centered on the bounding box of the path.
+   */
+  renderFadedPath(command, doStroke, doFill) {
+    const style = command.style.clone()
+    style.fading = null
+    const segments = command.segments.filter(segment => !PATH_ACTION_SKIPPED.has(segment.type))
+    const nodes = command.segments.filter(segment => PATH_ACTION_SKIPPED.has(segment.type))
+
+    const group = document.createElementNS(SVG_NS, "g")
+    for (const element of this.renderDraw({ ...command, style, segments }, doStroke, doFill)) {
+      group.appendChild(element)
+    }
+    group.setAttribute("mask", this.getFadingMask(command.style.fading, command.style.fadingAngle,
+      command.style.fitFading ? null : this.pathCenter(segments)))
+
+    return [group, ...this.renderDraw({ ...command, style, segments: nodes }, doStroke, doFill)]
+  }
+
   getAxisDimensions(settings) {
     const width = Number.isFinite(settings.width) ? settings.width : 10
     const height = Number.isFinite(settings.height) ? settings.height : 6
@@ -1033,11 +1479,6 @@ export class Renderer {
   }
 
   renderCircle(segment, style, doStroke, doFill, strokeColor) {
-    // Check for snake decoration
-    if (style.decorate && style.decoration?.type === "snake") {
-      return this.renderSnakeCircle(segment, style, doStroke, doFill, strokeColor)
-    }
-
     const circle = document.createElementNS(SVG_NS, "circle")
     circle.setAttribute("cx", this.toSvgX(segment.center.x))
     circle.setAttribute("cy", this.toSvgY(segment.center.y))
@@ -1119,57 +1560,89 @@ export class Renderer {
   }
 
   /**
-   * Render a circle with snake (wavy) decoration
+   * Render a decorated path (see decorations.js)
+   * The decoration takes the place of the path: path morphing decorations draw their
+   * own version of it, markings only their marks and text along path only its text.
+   * Nodes and labels on the path are drawn as usual.
    */
-  renderSnakeCircle(segment, style, doStroke, doFill, strokeColor) {
-    const cx = segment.center.x
-    const cy = segment.center.y
-    const r = segment.radius
-
-    // amplitude in cm (0.5mm = 0.05cm)
-    const amplitude = style.decoration?.amplitude || 0.05
-    // segment length in cm (default ~3mm = 0.3cm for snake)
-    const segmentLength = style.decoration?.segmentLength || 0.3
-
-    // Calculate circumference in cm
-    const circumference = 2 * Math.PI * r
+  renderDecoratedPath(command, doStroke, doFill) {
+    const elements = []
+    const style = command.style
+    const { decoration } = style
+    const strokeColor = style.stroke || this.defaultStroke
 
-    // Number of complete waves around the circle
-    // Each wave is one segment length (half-wave = half segment)
-    const numWaves = Math.max(20, Math.round(circumference / segmentLength))
+    const polylines = flattenPath(command.segments)
+    if (decoration.type === "text along path") {
+      elements.push(this.renderTextAlongPath(polylines, decoration, strokeColor))
+    } else if (decoration.type !== "markings") {
+      const pathData = this.polylinePathData(decoratePolylines(polylines, decoration))
+      if (pathData) {
+        const path = document.createElementNS(SVG_NS, "path")
+        path.setAttribute("d", pathData)
+        this.applyStyle(path, style, doStroke, doFill, strokeColor)
+        elements.push(...this.withDoubleCore(path, style, doStroke))
+      }
+    }
 
-    // High resolution for smooth curves
-    const pointsPerWave = 12
-    const numPoints = numWaves * pointsPerWave
+    for (const mark of command.marks || []) {
+      elements.push(...this.renderCommandElements(mark))
+    }
 
-    // Generate wavy path
-    let pathData = ""
-    for (let i = 0; i <= numPoints; i++) {
-      const t = i / numPoints
-      const angle = t * 2 * Math.PI
-      // Wave oscillates with numWaves complete cycles
-      const wavePhase = t * numWaves * 2 * Math.PI
-      const waveOffset = amplitude * Math.sin(wavePhase)
-
-      // Point on the circle with radial perturbation
-      const px = cx + (r + waveOffset) * Math.cos(angle)
-      const py = cy + (r + waveOffset) * Math.sin(angle)
-
-      const svgX = this.toSvgX(px)
-      const svgY = this.toSvgY(py)
-
-      if (i === 0) {
-        pathData += `M ${svgX} ${svgY} `
-      } else {
-        pathData += `L ${svgX} ${svgY} `
+    for (const segment of command.segments) {
+      if (segment.type === NodeType.NODE) {
+        elements.push(...this.renderNode(segment))
+      } else if (segment.type === NodeType.TREE) {
+        elements.push(...this.renderScope(segment))
+      } else if (segment.type === NodeType.EDGE) {
+        elements.push(...this.renderDraw(segment, segment.drawn, false))
+      } else if (segment.edgeLabel) {
+        elements.push(...this.renderEdgeLabel(segment, segment.edgeLabel))
       }
     }
-    pathData += "Z"
 
-    const path = document.createElementNS(SVG_NS, "path")
-    path.setAttribute("d", pathData)
-    this.applyStyle(path, style, doStroke, doFill, strokeColor)
-    return path
+    return elements
+  }
+
+  /**
+   * SVG path data of polylines in picture coordinates
+   */
+  polylinePathData(polylines) {
+    return polylines
+      .filter(points => points.length > 1)
+      .map(points => points
+        .map((point, index) => `${index === 0 ? "M" : "L"} ${this.toSvgX(point.x)} ${this.toSvgY(point.y)}`)
+        .join(" "))
+      .join(" ")
+  }
+
+  /**
+   * Render the text of a text along path decoration on an invisible guide path in the defs
+   */
+  renderTextAlongPath(polylines, decoration, color) {
+    const id = `text-path-${this.textPathCounter++}`
+    const guide = document.createElementNS(SVG_NS, "path")
+    guide.setAttribute("id", id)
+    guide.setAttribute("d", this.polylinePathData(polylines))
+    this.defs.appendChild(guide)
+
+    const text = document.createElementNS(SVG_NS, "text")
+    text.setAttribute("font-family", "serif")
+    text.setAttribute("font-size", 10 * this.fontScale)
+    text.setAttribute("fill", color)
+    if (decoration.raise) {
+      // Raised text sits further to the left of the path, which is up in the text's frame
+      text.setAttribute("dy", -decoration.raise * this.scale)
+    }
+
+    const textPath = document.createElementNS(SVG_NS, "textPath")
+    textPath.setAttribute("href", `#${id}`)
+    const offsets = { left: ["0%", "start"], center: ["50%", "middle"], right: ["100%", "end"] }
+    const [startOffset, anchor] = offsets[decoration.textAlign] || offsets.left
+    textPath.setAttribute("startOffset", startOffset)
+    textPath.setAttribute("text-anchor", anchor)
+    this.renderTextContent(textPath, decoration.text)
+    text.appendChild(textPath)
+    return text
   }
 
   renderEllipse(segment, style, doStroke, doFill, strokeColor) {
@@ -1178,11 +1651,25 @@ export class Renderer {
     ellipse.setAttribute("cy", this.toSvgY(segment.center.y))
     ellipse.setAttribute("rx", segment.rx * this.scale)
     ellipse.setAttribute("ry", segment.ry * this.scale)
+    if (segment.rotation) {
+      // TikZ angles are counter-clockwise, SVG rotations clockwise
+      ellipse.setAttribute("transform",
+        `rotate(${-segment.rotation} ${this.toSvgX(segment.center.x)} ${this.toSvgY(segment.center.y)})`)
+    }
     this.applyStyle(ellipse, style, doStroke, doFill, strokeColor)
     return ellipse
   }
 
   renderRectangle(segment, style, doStroke, doFill, strokeColor) {
+    // A rotated or slanted rectangle is drawn through its four corners
+    if (segment.corners) {
+      const path = document.createElementNS(SVG_NS, "path")
+      const points = segment.corners.map(corner => `${this.toSvgX(corner.x)} ${this.toSvgY(corner.y)}`)
+      path.setAttribute("d", `M ${points.join(" L ")} Z`)
+      this.applyStyle(path, style, doStroke, doFill, strokeColor)
+      return path
+    }
+
     const rect = document.createElementNS(SVG_NS, "rect")
     const x = Math.min(segment.from.x, segment.to.x)
     const y = Math.min(segment.from.y, segment.to.y)
@@ -1300,48 +1787,36 @@ export class Renderer {
       }
     }
 
-    // Parse text lines and font sizes (use node's fontSize as default if provided)
-    const { lines } = this.parseNodeText(text, fontSize)
-    const lineHeight = 16 * this.fontScale
-
     // Determine text anchor based on align option
     const textAnchor = align === "left" ? "start" : align === "right" ? "end" : "middle"
+    const textColor = style?.stroke || this.defaultStroke
+    let shapeParams = node.shapeParams || {}
 
-    // Create text element first so we can measure it
+    // Create text elements first so we can measure them
     let textEl = null
     let textBBox = { width: 0, height: 0 }
-
-    if (text && lines.length > 0) {
-      textEl = document.createElementNS(SVG_NS, "text")
-      textEl.setAttribute("x", "0")
-      textEl.setAttribute("text-anchor", textAnchor)
-      textEl.setAttribute("font-family", "serif")
-      textEl.setAttribute("fill", style?.stroke || this.defaultStroke)
-
-      // Calculate starting Y to center the text block
-      const startY = -((lines.length - 1) * lineHeight) / 2
-
-      lines.forEach((line, index) => {
-        const tspan = document.createElementNS(SVG_NS, "tspan")
-        tspan.setAttribute("x", "0")
-        tspan.setAttribute("dy", index === 0 ? startY : lineHeight)
-        tspan.setAttribute("dominant-baseline", "central")
-        tspan.setAttribute("font-size", line.fontSize)
-
-        // Render content (with math support)
-        this.renderTextContent(tspan, line.content)
-        textEl.appendChild(tspan)
-      })
-
-      // Measure text by temporarily adding to SVG
-      textBBox = this.measureText(textEl)
+    let partLayout = null
+    let content
+
+    if (shapePartNames(shape, shapeParams)) {
+      // Split shapes: one text per part, the layout gives the size and the dividers
+      partLayout = this.layoutNodeParts(node, "middle", textColor)
+      shapeParams = { ...shapeParams, splits: partLayout.splits }
+      textBBox = { width: partLayout.width * this.scale, height: partLayout.height * this.scale }
+      content = partLayout
+    } else {
+      const created = this.createNodeText(text, fontSize, textAnchor, textColor)
+      if (created) {
+        textEl = created.element
+        textBBox = created.bbox
+      }
+      content = shapeContentSize(shape, textBBox.width / this.scale + innerSep * 2,
+        textBBox.height / this.scale + innerSep * 2, shapeParams)
     }
 
-    // Calculate dimensions based on measured text
-    const textWidth = textBBox.width + innerSep * 2 * this.scale
-    const textHeight = textBBox.height + innerSep * 2 * this.scale
-    const nodeWidth = Math.max(width * this.scale, textWidth)
-    const nodeHeight = Math.max(height * this.scale, textHeight)
+    // Calculate dimensions based on measured text (content size is in picture units)
+    const nodeWidth = Math.max(width * this.scale, content.width * this.scale)
+    const nodeHeight = Math.max(height * this.scale, content.height * this.scale)
 
     // Calculate anchor offset - position the anchor point of the node at the given position
     // For text-only nodes, use smaller offsets (just text bounds + small gap)
@@ -1349,7 +1824,10 @@ export class Renderer {
     let anchorOffsetX = 0
     let anchorOffsetY = 0
     const nodeAnchor = anchor || "center"
-    const hasShape = draw || fill
+    const shading = style?.shading
+    const pattern = style?.pattern
+    const shadows = style?.shadows || []
+    const hasShape = draw || fill || shading || pattern || shadows.length > 0
 
     // Use text dimensions for text-only nodes, node dimensions for shaped nodes
     const anchorWidth = hasShape ? nodeWidth : textBBox.width
@@ -1397,26 +1875,35 @@ export class Renderer {
     let transform = `translate(${this.toSvgX(position.x) + anchorOffsetX}, ${this.toSvgY(position.y) + anchorOffsetY})`
     if (rotate) {
       // TikZ rotation is counter-clockwise, SVG is clockwise, so negate the angle
-      transform += ` rotate(${-rotate})`
+      // The anchor is a point of the rotated node, so its offset turns as well
+      transform = `translate(${this.toSvgX(position.x)}, ${this.toSvgY(position.y)}) rotate(${-rotate})`
+      if (anchorOffsetX || anchorOffsetY) {
+        transform += ` translate(${anchorOffsetX}, ${anchorOffsetY})`
+      }
     }
     group.setAttribute("transform", transform)
 
     // Draw shape if needed
-    if (draw || fill) {
+    if (hasShape) {
       let shapeEl
+      const { primitive } = getShape(shape)
+      const outline = shapeOutline(shape, nodeWidth / this.scale, nodeHeight / this.scale, shapeParams)
 
-      if (shape === "circle") {
+      if (primitive === "circle") {
         const radius = Math.max(nodeWidth, nodeHeight) / 2
         shapeEl = document.createElementNS(SVG_NS, "circle")
         shapeEl.setAttribute("cx", "0")
         shapeEl.setAttribute("cy", "0")
         shapeEl.setAttribute("r", radius)
-      } else if (shape === "ellipse") {
+      } else if (primitive === "ellipse") {
         shapeEl = document.createElementNS(SVG_NS, "ellipse")
         shapeEl.setAttribute("cx", "0")
         shapeEl.setAttribute("cy", "0")
         shapeEl.setAttribute("rx", nodeWidth / 2)
         shapeEl.setAttribute("ry", nodeHeight / 2)
+      } else if (!primitive) {
+        shapeEl = document.createElementNS(SVG_NS, "path")
+        shapeEl.setAttribute("d", this.toNodePathData(outline.paths))
       } else {
         // Rectangle (default)
         shapeEl = document.createElementNS(SVG_NS, "rect")
@@ -1432,7 +1919,11 @@ export class Renderer {
       }
 
       // Apply fill
-      if (fill) {
+      if (shading) {
+        shapeEl.setAttribute("fill", this.getShadingFill(shading))
+      } else if (pattern) {
+        shapeEl.setAttribute("fill", this.getPatternFill(pattern, style.patternColor || "#000000"))
+      } else if (fill) {
         let fillColor = parseColor(fill)
         if (!fillColor || fill.toLowerCase() === "currentcolor") {
           fillColor = style?.stroke || this.defaultStroke
@@ -1443,18 +1934,66 @@ export class Renderer {
       }
 
       // Apply stroke
-      if (draw) {
-        shapeEl.setAttribute("stroke", style?.stroke || this.defaultStroke)
-        shapeEl.setAttribute("stroke-width", (style?.lineWidth || 0.4) * 2)
+      const applyStroke = (el) => {
+        el.setAttribute("stroke", style?.stroke || this.defaultStroke)
+        el.setAttribute("stroke-width", this.strokeWidth(style))
         // Apply dash pattern if present
         if (style?.dashPattern) {
-          shapeEl.setAttribute("stroke-dasharray", style.dashPattern.map(v => v * 2).join(" "))
+          el.setAttribute("stroke-dasharray", style.dashPattern.map(v => v * 2).join(" "))
         }
+      }
+      if (draw) {
+        applyStroke(shapeEl)
       } else {
         shapeEl.setAttribute("stroke", "none")
       }
 
+      // Shadows under the shape, shifted and scaled around the node center
+      for (const shadow of shadows) {
+        const shadowEl = shapeEl.cloneNode(false)
+        if (shadow.copy) {
+          if (shadow.fill) shadowEl.setAttribute("fill", shadow.fill)
+          if (shadow.draw) shadowEl.setAttribute("stroke", shadow.draw)
+        } else {
+          shadowEl.setAttribute("fill", shadow.fill || "none")
+          if (shadow.draw) {
+            applyStroke(shadowEl)
+            shadowEl.setAttribute("stroke", shadow.draw)
+          } else {
+            shadowEl.setAttribute("stroke", "none")
+          }
+        }
+        if (shadow.fading) {
+          shadowEl.setAttribute("mask", this.getFadingMask(shadow.fading, 0))
+        }
+        group.appendChild(this.renderShadow([shadowEl], shadow, { x: 0, y: 0 }))
+      }
+
+      if (style?.fading) {
+        shapeEl.setAttribute("mask", this.getFadingMask(style.fading, style.fadingAngle,
+          style.fitFading ? null : { x: 0, y: 0 }))
+      }
+
       group.appendChild(shapeEl)
+      if (draw && style?.double) {
+        group.appendChild(this.renderDoubleCore(shapeEl, style))
+      }
+
+      // Lines inside the shape, such as the dividers of split shapes
+      if (draw && outline.details.length > 0) {
+        const detailEl = document.createElementNS(SVG_NS, "path")
+        detailEl.setAttribute("d", this.toNodePathData(outline.details))
+        detailEl.setAttribute("fill", "none")
+        applyStroke(detailEl)
+        group.appendChild(detailEl)
+      }
+    }
+
+    // Texts of the parts of split shapes, centered in their parts
+    for (const part of partLayout?.parts || []) {
+      part.element.setAttribute("transform",
+        `translate(${part.center.x * this.scale}, ${-part.center.y * this.scale})`)
+      group.appendChild(part.element)
     }
 
     // Add text element (already created and measured)
@@ -1475,7 +2014,20 @@ export class Renderer {
     return elements
   }
 
-  renderNodeLabel(position, nodeWidth, nodeHeight, label, style, fontSize) {
+  /**
+   * SVG path data for outline commands relative to a node center (see shapes.js)
+   */
+  toNodePathData(commands) {
+    return commands.map(([type, ...args]) => {
+      const coordinates = []
+      for (let i = 0; i < args.length; i += 2) {
+        coordinates.push(args[i] * this.scale, -args[i + 1] * this.scale)
+      }
+      return [type, ...coordinates].join(" ")
+    }).join(" ")
+  }
+
+    renderNodeLabel(position, nodeWidth, nodeHeight, label, style, fontSize) {
     if (!label?.text) return []
     const labelFontSize = label.fontSize || fontSize || 10
     const { lines: labelLines } = this.parseNodeText(label.text, labelFontSize)
@@ -1584,57 +2136,8 @@ export class Renderer {
       return nodeCenter // Fallback to center if no metrics
     }
 
-    const center = metrics.center
-    const shape = metrics.shape || "rectangle"
-    const width = metrics.width
-    const height = metrics.height
-
-    // Direction vector from center to target
-    const dx = targetPoint.x - center.x
-    const dy = targetPoint.y - center.y
-
-    // If target is at the center, return center
-    if (dx === 0 && dy === 0) {
-      return { x: center.x, y: center.y }
-    }
-
-    const hw = width / 2
-    const hh = height / 2
-
-    if (shape === "circle") {
-      // For circle, use the larger dimension as radius
-      const r = Math.max(hw, hh)
-      const dist = Math.sqrt(dx * dx + dy * dy)
-      const scale = r / dist
-      return { x: center.x + dx * scale, y: center.y + dy * scale }
-    } else if (shape === "ellipse") {
-      // For ellipse, scale the direction vector
-      const angle = Math.atan2(dy, dx)
-      const x = hw * Math.cos(angle)
-      const y = hh * Math.sin(angle)
-      return { x: center.x + x, y: center.y + y }
-    } else {
-      // Rectangle: find intersection with the rectangle boundary
-      const dist = Math.sqrt(dx * dx + dy * dy)
-      const nx = dx / dist  // normalized direction
-      const ny = dy / dist
-
-      // Calculate t for intersection with each edge
-      // Right edge: center.x + hw = center.x + t * dx  =>  t = hw / dx
-      // Top edge: center.y + hh = center.y + t * dy  =>  t = hh / dy
-      let t = Infinity
-
-      if (nx !== 0) {
-        const tRight = hw / Math.abs(nx)
-        if (tRight < t) t = tRight
-      }
-      if (ny !== 0) {
-        const tTop = hh / Math.abs(ny)
-        if (tTop < t) t = tTop
-      }
-
-      return { x: center.x + nx * t, y: center.y + ny * t }
-    }
+    return shapeBorderPoint(metrics.shape || "rectangle", metrics.center, metrics.width, metrics.height,
+      metrics.shapeParams, targetPoint)
   }
 
   /**
@@ -2008,24 +2511,43 @@ export class Renderer {
   /**
    * Render an edge label at a position along a line segment
    */
-  renderEdgeLabel(from, to, label) {
-    const elements = []
+  /**
+   * Where a label sits along a segment, how far it is turned and how its text aligns
+   * The position is measured along the segment's length, so labels follow curves,
+   * arcs and plots. above/below/left/right offsets turn with sloped labels, and auto
+   * labels are moved off the path to its left (or right).
+   */
+  edgeLabelPoint(segment, label) {
+    const labelPosition = label.labelPosition || {}
+    const along = positionAlongSegment(segment, labelPosition.pos ?? 0.5) || { point: segment.from, angle: 0 }
+    const { rotate, side } = labelPlacement(labelPosition, along.angle)
+
+    let offset = new Point(labelPosition.offset?.x || 0, labelPosition.offset?.y || 0).rotate(rotate)
+    let align = labelPosition.align || label.align || "left"
+    if (side !== null) {
+      const direction = new Point(1, 0).rotate(side)
+      offset = offset.add(direction.scale(AUTO_LABEL_DISTANCE))
+      if (rotate || Math.abs(direction.x) < 0.38) {
+        align = "center"
+      } else {
+        align = direction.x > 0 ? "left" : "right"
+      }
+    }
 
-    // Calculate position along the edge
-    const pos = label.labelPosition?.pos || 0.5
-    const offset = label.labelPosition?.offset || { x: 0, y: 0 }
+    return { point: along.point.add(offset), rotate, align }
+  }
 
-    // Interpolate position on the line
-    const x = from.x + (to.x - from.x) * pos + offset.x
-    const y = from.y + (to.y - from.y) * pos + offset.y
+  renderEdgeLabel(segment, label) {
+    const elements = []
 
-    // Determine alignment based on offset direction
-    const align = label.labelPosition?.align || label.align || "left"
+    const { point, rotate, align } = this.edgeLabelPoint(segment, label)
 
     // For edge labels, render text directly without a box wrapper
     // This gives more precise positioning control
     const group = document.createElementNS(SVG_NS, "g")
-    group.setAttribute("transform", `translate(${this.toSvgX(x)}, ${this.toSvgY(y)}) `)
+    // TikZ rotation is counter-clockwise, SVG is clockwise, so negate the angle
+    const rotation = rotate ? `rotate(${-rotate})` : ""
+    group.setAttribute("transform", `translate(${this.toSvgX(point.x)}, ${this.toSvgY(point.y)}) ${rotation}`)
 
     // Parse text lines
     const fontSize = label.fontSize || 10
@@ -2067,7 +2589,7 @@ export class Renderer {
     if (doStroke) {
       element.setAttribute("stroke", strokeColor)
       // Line width should not scale with coordinates - use fixed pixel multiplier
-      element.setAttribute("stroke-width", (style.lineWidth || 0.4) * 2)
+      element.setAttribute("stroke-width", this.strokeWidth(style))
 
       if (style.dashPattern) {
         element.setAttribute("stroke-dasharray", style.dashPattern.map(v => v * 2).join(" "))
@@ -2085,19 +2607,23 @@ export class Renderer {
         element.setAttribute("stroke-opacity", style.strokeOpacity)
       }
 
-      // Arrow markers
-      if (style.arrowEnd) {
-        element.setAttribute("marker-end", getArrowMarker(style.arrowEnd, false, strokeColor))
-      }
-      if (style.arrowStart) {
-        element.setAttribute("marker-start", getArrowMarker(style.arrowStart, true, strokeColor))
+      if (style.arrowStart || style.arrowEnd || style.shortenStart || style.shortenEnd) {
+        this.applyPathEnds(element, style, strokeColor)
       }
     } else {
       element.setAttribute("stroke", "none")
     }
 
     // Fill
-    if (doFill) {
+    if (style.shading || style.pattern) {
+      element.setAttribute("fill", style.shading
+        ? this.getShadingFill(style.shading)
+        : this.getPatternFill(style.pattern, style.patternColor || "#000000"))
+
+      if (style.fillOpacity !== undefined && style.fillOpacity !== 1) {
+        element.setAttribute("fill-opacity", style.fillOpacity)
+      }
+    } else if (doFill) {
       // Use explicit fill color if set, otherwise use stroke color for filldraw
       let fillColor
       if (style.fill && style.fill !== "none") {
@@ -2121,13 +2647,92 @@ export class Renderer {
     }
   }
 
-  addArrowDefs() {
-    for (const color of this.usedColors) {
-      // Scale arrows appropriately - use smaller multiplier for reasonable arrow size
-      const defs = createArrowDefs(color, this.scale * 0.02)
-      while (defs.firstChild) {
-        this.defs.appendChild(defs.firstChild)
+  /**
+   * Stroke width in pixels; a double line is two lines with the double distance between them
+   */
+  strokeWidth(style) {
+    const lineWidth = style?.lineWidth || 0.4
+    return (style?.double ? 2 * lineWidth + style.doubleDistance : lineWidth) * PX_PER_PT
+  }
+
+  /**
+   * The core of a double line: the same shape stroked over it in the core color,
+   * as wide as the double distance
+   */
+  renderDoubleCore(element, style) {
+    const core = element.cloneNode(false)
+    core.setAttribute("stroke", style.double)
+    core.setAttribute("stroke-width", style.doubleDistance * PX_PER_PT)
+    core.setAttribute("fill", "none")
+    core.removeAttribute("marker-start")
+    core.removeAttribute("marker-end")
+    return core
+  }
+
+  /**
+   * A stroked shape followed by its core when the line is double
+   */
+  withDoubleCore(element, style, doStroke) {
+    return doStroke && style.double ? [element, this.renderDoubleCore(element, style)] : [element]
+  }
+
+  /**
+   * Shorten the ends of a path (shorten < and shorten >) and put the arrow tips of
+   * a style on it as markers (see arrows.js)
+   * The path also stops inside its tips, so that their apex sits where it would
+   * end; where it cannot be shortened (an arc, a line shorter than the tips) the
+   * apex sits on its end.
+   */
+  applyPathEnds(element, style, strokeColor) {
+    const lineWidth = this.strokeWidth(style) / PX_PER_PT
+    let pathData = element.getAttribute("d")
+
+    for (const atStart of [true, false]) {
+      const tips = atStart ? style.arrowStart : style.arrowEnd
+      const arrow = resolveArrowTips(tips, style.arrowDefault, lineWidth, strokeColor, atStart)
+      const shorten = (atStart ? style.shortenStart : style.shortenEnd) * this.scale
+      if (!arrow) {
+        pathData = (pathData && shortenPathData(pathData, atStart, shorten)) || pathData
+        continue
+      }
+
+      let orient = null
+      let atApex = true
+      if (pathData) {
+        if (arrow.bend) {
+          orient = pathEndAngle(pathData, atStart, shorten + arrow.apex * PX_PER_PT)
+        }
+        const shortened = shortenPathData(pathData, atStart, shorten + (arrow.apex - arrow.lineEnd) * PX_PER_PT)
+        if (shortened) {
+          pathData = shortened
+          atApex = false
+        }
       }
+
+      const id = this.getArrowMarkerId(arrow, atApex, orient === null ? null : Math.round(orient * 100) / 100)
+      element.setAttribute(atStart ? "marker-start" : "marker-end", `url(#${id})`)
+    }
+
+    if (pathData) {
+      element.setAttribute("d", pathData)
+    }
+  }
+
+  /**
+   * Marker id for resolved arrow tips; tips with the same shapes, sizes, colors
+   * and placement share one marker
+   */
+  getArrowMarkerId(arrow, atApex, orient) {
+    const key = JSON.stringify([arrow, atApex, orient])
+    if (!this.arrowMarkers.has(key)) {
+      this.arrowMarkers.set(key, { id: `arrow-${this.arrowMarkers.size + 1}`, arrow, atApex, orient })
+    }
+    return this.arrowMarkers.get(key).id
+  }
+
+  addArrowDefs() {
+    for (const { id, arrow, atApex, orient } of this.arrowMarkers.values()) {
+      this.defs.appendChild(createArrowMarker(id, arrow, atApex, orient))
     }
   }
 
@@ -0,0 +1,211 @@
+/**
+ * TikZ Shadows and Fadings - shadows, shadows.blur and fadings as SVG filters and masks
+ *
+ *   \node[draw, fill=white, drop shadow] {Box};
+ *   \draw[fill=yellow, general shadow={shadow xshift=2pt, shadow yshift=-2pt, opacity=.3}] (0,0) circle (1);
+ *   \fill[red, path fading=east] (0,0) rectangle (3,1);
+ *   \begin{scope}[scope fading=south] ... \end{scope}
+ *
+ * A shadow is the path (or node shape) once more under it, filled with the shadow
+ * color and shifted; a copy shadow keeps the colors of the path. A fading is a mask
+ * that is opaque where the fading is white: with fit fading its central part is
+ * laid over the bounding box of what it fades, otherwise it is 50bp wide around
+ * the center of the path (or the origin of the scope).
+ */
+
+import { parseColor, parseDistanceCm } from "./styles.js"
+import { splitKeyList, stripOuterBraces } from "./keys.js"
+import { UNIT_IN_PT } from "./pgfmath.js"
+import { SVG_NS } from "./svg.js"
+
+// Fadings of the fadings library: linear ones fade out towards angle, radial ones
+// by offsets of their radius, from white (opaque) to black (transparent)
+const FADINGS = {
+  "east": { type: "linear", angle: 0 },
+  "north": { type: "linear", angle: 90 },
+  "west": { type: "linear", angle: 180 },
+  "south": { type: "linear", angle: 270 },
+  "circle with fuzzy edge 10 percent": { type: "radial", stops: [[0.8, "white"], [1, "black"]] },
+  "circle with fuzzy edge 15 percent": { type: "radial", stops: [[0.7, "white"], [1, "black"]] },
+  "circle with fuzzy edge 20 percent": { type: "radial", stops: [[0.6, "white"], [1, "black"]] },
+  "fuzzy ring 15 percent": {
+    type: "radial",
+    stops: [[0.4, "black"], [0.7, "white"], [0.8, "white"], [1, "black"]]
+  }
+}
+
+// Width of a fading that is not fit to the faded path: the central 50bp of its picture
+export const FADING_SIZE_CM = 50 * UNIT_IN_PT.bp / UNIT_IN_PT.cm
+
+// Settings of the shadows before their options; shifts and blur radius are in ex
+const SHADOW_DEFAULTS = {
+  "general shadow": { fill: "#000000", opacity: 1 },
+  "drop shadow": { xshift: 0.5, yshift: -0.5, fill: "#808080", opacity: 0.5 },
+  "circular drop shadow": {
+    xshift: 0.3, yshift: -0.3, scale: 1.1, fill: "#808080", opacity: 0.5,
+    fading: "circle with fuzzy edge 15 percent"
+  },
+  "copy shadow": { xshift: 0.5, yshift: -0.5, copy: true },
+  "blur shadow": { xshift: 0.5, yshift: -0.5, fill: "#000000", opacity: 0.4, blur: 1 }
+}
+
+const EX_IN_CM = UNIT_IN_PT.ex / UNIT_IN_PT.cm
+
+/**
+ * Name of a fading of the fadings library, or null for an unknown one
+ * Spaces are ignored, as options may come without the one before "percent".
+ */
+export function parseFading(value) {
+  const text = stripOuterBraces(value || "").replace(/\s+/g, "")
+  return Object.keys(FADINGS).find(name => name.replace(/\s+/g, "") === text) || null
+}
+
+/**
+ * Parse a shadow key with its options: drop shadow={opacity=.8, shadow xshift=1ex}
+ * Returns the shadows it adds, farthest first: [{ xshift, yshift, scale, opacity,
+ * fill, draw, copy, fading, blur }], with shifts and blur radius in cm.
+ */
+export function parseShadows(key, value) {
+  if (key === "double copy shadow") {
+    return [
+      ...parseShadows("copy shadow", `shadow xshift=1ex, shadow yshift=-1ex, ${stripOuterBraces(value || "")}`),
+      ...parseShadows("copy shadow", value)
+    ]
+  }
+  if (!SHADOW_DEFAULTS[key]) return []
+
+  const defaults = SHADOW_DEFAULTS[key]
+  const shadow = {
+    xshift: (defaults.xshift ?? 0) * EX_IN_CM,
+    yshift: (defaults.yshift ?? 0) * EX_IN_CM,
+    scale: defaults.scale ?? 1,
+    opacity: defaults.opacity ?? 1,
+    fill: defaults.fill ?? null,
+    draw: null,
+    copy: defaults.copy ?? false,
+    fading: defaults.fading ?? null,
+    blur: (defaults.blur ?? 0) * EX_IN_CM
+  }
+
+  for (const option of splitKeyList(stripOuterBraces(value || ""))) {
+    const eqIndex = option.indexOf("=")
+    const optionKey = (eqIndex === -1 ? option : option.slice(0, eqIndex)).trim().replace(/\s+/g, " ")
+    const optionValue = eqIndex === -1 ? null : stripOuterBraces(option.slice(eqIndex + 1))
+
+    switch (optionKey) {
+      case "shadow xshift":
+        shadow.xshift = parseDistanceCm(optionValue)
+        break
+      case "shadow yshift":
+        shadow.yshift = parseDistanceCm(optionValue)
+        break
+      case "shadow scale":
+        shadow.scale = parseFloat(optionValue) || 1
+        break
+      case "opacity":
+      case "fill opacity":
+        shadow.opacity = parseFloat(optionValue)
+        break
+      case "shadow opacity":
+        // shadows.blur gives the opacity in percent
+        shadow.opacity = (parseFloat(optionValue) || 0) / 100
+        break
+      case "shadow blur radius":
+        shadow.blur = parseDistanceCm(optionValue)
+        break
+      case "fill":
+        shadow.fill = parseColor(optionValue) || shadow.fill
+        break
+      case "draw":
+        shadow.draw = optionValue ? parseColor(optionValue) || shadow.draw : "#000000"
+        break
+      case "path fading":
+        shadow.fading = parseFading(optionValue)
+        break
+      default:
+        // A color alone colors the fill and the outline
+        if (optionValue === null && parseColor(optionKey)) {
+          shadow.fill = parseColor(optionKey)
+          shadow.draw = shadow.draw && parseColor(optionKey)
+        }
+    }
+  }
+
+  return [shadow]
+}
+
+/**
+ * Create the SVG mask of a fading turned by angle degrees
+ * Without a center the mask is fit to the bounding box of the masked element;
+ * otherwise it is size pixels wide around center, in user space.
+ */
+export function createFadingMask(id, name, angle, center, size) {
+  const fading = FADINGS[name]
+  const mask = document.createElementNS(SVG_NS, "mask")
+  mask.setAttribute("id", id)
+
+  const gradient = document.createElementNS(SVG_NS, fading.type === "radial" ? "radialGradient" : "linearGradient")
+  gradient.setAttribute("id", `${id}-gradient`)
+  gradient.setAttribute("gradientUnits", "userSpaceOnUse")
+
+  // The fading lies on the unit square when fit, on a square of size around center otherwise
+  const [cx, cy, width] = center ? [center.x, center.y, size] : [0.5, 0.5, 1]
+  if (!center) {
+    mask.setAttribute("maskContentUnits", "objectBoundingBox")
+  }
+
+  let stops
+  if (fading.type === "radial") {
+    gradient.setAttribute("cx", cx)
+    gradient.setAttribute("cy", cy)
+    gradient.setAttribute("r", width / 2)
+    stops = fading.stops
+  } else {
+    gradient.setAttribute("x1", cx - width / 2)
+    gradient.setAttribute("y1", cy)
+    gradient.setAttribute("x2", cx + width / 2)
+    gradient.setAttribute("y2", cy)
+    stops = [[0, "white"], [1, "black"]]
+    // TikZ angles turn counterclockwise, SVG ones clockwise
+    const turn = fading.angle + angle
+    if (turn % 360) {
+      gradient.setAttribute("gradientTransform", `rotate(${-turn} ${cx} ${cy})`)
+    }
+  }
+
+  for (const [offset, color] of stops) {
+    const stop = document.createElementNS(SVG_NS, "stop")
+    stop.setAttribute("offset", offset)
+    stop.setAttribute("stop-color", color)
+    gradient.appendChild(stop)
+  }
+  mask.appendChild(gradient)
+
+  // Beyond the fading its edge colors continue, over all of the mask region
+  const rect = document.createElementNS(SVG_NS, "rect")
+  rect.setAttribute("x", cx - width * 50)
+  rect.setAttribute("y", cy - width * 50)
+  rect.setAttribute("width", width * 100)
+  rect.setAttribute("height", width * 100)
+  rect.setAttribute("fill", `url(#${id}-gradient)`)
+  mask.appendChild(rect)
+
+  return mask
+}
+
+/**
+ * Create the SVG filter that blurs a shadow by a radius in pixels
+ */
+export function createBlurFilter(id, radius) {
+  const filter = document.createElementNS(SVG_NS, "filter")
+  filter.setAttribute("id", id)
+  filter.setAttribute("x", "-50%")
+  filter.setAttribute("y", "-50%")
+  filter.setAttribute("width", "200%")
+  filter.setAttribute("height", "200%")
+
+  const blur = document.createElementNS(SVG_NS, "feGaussianBlur")
+  blur.setAttribute("stdDeviation", radius / 2)
+  filter.appendChild(blur)
+  return filter
+}
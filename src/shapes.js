@@ -0,0 +1,853 @@
+/**
+ * TikZ Node Shapes - Registry of node shapes with their outlines, anchors and borders
+ *
+ * A shape is described in node-local picture units (cm, y pointing up) around the
+ * node center, for a node whose bounding box has half width hw and half height hh:
+ *
+ *   fit(width, height, params)      outer size for content of the given size (default: unchanged)
+ *   outline(hw, hh, params)         { paths, details }: closed outline and extra stroked lines,
+ *                                   as lists of path commands ["M", x, y], ["L", x, y],
+ *                                   ["C", x1, y1, x2, y2, x, y] and ["Z"]
+ *   anchors(hw, hh, params)         shape-specific anchors, e.g. { "corner 1": Point }
+ *   border(hw, hh, params, dx, dy)  point where the ray from the center in direction (dx, dy)
+ *                                   leaves the shape (default: intersection with the outline)
+ *   primitive                       "rect", "circle" or "ellipse" when a plain SVG element draws it
+ *   parts, layoutParts              node parts (\nodepart{lower}) and how their texts are arranged
+ *
+ * The compass anchors (north, south west, ...) are found on the border unless a shape defines them.
+ * "shape border rotate" turns any shape; a quarter turn swaps the roles of width and height.
+ */
+
+import { Point } from "./coordinates.js"
+import { parseDistanceCm } from "./styles.js"
+
+// Pieces used to approximate curved outline pieces when intersecting the border
+const CURVE_SAMPLES = 16
+
+// Names of the parts of a rectangle split
+const PART_NAMES = ["one", "two", "three", "four", "five", "six", "seven", "eight", "nine", "ten"]
+
+const COMPASS_DIRECTIONS = {
+  north: [0, 1],
+  south: [0, -1],
+  east: [1, 0],
+  west: [-1, 0],
+  "north east": [1, 1],
+  "north west": [-1, 1],
+  "south east": [1, -1],
+  "south west": [-1, -1]
+}
+
+// Option keys that configure shapes: key -> [parameter, value parser]
+const toNumber = value => parseFloat(value)
+const toInteger = value => parseInt(value, 10)
+const toList = value => String(value || "").replace(/^\{|\}$/g, "").split(/\s+and\s+/).map(item => item.trim())
+const SHAPE_OPTIONS = {
+  "aspect": ["aspect", toNumber],
+  "shape aspect": ["aspect", toNumber],
+  "shape border rotate": ["borderRotate", toNumber],
+  "regular polygon sides": ["sides", toInteger],
+  "star points": ["points", toInteger],
+  "star point ratio": ["starRatio", toNumber],
+  "star point height": ["starHeight", parseDistanceCm],
+  "trapezium left angle": ["leftAngle", toNumber],
+  "trapezium right angle": ["rightAngle", toNumber],
+  "signal pointer angle": ["pointerAngle", toNumber],
+  "signal to": ["signalTo", toList],
+  "signal from": ["signalFrom", toList],
+  "single arrow tip angle": ["tipAngle", toNumber],
+  "single arrow head extend": ["headExtend", parseDistanceCm],
+  "single arrow head indent": ["headIndent", parseDistanceCm],
+  "cloud puffs": ["puffs", toInteger],
+  "cloud puff arc": ["puffArc", toNumber],
+  "rounded rectangle arc length": ["arcLength", toNumber],
+  "rectangle split parts": ["parts", toInteger]
+}
+
+// Allowed counts of corners and puffs: key -> [minimum, maximum]
+export const MAX_SHAPE_CORNERS = 1000
+const SHAPE_COUNT_RANGES = {
+  "regular polygon sides": [3, MAX_SHAPE_CORNERS],
+  "star points": [2, MAX_SHAPE_CORNERS],
+  "cloud puffs": [3, MAX_SHAPE_CORNERS]
+}
+
+const shapes = new Map()
+
+/**
+ * Add a shape to the registry (or replace one)
+ */
+export function registerShape(name, definition) {
+  shapes.set(name, definition)
+}
+
+export function hasShape(name) {
+  return shapes.has(name)
+}
+
+/**
+ * Look up a shape; unknown shapes are drawn as rectangles
+ */
+export function getShape(name) {
+  return shapes.get(name) || shapes.get("rectangle")
+}
+
+/**
+ * Read a shape option into params; returns false if the key is not a shape option
+ * Counts out of their range are clamped and reported to onError.
+ */
+export function parseShapeOption(params, key, value, onError = null) {
+  if (key === "trapezium angle") {
+    params.leftAngle = params.rightAngle = parseFloat(value)
+    return true
+  }
+  if (key === "rectangle split horizontal") {
+    params.horizontal = value !== "false"
+    return true
+  }
+  const option = SHAPE_OPTIONS[key]
+  if (!option || value === null || value === undefined) return false
+  let parsed = option[1](value)
+  if (typeof parsed === "number" && !Number.isFinite(parsed)) return true
+  const range = SHAPE_COUNT_RANGES[key]
+  if (range && (parsed < range[0] || parsed > range[1])) {
+    onError?.(`${key} must be between ${range[0]} and ${range[1]}, got ${parsed}`)
+    parsed = Math.min(Math.max(parsed, range[0]), range[1])
+  }
+  params[option[0]] = parsed
+  return true
+}
+
+// ---------------------------------------------------------------------------
+// Geometry helpers
+
+/**
+ * Cubic Bézier pieces of an elliptical arc between two angles (degrees), without the move to its start
+ */
+function ellipseArc(cx, cy, rx, ry, startAngle, endAngle) {
+  const commands = []
+  const pieces = Math.max(1, Math.ceil(Math.abs(endAngle - startAngle) / 90))
+  const step = ((endAngle - startAngle) / pieces) * Math.PI / 180
+  const k = (4 / 3) * Math.tan(step / 4)
+  let angle = startAngle * Math.PI / 180
+
+  for (let i = 0; i < pieces; i++) {
+    const next = angle + step
+    const [x0, y0] = [cx + rx * Math.cos(angle), cy + ry * Math.sin(angle)]
+    const [x3, y3] = [cx + rx * Math.cos(next), cy + ry * Math.sin(next)]
+    commands.push([
+      "C",
+      x0 - k * rx * Math.sin(angle), y0 + k * ry * Math.cos(angle),
+      x3 + k * rx * Math.sin(next), y3 - k * ry * Math.cos(next),
+      x3, y3
+    ])
+    angle = next
+  }
+  return commands
+}
+
+/**
+ * Closed path through a list of [x, y] corners
+ */
+function polygon(points) {
+  return [
+    ["M", ...points[0]],
+    ...points.slice(1).map(point => ["L", ...point]),
+    ["Z"]
+  ]
+}
+
+/**
+ * Corners of a regular polygon with circumradius r; the first corner is at startAngle
+ */
+function polygonCorners(count, r, startAngle) {
+  const corners = []
+  for (let i = 0; i < count; i++) {
+    const angle = (startAngle + 360 * i / count) * Math.PI / 180
+    corners.push([r * Math.cos(angle), r * Math.sin(angle)])
+  }
+  return corners
+}
+
+/**
+ * Flatten path commands into polylines (arrays of [x, y])
+ */
+function flattenCommands(commands) {
+  const polylines = []
+  let current = null
+  for (const command of commands) {
+    const [type, ...args] = command
+    if (type === "M") {
+      current = [args]
+      polylines.push(current)
+    } else if (type === "L") {
+      current.push(args)
+    } else if (type === "C") {
+      const [x0, y0] = current[current.length - 1]
+      for (let i = 1; i <= CURVE_SAMPLES; i++) {
+        const t = i / CURVE_SAMPLES
+        const u = 1 - t
+        current.push([
+          u * u * u * x0 + 3 * u * u * t * args[0] + 3 * u * t * t * args[2] + t * t * t * args[4],
+          u * u * u * y0 + 3 * u * u * t * args[1] + 3 * u * t * t * args[3] + t * t * t * args[5]
+        ])
+      }
+    } else if (type === "Z" && current) {
+      current.push(current[0])
+    }
+  }
+  return polylines
+}
+
+/**
+ * Farthest point where the ray from the origin in direction (dx, dy) crosses an outline
+ */
+function intersectOutline(paths, dx, dy) {
+  let best = 0
+  for (const polyline of flattenCommands(paths)) {
+    for (let i = 0; i + 1 < polyline.length; i++) {
+      const [x1, y1] = polyline[i]
+      const [x2, y2] = polyline[i + 1]
+      const ex = x2 - x1
+      const ey = y2 - y1
+      const denominator = dx * ey - dy * ex
+      if (Math.abs(denominator) < 1e-12) continue
+      const t = (x1 * ey - y1 * ex) / denominator // along the ray
+      const u = (x1 * dy - y1 * dx) / denominator // along the edge
+      if (t > 0 && u >= -1e-9 && u <= 1 + 1e-9) best = Math.max(best, t)
+    }
+  }
+  return new Point(dx * best, dy * best)
+}
+
+/**
+ * Rotate path commands by an angle in degrees
+ */
+function rotateCommands(commands, angle) {
+  if (!angle) return commands
+  const rad = angle * Math.PI / 180
+  const cos = Math.cos(rad)
+  const sin = Math.sin(rad)
+  return commands.map(([type, ...args]) => {
+    const rotated = []
+    for (let i = 0; i < args.length; i += 2) {
+      rotated.push(args[i] * cos - args[i + 1] * sin, args[i] * sin + args[i + 1] * cos)
+    }
+    return [type, ...rotated]
+  })
+}
+
+/**
+ * Half sizes of a shape in its own (unrotated) frame
+ */
+function localFrame(width, height, params) {
+  const rotation = params?.borderRotate || 0
+  const rad = rotation * Math.PI / 180
+  const quarter = Math.abs(Math.sin(rad)) > Math.abs(Math.cos(rad))
+  return {
+    rotation,
+    hw: (quarter ? height : width) / 2,
+    hh: (quarter ? width : height) / 2,
+    quarter
+  }
+}
+
+function outlineOf(definition, hw, hh, params) {
+  const outline = definition.outline(hw, hh, params)
+  return { paths: outline.paths || [], details: outline.details || [] }
+}
+
+// ---------------------------------------------------------------------------
+// Shape queries used by the parser and the renderer
+
+/**
+ * Outer size of a node of the given shape around content of the given size
+ */
+export function shapeContentSize(name, width, height, params = {}) {
+  const definition = getShape(name)
+  if (!definition.fit) return { width, height }
+  const { quarter } = localFrame(width, height, params)
+  const size = quarter ? definition.fit(height, width, params) : definition.fit(width, height, params)
+  return quarter ? { width: size.height, height: size.width } : size
+}
+
+/**
+ * Outline of a node relative to its center: { paths, details } (see the module comment)
+ */
+export function shapeOutline(name, width, height, params = {}) {
+  const definition = getShape(name)
+  const { rotation, hw, hh } = localFrame(width, height, params)
+  const { paths, details } = outlineOf(definition, hw, hh, params)
+  return { paths: rotateCommands(paths, rotation), details: rotateCommands(details, rotation) }
+}
+
+/**
+ * Point where the line from the center toward target leaves the node of the given shape
+ */
+export function shapeBorderPoint(name, center, width, height, params, target) {
+  const origin = new Point(center.x, center.y)
+  const dx = target.x - origin.x
+  const dy = target.y - origin.y
+  if (dx === 0 && dy === 0) return origin
+
+  const definition = getShape(name)
+  const { rotation, hw, hh } = localFrame(width, height, params)
+  const direction = new Point(dx, dy).rotate(-rotation)
+  const local = definition.border
+    ? definition.border(hw, hh, params || {}, direction.x, direction.y)
+    : intersectOutline(outlineOf(definition, hw, hh, params || {}).paths, direction.x, direction.y)
+  return origin.add(local.rotate(rotation))
+}
+
+/**
+ * Anchors of a node: the compass anchors plus the anchors its shape defines
+ */
+export function shapeAnchors(name, center, width, height, params = {}) {
+  const definition = getShape(name)
+  const { rotation, hw, hh } = localFrame(width, height, params)
+  const anchors = { center }
+
+  for (const [anchor, [x, y]] of Object.entries(COMPASS_DIRECTIONS)) {
+    // Compass anchors lie on the border towards the corresponding point of the bounding box
+    anchors[anchor] = shapeBorderPoint(name, center, width, height, params, new Point(center.x + x * width / 2, center.y + y * height / 2))
+  }
+
+  const own = definition.anchors ? definition.anchors(hw, hh, params) : {}
+  for (const [anchor, point] of Object.entries(own)) {
+    anchors[anchor] = center.add(point.rotate(rotation))
+  }
+  return anchors
+}
+
+/**
+ * Split node text into its parts: "A \nodepart{lower} B" -> { text: "A", lower: "B" }
+ */
+export function splitNodeParts(text) {
+  const parts = {}
+  const pieces = String(text || "").split(/\\nodepart\s*\{([^}]*)\}/)
+  parts.text = pieces[0].trim()
+  for (let i = 1; i < pieces.length; i += 2) {
+    parts[pieces[i].trim()] = (pieces[i + 1] || "").trim()
+  }
+  return parts
+}
+
+/**
+ * Names of the text parts of a node of the given shape, in layout order
+ */
+export function shapePartNames(name, params = {}) {
+  const definition = getShape(name)
+  return definition.parts ? definition.parts(params) : null
+}
+
+/**
+ * Arrange the parts of a split node
+ * sizes holds the content size of every part (text plus inner sep). Returns the outer
+ * { width, height }, the center of every part relative to the node center and the
+ * divider positions, which are passed on to the outline and anchors as params.splits.
+ */
+export function layoutShapeParts(name, sizes, params = {}) {
+  return getShape(name).layoutParts(sizes, params)
+}
+
+// ---------------------------------------------------------------------------
+// Built-in shapes
+
+registerShape("rectangle", {
+  primitive: "rect",
+  outline: (hw, hh) => ({ paths: polygon([[-hw, -hh], [hw, -hh], [hw, hh], [-hw, hh]]) }),
+  border(hw, hh, params, dx, dy) {
+    const length = Math.hypot(dx, dy)
+    const nx = dx / length
+    const ny = dy / length
+    let t = Infinity
+    if (nx !== 0) t = Math.min(t, hw / Math.abs(nx))
+    if (ny !== 0) t = Math.min(t, hh / Math.abs(ny))
+    return new Point(nx * t, ny * t)
+  }
+})
+
+registerShape("circle", {
+  primitive: "circle",
+  outline(hw, hh) {
+    const r = Math.max(hw, hh)
+    return { paths: [["M", r, 0], ...ellipseArc(0, 0, r, r, 0, 360), ["Z"]] }
+  },
+  border(hw, hh, params, dx, dy) {
+    const r = Math.max(hw, hh)
+    const length = Math.hypot(dx, dy)
+    return new Point(dx * r / length, dy * r / length)
+  },
+  anchors(hw, hh) {
+    const diagonal = Math.max(hw, hh) * Math.SQRT1_2
+    return {
+      north: new Point(0, hh),
+      south: new Point(0, -hh),
+      east: new Point(hw, 0),
+      west: new Point(-hw, 0),
+      "north east": new Point(diagonal, diagonal),
+      "north west": new Point(-diagonal, diagonal),
+      "south east": new Point(diagonal, -diagonal),
+      "south west": new Point(-diagonal, -diagonal)
+    }
+  }
+})
+
+registerShape("ellipse", {
+  primitive: "ellipse",
+  outline: (hw, hh) => ({ paths: [["M", hw, 0], ...ellipseArc(0, 0, hw, hh, 0, 360), ["Z"]] }),
+  border(hw, hh, params, dx, dy) {
+    const angle = Math.atan2(dy, dx)
+    return new Point(hw * Math.cos(angle), hh * Math.sin(angle))
+  }
+})
+
+registerShape("diamond", {
+  // The diamond touches the corners of the content box; aspect is its width/height ratio
+  fit(width, height, params) {
+    const aspect = params.aspect || 1
+    const halfHeight = width / 2 / aspect + height / 2
+    return { width: 2 * aspect * halfHeight, height: 2 * halfHeight }
+  },
+  outline: (hw, hh) => ({ paths: polygon([[hw, 0], [0, hh], [-hw, 0], [0, -hh]]) })
+})
+
+/**
+ * Circumradius and corner angles of a regular polygon; the bottom side is horizontal
+ */
+function regularPolygon(hw, hh, params) {
+  const sides = Math.max(3, params.sides || 5)
+  const r = Math.min(hw, hh)
+  const start = sides % 2 === 0 ? 90 + 180 / sides : 90
+  return { sides, corners: polygonCorners(sides, r, start) }
+}
+
+registerShape("regular polygon", {
+  // The content box fits in the inscribed circle
+  fit(width, height, params) {
+    const sides = Math.max(3, params.sides || 5)
+    const size = Math.hypot(width, height) / Math.cos(Math.PI / sides)
+    return { width: size, height: size }
+  },
+  outline: (hw, hh, params) => ({ paths: polygon(regularPolygon(hw, hh, params).corners) }),
+  anchors(hw, hh, params) {
+    const { sides, corners } = regularPolygon(hw, hh, params)
+    const anchors = {}
+    corners.forEach(([x, y], i) => {
+      const [nx, ny] = corners[(i + 1) % sides]
+      anchors[`corner ${i + 1}`] = new Point(x, y)
+      anchors[`side ${i + 1}`] = new Point((x + nx) / 2, (y + ny) / 2)
+    })
+    return anchors
+  }
+})
+
+/**
+ * Outer and inner points of a star, alternating, starting with the top outer point
+ */
+function starPoints(hw, hh, params) {
+  const points = Math.max(2, params.points || 5)
+  const outer = Math.min(hw, hh)
+  const inner = params.starHeight !== undefined
+    ? Math.max(0, outer - params.starHeight)
+    : outer / (params.starRatio || 1.5)
+  const result = []
+  for (let i = 0; i < 2 * points; i++) {
+    const r = i % 2 === 0 ? outer : inner
+    const angle = (90 + 180 * i / points) * Math.PI / 180
+    result.push([r * Math.cos(angle), r * Math.sin(angle)])
+  }
+  return result
+}
+
+registerShape("star", {
+  // The content box fits in the circle through the inner points
+  fit(width, height, params) {
+    const inner = Math.hypot(width, height) / 2
+    const outer = params.starHeight !== undefined ? inner + params.starHeight : inner * (params.starRatio || 1.5)
+    return { width: 2 * outer, height: 2 * outer }
+  },
+  outline: (hw, hh, params) => ({ paths: polygon(starPoints(hw, hh, params)) }),
+  anchors(hw, hh, params) {
+    const anchors = {}
+    starPoints(hw, hh, params).forEach(([x, y], i) => {
+      anchors[`${i % 2 === 0 ? "outer" : "inner"} point ${Math.floor(i / 2) + 1}`] = new Point(x, y)
+    })
+    return anchors
+  }
+})
+
+/**
+ * Horizontal offsets of the top corners of a trapezium from the bottom corners
+ */
+function trapeziumInsets(height, params) {
+  const inset = angle => height / Math.tan((angle ?? 60) * Math.PI / 180)
+  return { left: inset(params.leftAngle), right: inset(params.rightAngle) }
+}
+
+function trapeziumCorners(hw, hh, params) {
+  const { left, right } = trapeziumInsets(2 * hh, params)
+  // Angles above 90 degrees widen the top instead of the bottom
+  const bottomLeft = -hw + Math.max(0, -left)
+  const bottomRight = hw - Math.max(0, -right)
+  return {
+    "bottom left corner": new Point(bottomLeft, -hh),
+    "bottom right corner": new Point(bottomRight, -hh),
+    "top right corner": new Point(bottomRight - right, hh),
+    "top left corner": new Point(bottomLeft + left, hh)
+  }
+}
+
+registerShape("trapezium", {
+  fit(width, height, params) {
+    const { left, right } = trapeziumInsets(height, params)
+    return { width: width + Math.abs(left) + Math.abs(right), height }
+  },
+  outline(hw, hh, params) {
+    const corners = Object.values(trapeziumCorners(hw, hh, params))
+    return { paths: polygon(corners.map(point => [point.x, point.y])) }
+  },
+  anchors(hw, hh, params) {
+    const corners = trapeziumCorners(hw, hh, params)
+    const middle = (a, b) => a.add(b).scale(0.5)
+    return {
+      ...corners,
+      "bottom side": middle(corners["bottom left corner"], corners["bottom right corner"]),
+      "top side": middle(corners["top left corner"], corners["top right corner"]),
+      "left side": middle(corners["bottom left corner"], corners["top left corner"]),
+      "right side": middle(corners["bottom right corner"], corners["top right corner"])
+    }
+  }
+})
+
+/**
+ * Horizontal radius of the end caps of a cylinder lying along the x axis
+ */
+function cylinderCapRadius(hh, params) {
+  return hh * 0.5 * (params.aspect || 1)
+}
+
+registerShape("cylinder", {
+  // The cylinder lies along the x axis with its top to the east; use shape border rotate=90 to stand it up
+  fit(width, height, params) {
+    return { width: width + 2 * cylinderCapRadius(height / 2, params), height }
+  },
+  outline(hw, hh, params) {
+    const rx = Math.min(cylinderCapRadius(hh, params), hw)
+    const right = hw - rx
+    const left = -hw + rx
+    return {
+      paths: [
+        ["M", left, hh],
+        ["L", right, hh],
+        ...ellipseArc(right, 0, rx, hh, 90, -90),
+        ["L", left, -hh],
+        ...ellipseArc(left, 0, rx, hh, 270, 90),
+        ["Z"]
+      ],
+      // The visible rim of the top
+      details: [["M", right, hh], ...ellipseArc(right, 0, rx, hh, 90, 270)]
+    }
+  },
+  anchors(hw, hh, params) {
+    const rx = Math.min(cylinderCapRadius(hh, params), hw)
+    return {
+      "shape center": new Point(0, 0),
+      top: new Point(hw, 0),
+      bottom: new Point(-hw, 0),
+      "before top": new Point(hw - rx, hh),
+      "after top": new Point(hw - rx, -hh),
+      "before bottom": new Point(-hw + rx, -hh),
+      "after bottom": new Point(-hw + rx, hh)
+    }
+  }
+})
+
+/**
+ * Radius, center offset and bulge of the arcs closing a rounded rectangle
+ */
+function roundedRectangleArc(hh, params) {
+  const half = Math.min(179, Math.max(1, params.arcLength || 180)) / 2 * Math.PI / 180
+  const radius = hh / Math.sin(half)
+  return { radius, half, bulge: radius * (1 - Math.cos(half)) }
+}
+
+registerShape("rounded rectangle", {
+  fit(width, height, params) {
+    return { width: width + 2 * roundedRectangleArc(height / 2, params).bulge, height }
+  },
+  outline(hw, hh, params) {
+    const { radius, half, bulge } = roundedRectangleArc(hh, params)
+    const inner = Math.max(0, hw - bulge)
+    const offset = radius - bulge
+    const degrees = half * 180 / Math.PI
+    return {
+      paths: [
+        ["M", -inner, -hh],
+        ["L", inner, -hh],
+        ...ellipseArc(inner - offset, 0, radius, radius, -degrees, degrees),
+        ["L", -inner, hh],
+        ...ellipseArc(-inner + offset, 0, radius, radius, 180 - degrees, 180 + degrees),
+        ["Z"]
+      ]
+    }
+  }
+})
+
+/**
+ * How each side of a signal ends: "to" (pointing out), "from" (notched in) or flat
+ */
+function signalSides(params) {
+  const sides = {}
+  for (const side of params.signalFrom || []) sides[side] = "from"
+  for (const side of params.signalTo || ["east"]) sides[side] = "to"
+  return sides
+}
+
+registerShape("signal", {
+  fit(width, height, params) {
+    const sides = signalSides(params)
+    const tangent = Math.tan((params.pointerAngle || 90) * Math.PI / 360)
+    const horizontal = ["east", "west"].filter(side => sides[side]).length
+    const vertical = ["north", "south"].filter(side => sides[side]).length
+    return {
+      width: width + horizontal * height / 2 / tangent,
+      height: height + vertical * width / 2 / tangent
+    }
+  },
+  outline(hw, hh, params) {
+    const sides = signalSides(params)
+    const tangent = Math.tan((params.pointerAngle || 90) * Math.PI / 360)
+    const px = hh / tangent
+    const py = hw / tangent
+    const right = sides.east === "to" ? hw - px : hw
+    const left = sides.west === "to" ? -hw + px : -hw
+    const top = sides.north === "to" ? hh - py : hh
+    const bottom = sides.south === "to" ? -hh + py : -hh
+    const middleX = (left + right) / 2
+    const middleY = (top + bottom) / 2
+
+    const points = [[right, bottom]]
+    if (sides.east) points.push([sides.east === "to" ? hw : right - px, middleY])
+    points.push([right, top])
+    if (sides.north) points.push([middleX, sides.north === "to" ? hh : top - py])
+    points.push([left, top])
+    if (sides.west) points.push([sides.west === "to" ? -hw : left + px, middleY])
+    points.push([left, bottom])
+    if (sides.south) points.push([middleX, sides.south === "to" ? -hh : bottom + py])
+    return { paths: polygon(points) }
+  }
+})
+
+/**
+ * Key points of a single arrow pointing east
+ */
+function singleArrow(hw, hh, params) {
+  const extend = params.headExtend ?? 0.25
+  const shaft = Math.max(0, hh - extend)
+  const head = hh / Math.tan((params.tipAngle || 90) * Math.PI / 360)
+  const neck = Math.max(-hw, hw - head)
+  const indent = Math.min(params.headIndent || 0, hw - neck)
+  return { shaft, neck, indent }
+}
+
+registerShape("single arrow", {
+  // The arrow points east; shape border rotate turns it
+  fit(width, height, params) {
+    const extend = params.headExtend ?? 0.25
+    const outer = height / 2 + extend
+    const head = outer / Math.tan((params.tipAngle || 90) * Math.PI / 360)
+    return { width: width + head, height: 2 * outer }
+  },
+  outline(hw, hh, params) {
+    const { shaft, neck, indent } = singleArrow(hw, hh, params)
+    return {
+      paths: polygon([
+        [-hw, -shaft], [neck + indent, -shaft], [neck, -hh], [hw, 0],
+        [neck, hh], [neck + indent, shaft], [-hw, shaft]
+      ])
+    }
+  },
+  anchors(hw, hh, params) {
+    const { shaft, neck, indent } = singleArrow(hw, hh, params)
+    return {
+      tip: new Point(hw, 0),
+      tail: new Point(-hw, 0),
+      "before tip": new Point(neck, hh),
+      "after tip": new Point(neck, -hh),
+      "before head": new Point(neck + indent, shaft),
+      "after head": new Point(neck + indent, -shaft),
+      "before tail": new Point(-hw, -shaft),
+      "after tail": new Point(-hw, shaft)
+    }
+  }
+})
+
+/**
+ * Corners of the puffs of a cloud, on an ellipse inside the bounding box, and the puff bulge
+ */
+function cloudPuffs(hw, hh, params) {
+  const puffs = Math.max(3, params.puffs || 10)
+  const arc = Math.min(300, Math.max(10, params.puffArc || 135)) * Math.PI / 180
+  // Leave room for the bulge of the puffs: the sagitta of an arc over a chord c is c/2 * tan(arc/4)
+  const chordFactor = 2 * Math.sin(Math.PI / puffs)
+  const shrink = 1 / (1 + chordFactor / 2 * Math.tan(arc / 4))
+  const rx = hw * shrink
+  const ry = hh * shrink
+  const corners = []
+  for (let i = 0; i < puffs; i++) {
+    const angle = (90 + 360 * (i + 0.5) / puffs) * Math.PI / 180
+    corners.push([rx * Math.cos(angle), ry * Math.sin(angle)])
+  }
+  return { corners, arc }
+}
+
+registerShape("cloud", {
+  // The content box fits in the ellipse through the puff corners
+  fit(width, height, params) {
+    const { corners } = cloudPuffs(1, 1, params)
+    const shrink = Math.hypot(...corners[0])
+    return { width: width * Math.SQRT2 / shrink, height: height * Math.SQRT2 / shrink }
+  },
+  outline(hw, hh, params) {
+    const { corners, arc } = cloudPuffs(hw, hh, params)
+    const k = (4 / 3) * Math.tan(arc / 4)
+    const commands = [["M", ...corners[0]]]
+    corners.forEach(([x0, y0], i) => {
+      const [x3, y3] = corners[(i + 1) % corners.length]
+      // A circular arc over the chord, drawn as one Bézier piece bulging outwards
+      const cx = x3 - x0
+      const cy = y3 - y0
+      const tilt = arc / 2
+      const cos = Math.cos(tilt)
+      const sin = Math.sin(tilt)
+      const scale = k / (2 * Math.sin(tilt))
+      commands.push([
+        "C",
+        x0 + scale * (cx * cos + cy * sin), y0 + scale * (-cx * sin + cy * cos),
+        x3 - scale * (cx * cos - cy * sin), y3 - scale * (cx * sin + cy * cos),
+        x3, y3
+      ])
+    })
+    commands.push(["Z"])
+    return { paths: commands }
+  },
+  anchors(hw, hh, params) {
+    const anchors = {}
+    const { corners } = cloudPuffs(hw, hh, params)
+    corners.forEach(([x, y], i) => {
+      const [nx, ny] = corners[(i + 1) % corners.length]
+      const middle = new Point((x + nx) / 2, (y + ny) / 2)
+      anchors[`puff ${i + 1}`] = shapeBorderPoint("cloud", new Point(0, 0), 2 * hw, 2 * hh, params, middle)
+    })
+    return anchors
+  }
+})
+
+registerShape("semicircle", {
+  // The arc is on top and the chord at the bottom; the content sits in the middle of the bounding box
+  fit(width, height) {
+    const r = (height + Math.sqrt(4 * height * height + 3 * width * width)) / 3
+    return { width: 2 * r, height: r }
+  },
+  outline: (hw, hh) => ({
+    paths: [["M", hw, -hh], ...ellipseArc(0, -hh, hw, 2 * hh, 0, 180), ["Z"]]
+  }),
+  anchors: (hw, hh) => ({
+    apex: new Point(0, hh),
+    "arc start": new Point(hw, -hh),
+    "arc end": new Point(-hw, -hh),
+    "chord center": new Point(0, -hh)
+  })
+})
+
+registerShape("circle split", {
+  parts: () => ["text", "lower"],
+  // Each half of the circle holds one part, sitting on the dividing line
+  layoutParts([upper, lower]) {
+    const r = Math.max(
+      Math.hypot(upper.width / 2, upper.height),
+      Math.hypot(lower.width / 2, lower.height)
+    )
+    return {
+      width: 2 * r,
+      height: 2 * r,
+      centers: [new Point(0, upper.height / 2), new Point(0, -lower.height / 2)]
+    }
+  },
+  outline(hw, hh) {
+    const r = Math.max(hw, hh)
+    return {
+      paths: [["M", r, 0], ...ellipseArc(0, 0, r, r, 0, 360), ["Z"]],
+      details: [["M", -r, 0], ["L", r, 0]]
+    }
+  },
+  border(hw, hh, params, dx, dy) {
+    const r = Math.max(hw, hh)
+    const length = Math.hypot(dx, dy)
+    return new Point(dx * r / length, dy * r / length)
+  },
+  anchors(hw, hh) {
+    const r = Math.max(hw, hh)
+    return { upper: new Point(0, r / 2), lower: new Point(0, -r / 2) }
+  }
+})
+
+/**
+ * Divider positions of a rectangle split, from the top (or the left when horizontal)
+ * Falls back to equal parts when the layout is not known.
+ */
+function rectangleSplits(hw, hh, params) {
+  const count = Math.max(1, Math.min(PART_NAMES.length, params.parts || 4))
+  const extent = params.horizontal ? 2 * hw : 2 * hh
+  const splits = params.splits?.length === count - 1
+    ? params.splits
+    : Array.from({ length: count - 1 }, (_, i) => extent * (i + 1) / count)
+  return { count, splits, extent }
+}
+
+registerShape("rectangle split", {
+  primitive: "rect",
+  parts: params => PART_NAMES.slice(0, Math.max(1, Math.min(PART_NAMES.length, params.parts || 4))),
+  // Parts are stacked from top to bottom, or from left to right when horizontal
+  layoutParts(sizes, params) {
+    const across = Math.max(...sizes.map(size => params.horizontal ? size.height : size.width))
+    const along = sizes.reduce((sum, size) => sum + (params.horizontal ? size.width : size.height), 0)
+    const centers = []
+    const splits = []
+    let offset = 0
+    sizes.forEach((size, i) => {
+      const length = params.horizontal ? size.width : size.height
+      const middle = offset + length / 2 - along / 2
+      centers.push(params.horizontal ? new Point(middle, 0) : new Point(0, -middle))
+      offset += length
+      if (i < sizes.length - 1) splits.push(offset)
+    })
+    return params.horizontal
+      ? { width: along, height: across, centers, splits }
+      : { width: across, height: along, centers, splits }
+  },
+  outline(hw, hh, params) {
+    const { splits } = rectangleSplits(hw, hh, params)
+    const details = splits.flatMap(split => params.horizontal
+      ? [["M", -hw + split, -hh], ["L", -hw + split, hh]]
+      : [["M", -hw, hh - split], ["L", hw, hh - split]])
+    return { paths: polygon([[-hw, -hh], [hw, -hh], [hw, hh], [-hw, hh]]), details }
+  },
+  border: (hw, hh, params, dx, dy) => getShape("rectangle").border(hw, hh, params, dx, dy),
+  anchors(hw, hh, params) {
+    const { count, splits, extent } = rectangleSplits(hw, hh, params)
+    const bounds = [0, ...splits, extent]
+    const anchors = {}
+    for (let i = 0; i < count; i++) {
+      const middle = (bounds[i] + bounds[i + 1]) / 2
+      anchors[PART_NAMES[i]] = params.horizontal ? new Point(-hw + middle, 0) : new Point(0, hh - middle)
+      if (i < count - 1) {
+        anchors[`${PART_NAMES[i]} split`] = params.horizontal
+          ? new Point(-hw + bounds[i + 1], 0)
+          : new Point(0, hh - bounds[i + 1])
+      }
+    }
+    return anchors
+  }
+})
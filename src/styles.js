@@ -2,6 +2,12 @@
  * TikZ Style System - Handles colors, line styles, and other visual properties
  */
 
+import { evaluateMath, evaluateMathDimension, PgfMathError, UNIT_IN_PT } from "./pgfmath.js"
+import { splitKeyList, stripOuterBraces } from "./keys.js"
+import { parseArrowOption, parseDefaultTips } from "./arrows.js"
+import { parsePattern } from "./patterns.js"
+import { parseFading, parseShadows } from "./shadows.js"
+
 // TikZ named colors
 export const COLORS = {
   // Basic colors
@@ -107,6 +113,13 @@ export function parseColor(value) {
   return value
 }
 
+/**
+ * Mix two colors given by name or value, ratio being the share of the first color
+ */
+export function blendColors(color1, color2, ratio) {
+  return mixColors(parseColor(color1) || "#000000", parseColor(color2) || "#ffffff", ratio)
+}
+
 /**
  * Mix two colors
  */
@@ -122,6 +135,11 @@ function mixColors(color1, color2, ratio) {
 }
 
 function hexToRgb(hex) {
+  const rgb = /^rgb\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*\)$/.exec(hex)
+  if (rgb) {
+    return { r: parseInt(rgb[1]), g: parseInt(rgb[2]), b: parseInt(rgb[3]) }
+  }
+
   const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex)
   return result ? {
     r: parseInt(result[1], 16),
@@ -146,7 +164,7 @@ export function parseLineWidth(value, scale = 1) {
   }
 
   // Parse numeric value with optional unit
-  const numMatch = trimmed.match(/^(-?\d+\.?\d*)(pt|px|mm|cm|em)?$/)
+  const numMatch = trimmed.match(/^(-?(?:\d+\.?\d*|\.\d+))(pt|px|mm|cm|em)?$/)
   if (numMatch) {
     let num = parseFloat(numMatch[1])
     const unit = numMatch[2] || "pt"
@@ -188,32 +206,29 @@ export function parseDistanceCm(value) {
   }
 
   const trimmed = value.trim().toLowerCase()
-  const numMatch = trimmed.match(/^(-?\d+\.?\d*)(pt|px|mm|cm|em)?$/)
+  const numMatch = trimmed.match(/^([+-]?(?:\d+\.?\d*|\.\d+))\s*([a-z]{2})?$/)
   if (numMatch) {
-    let num = parseFloat(numMatch[1])
+    const num = parseFloat(numMatch[1])
     const unit = numMatch[2] || "cm"
 
     // Convert to centimeters
-    switch (unit) {
-      case "pt":
-        num *= 0.0353 // 1pt = 0.0353cm
-        break
-      case "mm":
-        num *= 0.1 // 1mm = 0.1cm
-        break
-      case "px":
-        num *= 0.0265 // approximate: 1px ≈ 0.0265cm at 96dpi
-        break
-      case "em":
-        num *= 0.423 // approximate
-        break
-      // cm is default, no conversion
+    if (unit === "px") {
+      return num * 0.0265 // approximate: 1px ≈ 0.0265cm at 96dpi
     }
-
-    return num
+    if (UNIT_IN_PT[unit]) {
+      return num * UNIT_IN_PT[unit] / UNIT_IN_PT.cm
+    }
+    return 0
   }
 
-  return 0
+  // Expressions such as "2*3pt" or "{sqrt(2)}"; plain numbers are centimeters
+  try {
+    const { value: result, hasUnits } = evaluateMathDimension(trimmed.replace(/^\{([\s\S]*)\}$/, "$1"))
+    if (!Number.isFinite(result)) return 0
+    return hasUnits ? result / UNIT_IN_PT.cm : result
+  } catch {
+    return 0
+  }
 }
 
 /**
@@ -242,6 +257,22 @@ export function parseDashPattern(value, scale = 1) {
   return null
 }
 
+// Option keys that transform coordinates rather than style the path
+export const TRANSFORM_OPTIONS = new Set([
+  "shift",
+  "xshift",
+  "yshift",
+  "rotate",
+  "scale",
+  "xscale",
+  "yscale",
+  "rotate around",
+  "xslant",
+  "yslant",
+  "cm",
+  "reset cm"
+])
+
 /**
  * Style class to hold all visual properties
  */
@@ -257,11 +288,28 @@ export class Style {
     this.lineCap = "butt"      // butt, round, square
     this.lineJoin = "miter"    // miter, round, bevel
     this.roundedCorners = 0
-    this.arrowStart = null
+    this.arrowStart = null     // Tips at the start of the path: [{ name: "Stealth", options: ["open"] }] (see arrows.js)
     this.arrowEnd = null
+    this.arrowDefault = null   // Tips that > and < stand for (>=Latex)
+    this.shortenStart = 0      // shorten <, in cm
+    this.shortenEnd = 0        // shorten >, in cm
+    this.double = null         // Core color of a double line
+    this.doubleDistance = 0.6  // Distance between the two lines of a double line, in pt
+    this.preactions = []       // Option lists of the passes drawn before the path
+    this.postactions = []      // ... and after it
     this.transformations = []
+    this.canvasTransformations = [] // transform canvas: applied to the finished drawing
     this.decorate = false
-    this.decoration = null     // { type: "snake", amplitude: 0.5, segment: 5 }
+    this.decoration = null     // { type: "zigzag", amplitude, segmentLength, marks, ... } (see parseDecoration)
+    this.clip = false          // Path clips everything drawn after it in its scope
+    this.shading = null        // { type: "axis", angle: 0, top, bottom, middle, inner, outer, ball }
+    this.pattern = null        // { type: "Lines", angle, distance, lineWidth, radius } (see patterns.js)
+    this.patternColor = null
+    this.shadows = []          // Shadows drawn under the path, farthest first (see shadows.js)
+    this.fading = null         // path fading: "east", "circle with fuzzy edge 10 percent", ...
+    this.scopeFading = null    // scope fading, applied by the scope it is given to
+    this.fadingAngle = 0
+    this.fitFading = true
   }
 
   clone() {
@@ -269,11 +317,151 @@ export class Style {
     Object.assign(style, this)
     style.dashPattern = this.dashPattern ? [...this.dashPattern] : null
     style.transformations = [...this.transformations]
-    style.decoration = this.decoration ? { ...this.decoration } : null
+    style.canvasTransformations = [...this.canvasTransformations]
+    style.decoration = this.decoration ? { ...this.decoration, marks: [...this.decoration.marks] } : null
+    style.shading = this.shading ? { ...this.shading } : null
+    style.pattern = this.pattern ? { ...this.pattern } : null
+    style.preactions = [...this.preactions]
+    style.postactions = [...this.postactions]
+    style.shadows = [...this.shadows]
     return style
   }
 }
 
+/**
+ * Remove the braces and parentheses around a coordinate option value: {(1,2)} -> 1,2
+ */
+function stripCoordinateParens(value) {
+  const trimmed = stripOuterBraces(value)
+  return trimmed.startsWith("(") && trimmed.endsWith(")") ? trimmed.slice(1, -1).trim() : trimmed
+}
+
+// Decorations drawn by the renderer (see decorations.js)
+const DECORATIONS = new Set([
+  "snake", "zigzag", "coil", "saw", "bumps", "random steps", "border", "ticks",
+  "expanding waves", "brace", "text along path", "markings"
+])
+
+/**
+ * Position of a mark: a plain number is a fraction of the path length, a
+ * dimension a distance from the start (or from the end when negative)
+ */
+function parseMarkPosition(text) {
+  const trimmed = stripOuterBraces(text.trim())
+  return /^[+-]?(\d+\.?\d*|\.\d+)$/.test(trimmed)
+    ? { fraction: parseFloat(trimmed) }
+    : { distance: parseDistanceCm(trimmed) }
+}
+
+/**
+ * Parse a marking: "at position 0.5 with {code}" or
+ * "between positions 0 and 1 step 0.25 with {code}"
+ */
+function parseMark(value) {
+  const at = value.match(/^at\s+position\s+(.+?)\s+with\s*([\s\S]+)$/)
+  if (at) {
+    return { at: parseMarkPosition(at[1]), code: stripOuterBraces(at[2].trim()) }
+  }
+  const between = value.match(/^between\s+positions\s+(.+?)\s+and\s+(.+?)\s+step\s+(.+?)\s+with\s*([\s\S]+)$/)
+  if (between) {
+    return {
+      start: parseMarkPosition(between[1]),
+      end: parseMarkPosition(between[2]),
+      step: parseMarkPosition(between[3]),
+      code: stripOuterBraces(between[4].trim())
+    }
+  }
+  return null
+}
+
+/**
+ * Parse decoration={zigzag, amplitude=1mm, segment length=4mm}
+ * Settings add up over several decoration options as in TikZ, starting from the
+ * TikZ defaults (amplitude 2.5pt, segment length 10pt).
+ */
+function parseDecoration(value, base = null) {
+  const decoration = base
+    ? { ...base, marks: [...base.marks] }
+    : {
+        type: "snake",
+        amplitude: parseDistanceCm("2.5pt"),
+        segmentLength: parseDistanceCm("10pt"),
+        angle: 45,
+        aspect: 0.5,
+        raise: 0,
+        mirror: false,
+        preLength: 0,
+        postLength: 0,
+        seed: 1,
+        text: "",
+        textAlign: "left",
+        marks: []
+      }
+
+  for (const part of splitKeyList(stripOuterBraces(value))) {
+    const eqIndex = part.indexOf("=")
+    const key = (eqIndex === -1 ? part : part.slice(0, eqIndex)).trim().replace(/\s+/g, " ")
+    const val = eqIndex === -1 ? null : stripOuterBraces(part.slice(eqIndex + 1).trim())
+
+    if (val === null && DECORATIONS.has(key)) {
+      decoration.type = key
+      continue
+    }
+
+    switch (key) {
+      case "name":
+        if (DECORATIONS.has(val)) decoration.type = val
+        break
+      case "amplitude":
+        decoration.amplitude = parseDistanceCm(val)
+        break
+      case "segment length":
+        decoration.segmentLength = parseDistanceCm(val)
+        break
+      case "angle":
+        decoration.angle = parseFloat(val) || 0
+        break
+      case "aspect":
+        decoration.aspect = parseFloat(val) || 0
+        break
+      case "raise":
+        decoration.raise = parseDistanceCm(val)
+        break
+      case "mirror":
+        decoration.mirror = val !== "false"
+        break
+      case "pre length":
+        decoration.preLength = parseDistanceCm(val)
+        break
+      case "post length":
+        decoration.postLength = parseDistanceCm(val)
+        break
+      case "seed":
+        decoration.seed = parseInt(val) || 1
+        break
+      case "text":
+        decoration.text = val || ""
+        break
+      case "text align": {
+        // text align=center or text align={align=center}
+        const align = (val || "").match(/left|center|right/)
+        if (align) decoration.textAlign = align[0]
+        break
+      }
+      case "mark": {
+        const mark = parseMark(val || "")
+        if (mark) decoration.marks.push(mark)
+        break
+      }
+      case "reset marks":
+        decoration.marks = []
+        break
+    }
+  }
+
+  return decoration
+}
+
 /**
  * Parse options array into a Style object
  */
@@ -281,6 +469,14 @@ export function parseOptions(options, baseStyle = null, scale = 1) {
   const style = baseStyle ? baseStyle.clone() : new Style()
 
   for (const opt of options) {
+    // Arrow specifications (->, <<-|, -{Stealth[length=3mm]}) may contain = in brackets
+    const arrows = parseArrowOption(opt.trim())
+    if (arrows) {
+      style.arrowStart = arrows.start
+      style.arrowEnd = arrows.end
+      continue
+    }
+
     const [key, value] = parseOption(opt)
 
     switch (key) {
@@ -298,6 +494,50 @@ export function parseOptions(options, baseStyle = null, scale = 1) {
       case "fill":
         style.fill = parseColor(value) || "currentColor"
         break
+      case "clip":
+        style.clip = value !== "false"
+        break
+
+      // Shadings
+      case "shade":
+        style.shading = style.shading || { type: "axis", angle: 0 }
+        break
+      case "shading":
+        style.shading = { angle: 0, ...style.shading, type: value || "axis" }
+        break
+      case "shading angle":
+        style.shading = { type: "axis", ...style.shading, angle: parseFloat(value) || 0 }
+        break
+      case "top color":
+      case "bottom color":
+      case "middle color":
+        style.shading = { ...style.shading, type: "axis", angle: 0, [key.split(" ")[0]]: parseColor(value) }
+        break
+      case "left color":
+      case "right color":
+        // Left and right are the top and bottom of an axis shading turned by 90 degrees
+        style.shading = {
+          ...style.shading,
+          type: "axis",
+          angle: 90,
+          [key === "left color" ? "top" : "bottom"]: parseColor(value)
+        }
+        break
+      case "inner color":
+      case "outer color":
+        style.shading = { ...style.shading, type: "radial", [key.split(" ")[0]]: parseColor(value) }
+        break
+      case "ball color":
+        style.shading = { ...style.shading, type: "ball", ball: parseColor(value) }
+        break
+
+      // Patterns
+      case "pattern":
+        style.pattern = parsePattern(value) || style.pattern
+        break
+      case "pattern color":
+        style.patternColor = parseColor(value) || style.patternColor
+        break
 
       // Line width
       case "line width":
@@ -383,55 +623,80 @@ export function parseOptions(options, baseStyle = null, scale = 1) {
         break
 
       // Arrows
-      case "->":
-      case "-stealth":
-      case "-latex":
-      case "-to":
-        style.arrowEnd = key.slice(1)
-        break
-      case "-Latex":  // Capital L - TikZ arrows.meta library
-      case "-Stealth":
-        style.arrowEnd = key.slice(1).toLowerCase()
-        break
-      case "<-":
-      case "stealth-":
-      case "latex-":
-      case "to-":
-        style.arrowStart = key.slice(0, -1)
-        break
-      case "Latex-":  // Capital L - TikZ arrows.meta library
-      case "Stealth-":
-        style.arrowStart = key.slice(0, -1).toLowerCase()
-        break
-      case "<->":
-      case "stealth-stealth":
-      case "latex-latex":
-      case "Latex-Latex":
-      case "Stealth-Stealth":
-        style.arrowStart = "<"
-        style.arrowEnd = ">"
-        break
-      case "|->":
-        style.arrowStart = "|"
-        style.arrowEnd = ">"
-        break
-      case "<-|":
-        style.arrowStart = ">"
-        style.arrowEnd = "|"
+      case ">":
+        style.arrowDefault = parseDefaultTips(value) || style.arrowDefault
+        break
+      case "arrows": {
+        const arrows = parseArrowOption(stripOuterBraces(value || ""))
+        if (arrows) {
+          style.arrowStart = arrows.start
+          style.arrowEnd = arrows.end
+        }
         break
+      }
       case "arrow":
-        style.arrowEnd = ">"
+        style.arrowEnd = [{ name: ">", options: [] }]
+        break
+      case "shorten <":
+      case "shorten<":
+        style.shortenStart = parseDistanceCm(value)
+        break
+      case "shorten >":
+      case "shorten>":
+        style.shortenEnd = parseDistanceCm(value)
+        break
+
+      // Double lines
+      case "double":
+        style.double = value ? parseColor(value) || style.double || "#ffffff" : style.double || "#ffffff"
+        break
+      case "double distance":
+        // Implies double, as in TikZ
+        style.doubleDistance = parseDistanceCm(value) * UNIT_IN_PT.cm
+        style.double = style.double || "#ffffff"
+        break
+      case "double distance between line centers":
+        style.doubleDistance = Math.max(0, parseDistanceCm(value) * UNIT_IN_PT.cm - style.lineWidth)
+        style.double = style.double || "#ffffff"
+        break
+
+      // Further passes over the path: preaction={draw, white, line width=3pt}
+      case "preaction":
+      case "postaction":
+        if (value) {
+          style[`${key}s`].push(splitKeyList(stripOuterBraces(value)))
+        }
+        break
+
+      // Shadows: drop shadow, general shadow={shadow xshift=1ex, opacity=.3, fill=red}
+      case "general shadow":
+      case "drop shadow":
+      case "circular drop shadow":
+      case "copy shadow":
+      case "double copy shadow":
+      case "blur shadow":
+        style.shadows.push(...parseShadows(key, value))
+        break
+
+      // Fadings
+      case "path fading":
+        style.fading = value === "none" ? null : parseFading(value) || style.fading
+        break
+      case "scope fading":
+        style.scopeFading = value === "none" ? null : parseFading(value) || style.scopeFading
+        break
+      case "fading angle":
+        style.fadingAngle = parseFloat(stripOuterBraces(value || "")) || 0
+        break
+      case "fit fading":
+        style.fitFading = value !== "false"
         break
 
       // Transformations
       case "shift":
-        const shiftMatch = value.match(/\{?\s*\(?\s*(-?\d+\.?\d*)\s*,\s*(-?\d+\.?\d*)\s*\)?\s*\}?/)
-        if (shiftMatch) {
-          style.transformations.push({
-            type: "shift",
-            x: parseFloat(shiftMatch[1]),
-            y: parseFloat(shiftMatch[2])
-          })
+        // The coordinate may name a node or use calc; it is resolved when the transformation is applied
+        if (value) {
+          style.transformations.push({ type: "shift", coordinate: stripCoordinateParens(value) })
         }
         break
       case "xshift":
@@ -441,16 +706,45 @@ export function parseOptions(options, baseStyle = null, scale = 1) {
         style.transformations.push({ type: "yshift", value: parseDistanceCm(value) })
         break
       case "rotate":
-        style.transformations.push({ type: "rotate", angle: parseFloat(value) })
+        pushTransformation(style, () => ({ type: "rotate", angle: transformNumber(value) }))
         break
       case "scale":
-        style.transformations.push({ type: "scale", factor: parseFloat(value) })
-        break
       case "xscale":
-        style.transformations.push({ type: "xscale", factor: parseFloat(value) })
-        break
       case "yscale":
-        style.transformations.push({ type: "yscale", factor: parseFloat(value) })
+        pushTransformation(style, () => ({ type: key, factor: transformNumber(value) }))
+        break
+      case "rotate around":
+        // rotate around={angle:(point)}
+        pushTransformation(style, () => {
+          const text = stripOuterBraces(value || "")
+          const match = text.match(/^([\s\S]+?):\s*\(([\s\S]*)\)$/)
+          if (!match) throw new PgfMathError("Expected {angle:(point)} for rotate around", 0, text)
+          return { type: "rotate around", angle: transformNumber(match[1]), coordinate: match[2].trim() }
+        })
+        break
+      case "xslant":
+      case "yslant":
+        pushTransformation(style, () => ({ type: key, factor: transformNumber(value) }))
+        break
+      case "cm":
+        // cm={a,b,c,d,(tx,ty)} maps (x,y) to (a x + c y + tx, b x + d y + ty)
+        pushTransformation(style, () => {
+          const text = stripOuterBraces(value || "")
+          const match = text.match(/^([\s\S]*?),\s*\(([\s\S]*)\)$/)
+          const entries = match ? splitKeyList(match[1]) : []
+          if (entries.length !== 4) throw new PgfMathError("Expected {a,b,c,d,(point)} for cm", 0, text)
+          const [a, b, c, d] = entries.map(transformNumber)
+          return { type: "cm", a, b, c, d, coordinate: match[2].trim() }
+        })
+        break
+      case "reset cm":
+        style.transformations.push({ type: "reset" })
+        break
+      case "transform canvas":
+        if (value) {
+          const canvas = parseOptions(splitKeyList(stripOuterBraces(value)))
+          style.canvasTransformations.push(...canvas.transformations)
+        }
         break
 
       // Decorations
@@ -458,38 +752,8 @@ export function parseOptions(options, baseStyle = null, scale = 1) {
         style.decorate = true
         break
       case "decoration":
-        // Parse decoration={snake, amplitude=0.5mm, segment length=5mm}
         if (value) {
-          const decoration = { type: "snake", amplitude: 0.5, segmentLength: 5 }
-          // Remove braces if present
-          const cleanValue = value.replace(/^\{|\}$/g, "")
-          const parts = cleanValue.split(",").map(p => p.trim())
-          for (const part of parts) {
-            if (part === "snake" || part === "zigzag" || part === "coil" || part === "brace") {
-              decoration.type = part
-            } else if (part.startsWith("amplitude")) {
-              const match = part.match(/amplitude\s*=\s*(-?\d+\.?\d*)(mm|cm|pt)?/)
-              if (match) {
-                let amp = parseFloat(match[1])
-                const unit = match[2] || "mm"
-                if (unit === "mm") amp *= 0.1
-                else if (unit === "cm") amp *= 1
-                else if (unit === "pt") amp *= 0.0353
-                decoration.amplitude = amp
-              }
-            } else if (part.startsWith("segment length")) {
-              const match = part.match(/segment\s+length\s*=\s*(\d+\.?\d*)(mm|cm|pt)?/)
-              if (match) {
-                let len = parseFloat(match[1])
-                const unit = match[2] || "mm"
-                if (unit === "mm") len *= 0.1
-                else if (unit === "cm") len *= 1
-                else if (unit === "pt") len *= 0.0353
-                decoration.segmentLength = len
-              }
-            }
-          }
-          style.decoration = decoration
+          style.decoration = parseDecoration(value, style.decoration)
         }
         break
 
@@ -506,6 +770,32 @@ export function parseOptions(options, baseStyle = null, scale = 1) {
   return style
 }
 
+/**
+ * Evaluate a number of a transformation (an angle, a factor, a matrix entry) with pgfmath
+ */
+function transformNumber(text) {
+  const expression = stripOuterBraces(text || "")
+  const value = evaluateMath(expression)
+  if (!Number.isFinite(value)) {
+    throw new PgfMathError("Transformation is not a finite number", 0, expression)
+  }
+  return value
+}
+
+/**
+ * Add the transformation made by build to a style
+ * When one of its values cannot be evaluated, an invalid transformation holding
+ * the error takes its place; the coordinate system reports it and leaves it out.
+ */
+function pushTransformation(style, build) {
+  try {
+    style.transformations.push(build())
+  } catch (error) {
+    if (!(error instanceof PgfMathError)) throw error
+    style.transformations.push({ type: "invalid", error })
+  }
+}
+
 /**
  * Parse a single option string into key-value pair
  */
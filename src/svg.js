@@ -0,0 +1,8 @@
+/**
+ * SVG Namespace - Shared by the renderer and the modules that create SVG elements for it
+ *
+ * Arrow tips, patterns, shadows and fadings are loaded with the style parser, before
+ * the renderer, so they take the namespace from here rather than from renderer.js.
+ */
+
+export const SVG_NS = "http://www.w3.org/2000/svg"
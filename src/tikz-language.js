@@ -20,10 +20,18 @@ const tikzCompletionOptions = [
   { label: "\\coordinate", type: "keyword", detail: "node" },
   { label: "\\foreach", type: "keyword", detail: "loop" },
   { label: "\\matrix", type: "keyword", detail: "matrix" },
+  { label: "\\graph", type: "keyword", detail: "graph" },
   { label: "\\pgfmathsetmacro", type: "keyword", detail: "macro" },
+  { label: "\\pgfmathtruncatemacro", type: "keyword", detail: "macro" },
+  { label: "\\pgfmathparse", type: "keyword", detail: "macro" },
+  { label: "\\pgfmathresult", type: "keyword", detail: "macro" },
+  { label: "\\newcommand", type: "keyword", detail: "macro" },
+  { label: "\\def", type: "keyword", detail: "macro" },
   { label: "\\tikzset", type: "keyword", detail: "styles" },
+  { label: "\\tikzstyle", type: "keyword", detail: "styles" },
   { label: "cycle", type: "keyword" },
   { label: "to", type: "keyword" },
+  { label: "edge", type: "keyword" },
   { label: "controls", type: "keyword" },
   { label: "and", type: "keyword" },
   { label: "at", type: "keyword" },
@@ -33,7 +41,8 @@ const tikzCompletionOptions = [
   { label: "arc", type: "keyword" },
   { label: "circle", type: "keyword" },
   { label: "ellipse", type: "keyword" },
-  { label: "rectangle", type: "keyword" }
+  { label: "rectangle", type: "keyword" },
+  { label: "child", type: "keyword", detail: "tree" }
 ]
 
 const tikzCompletionSource = (context) => {
@@ -74,7 +83,7 @@ const tikzLanguage = StreamLanguage.define({
       return "atom"
     }
 
-    if (stream.match(/--|<->|->|<-|\.\./)) return "operator"
+    if (stream.match(/--|-\||\|-|<->|->|<-|\.\./)) return "operator"
     if (stream.match(/[+-]?\d+(\.\d+)?/)) return "number"
     if (stream.match(/[;,=]/)) return "punctuation"
     if (stream.match(/[\[\]{}]/)) return "bracket"
@@ -0,0 +1,146 @@
+/**
+ * TikZ to path library - Curves of the to and edge operations
+ *
+ *   to[out=45, in=135]      leave at 45°, arrive coming from 135°
+ *   to[bend left=30]        leave 30° left of the straight line, arrive symmetrically
+ *   to[looseness=2]         control points twice as far out
+ *   edge[loop above] ()     a loop from a node back to itself
+ *
+ * As in TikZ, the control points lie 0.3915 times the distance between the end
+ * points (times the looseness) away from them, bounded by min and max distance.
+ */
+
+import { Point } from "./coordinates.js"
+import { parseDistanceCm } from "./styles.js"
+import { stripOuterBraces } from "./keys.js"
+
+const CONTROL_FACTOR = 0.3915
+
+// Default bend angle of bend left and bend right
+const DEFAULT_BEND = 30
+
+// out and in angles of the loop styles
+const LOOP_ANGLES = {
+  "loop above": [105, 75],
+  "loop below": [-75, -105],
+  "loop left": [165, 195],
+  "loop right": [15, -15]
+}
+
+/**
+ * Read the curve settings of a to or edge operation from its options
+ */
+export function readToPathOptions(options, parseOptionKeyValue) {
+  const settings = {
+    out: null,
+    in: null,
+    bend: null, // Angle to the left of the straight line; negative for bend right
+    outLooseness: 1,
+    inLooseness: 1,
+    outDistance: null,
+    inDistance: null,
+    minDistance: null,
+    maxDistance: null,
+    loop: false
+  }
+  const distance = (value) => parseDistanceCm(stripOuterBraces(value || ""))
+
+  for (const opt of options) {
+    const [key, value] = parseOptionKeyValue(opt)
+
+    if (key === "loop" || LOOP_ANGLES[key]) {
+      // loop/.style={min distance=5mm, looseness=8}
+      settings.loop = true
+      settings.minDistance = 0.5
+      settings.outLooseness = settings.inLooseness = 8
+      const [outAngle, inAngle] = LOOP_ANGLES[key] || LOOP_ANGLES["loop above"]
+      settings.out = outAngle
+      settings.in = inAngle
+      continue
+    }
+
+    switch (key) {
+      case "out":
+        settings.out = parseFloat(value)
+        break
+      case "in":
+        settings.in = parseFloat(value)
+        break
+      case "bend left":
+      case "bend right": {
+        const angle = value ? parseFloat(stripOuterBraces(value)) : DEFAULT_BEND
+        const bend = Number.isFinite(angle) ? angle : DEFAULT_BEND
+        settings.bend = key === "bend left" ? bend : -bend
+        break
+      }
+      case "looseness":
+        settings.outLooseness = settings.inLooseness = parseFloat(value)
+        break
+      case "out looseness":
+        settings.outLooseness = parseFloat(value)
+        break
+      case "in looseness":
+        settings.inLooseness = parseFloat(value)
+        break
+      case "distance":
+        settings.outDistance = settings.inDistance = distance(value)
+        break
+      case "out distance":
+        settings.outDistance = distance(value)
+        break
+      case "in distance":
+        settings.inDistance = distance(value)
+        break
+      case "min distance":
+        settings.minDistance = distance(value)
+        break
+      case "max distance":
+        settings.maxDistance = distance(value)
+        break
+    }
+  }
+
+  return settings
+}
+
+/**
+ * Whether the settings call for a curve instead of a straight line
+ */
+export function isCurvedToPath(settings) {
+  return settings.loop || settings.bend !== null || settings.out !== null || settings.in !== null
+}
+
+/**
+ * Curve of a to path from start to end
+ * clipStart and clipEnd map the out and in angles to the points where the curve
+ * leaves and enters (the borders of nodes); without them the curve runs from start to end.
+ * Returns { from, control1, control2, to }.
+ */
+export function toPathCurve(start, end, settings, clipStart = () => start, clipEnd = () => end) {
+  const chord = start.x === end.x && start.y === end.y
+    ? 0
+    : Math.atan2(end.y - start.y, end.x - start.x) * 180 / Math.PI
+
+  let outAngle = settings.out ?? chord
+  let inAngle = settings.in ?? chord + 180
+  if (settings.bend !== null) {
+    outAngle = chord + settings.bend
+    inAngle = chord + 180 - settings.bend
+  }
+
+  const from = clipStart(outAngle)
+  const to = clipEnd(inAngle)
+  const length = Math.hypot(to.x - from.x, to.y - from.y)
+  const controlDistance = (looseness, explicit) => {
+    if (explicit !== null) return explicit
+    const natural = CONTROL_FACTOR * length * (Number.isFinite(looseness) ? looseness : 1)
+    return Math.min(Math.max(natural, settings.minDistance ?? 0), settings.maxDistance ?? Infinity)
+  }
+
+  return {
+    from,
+    control1: from.add(new Point(controlDistance(settings.outLooseness, settings.outDistance), 0).rotate(outAngle)),
+    control2: to.add(new Point(controlDistance(settings.inLooseness, settings.inDistance), 0).rotate(inAngle)),
+    to
+  }
+}
@@ -0,0 +1,102 @@
+/**
+ * TikZ Trees - Placement of the children added by child operations
+ *
+ * A node followed by child operations is the root of a tree. Child number i of n is
+ * placed "level distance" away from its parent in the growth direction and
+ * (i - (n+1)/2) times "sibling distance" across it, so that siblings are centered
+ * on their parent:
+ *   \node {root} child { node {a} } child { node {b} child { node {c} } };
+ * Children of a node named "root" are named root-1, root-2, root-2-1, ...
+ */
+
+import { Point } from "./coordinates.js"
+import { parseDistanceCm } from "./styles.js"
+import { splitKeyList, stripOuterBraces } from "./keys.js"
+
+// TikZ defaults: level distance=15mm, sibling distance=15mm, grow=down
+const DEFAULT_LEVEL_DISTANCE = 1.5
+const DEFAULT_SIBLING_DISTANCE = 1.5
+
+// Keys that only affect the layout of a tree
+export const TREE_OPTIONS = new Set(["level distance", "sibling distance", "grow", "grow'", "missing"])
+
+const GROW_DIRECTIONS = {
+  down: -90,
+  up: 90,
+  left: 180,
+  right: 0,
+  south: -90,
+  north: 90,
+  west: 180,
+  east: 0,
+  "north east": 45,
+  "north west": 135,
+  "south east": -45,
+  "south west": -135
+}
+
+/**
+ * Growth angle in degrees of a "grow" value: a direction name or an angle
+ */
+export function parseGrowDirection(value) {
+  const direction = stripOuterBraces(value || "").replace(/\s+/g, " ")
+  if (GROW_DIRECTIONS[direction] !== undefined) return GROW_DIRECTIONS[direction]
+  const angle = parseFloat(direction)
+  return Number.isFinite(angle) ? angle : null
+}
+
+/**
+ * Read the layout settings from the options in effect, outermost first
+ * With grow'=... the children are placed in clockwise instead of counterclockwise order.
+ */
+export function readTreeSettings(options, parseOptionKeyValue) {
+  const settings = {
+    levelDistance: DEFAULT_LEVEL_DISTANCE,
+    siblingDistance: DEFAULT_SIBLING_DISTANCE,
+    grow: -90,
+    clockwise: false
+  }
+
+  for (const opt of options) {
+    const [key, value] = parseOptionKeyValue(opt)
+    switch (key) {
+      case "level distance":
+        settings.levelDistance = parseDistanceCm(stripOuterBraces(value || ""))
+        break
+      case "sibling distance":
+        settings.siblingDistance = parseDistanceCm(stripOuterBraces(value || ""))
+        break
+      case "grow":
+      case "grow'": {
+        const angle = parseGrowDirection(value)
+        if (angle !== null) {
+          settings.grow = angle
+          settings.clockwise = key === "grow'"
+        }
+        break
+      }
+    }
+  }
+
+  return settings
+}
+
+/**
+ * Node options given with nodes={...} in the options in effect
+ */
+export function readTreeNodeOptions(options, parseOptionKeyValue) {
+  return options.flatMap(opt => {
+    const [key, value] = parseOptionKeyValue(opt)
+    return key === "nodes" && value ? splitKeyList(stripOuterBraces(value)) : []
+  })
+}
+
+/**
+ * Position of child number index (counted from 1) of count relative to its parent
+ */
+export function childOffset(settings, index, count) {
+  const along = new Point(settings.levelDistance, 0).rotate(settings.grow)
+  const shift = (index - (count + 1) / 2) * settings.siblingDistance * (settings.clockwise ? -1 : 1)
+  const across = new Point(shift, 0).rotate(settings.grow + 90)
+  return along.add(across)
+}